@@ -0,0 +1,92 @@
+const targetLines = 160;
+const edgeLevel = 48;
+const minPeriod = 4;
+const maxPeriod = 16;
+const periodStep = 0.25;
+const phaseStep = 0.5;
+const minGridLines = 16;
+const gridContrast = 1.5;
+const chanceVotes = 0.5;
+
+// Image defects a generated shot should not copy: sensor noise and the block
+// grid left by heavy compression. Both are read from luma on a subsample of
+// rows and columns so the cost stays close to the rest of the frame analysis.
+//   noise       estimated noise sigma over 255, from the Laplacian response of
+//               flat areas (Immerkær's estimator with edges left out)
+//   blockiness  0–1, how consistently the pixel steps on a regular grid beat
+//               the steps halfway between its lines, in both directions; the
+//               grid size is searched rather than fixed at 8px because frames
+//               are usually scaled before analysis
+export function measureArtifacts(imageData, width, height) {
+  if (width < 3 || height < 3) return { noise: 0, blockiness: 0 };
+  const data = imageData.data;
+  const rowStep = Math.max(1, Math.floor((height - 2) / targetLines));
+  const columnStep = Math.max(1, Math.floor((width - 2) / targetLines));
+  const luma = (x, y) => {
+    const offset = (y * width + x) * 4;
+    return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  };
+
+  let laplacianSum = 0;
+  let flatCount = 0;
+  const columnSteps = new Float64Array(width - 1);
+  const rowSteps = new Float64Array(height - 1);
+
+  for (let y = 1; y < height - 1; y += rowStep) {
+    let left = luma(0, y);
+    let centre = luma(1, y);
+    columnSteps[0] += Math.abs(centre - left);
+    for (let x = 1; x < width - 1; x += 1) {
+      const right = luma(x + 1, y);
+      columnSteps[x] += Math.abs(right - centre);
+      const up = luma(x, y - 1);
+      const down = luma(x, y + 1);
+      if (Math.abs(right - left) + Math.abs(down - up) < edgeLevel) {
+        const corners =
+          luma(x - 1, y - 1) + luma(x + 1, y - 1) + luma(x - 1, y + 1) + luma(x + 1, y + 1);
+        laplacianSum += Math.abs(corners - 2 * (up + down + left + right) + 4 * centre);
+        flatCount += 1;
+      }
+      left = centre;
+      centre = right;
+    }
+  }
+  for (let x = 0; x < width; x += columnStep) {
+    let above = luma(x, 0);
+    for (let y = 0; y < height - 1; y += 1) {
+      const below = luma(x, y + 1);
+      rowSteps[y] += Math.abs(below - above);
+      above = below;
+    }
+  }
+
+  const sigma = flatCount ? (Math.sqrt(Math.PI / 2) * laplacianSum) / (6 * flatCount) : 0;
+  return {
+    noise: round(sigma / 255),
+    blockiness: round(Math.min(gridStrength(columnSteps), gridStrength(rowSteps)))
+  };
+}
+
+// Searches grid sizes and offsets for lines whose step clearly beats the step
+// midway to the next line. Voting per line keeps one strong edge in the frame
+// from passing for a grid; 0 is chance level, 1 is every line on the grid.
+function gridStrength(steps) {
+  let best = 0;
+  for (let period = minPeriod; period <= maxPeriod; period += periodStep) {
+    for (let phase = 0; phase < period; phase += phaseStep) {
+      let votes = 0;
+      let lines = 0;
+      for (let line = phase; Math.round(line + period / 2) < steps.length; line += period) {
+        const onGrid = steps[Math.round(line)];
+        if (onGrid > 0 && onGrid > steps[Math.round(line + period / 2)] * gridContrast) votes += 1;
+        lines += 1;
+      }
+      if (lines >= minGridLines) best = Math.max(best, votes / lines);
+    }
+  }
+  return Math.max(0, (best - chanceVotes) / (1 - chanceVotes));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
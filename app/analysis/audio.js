@@ -0,0 +1,422 @@
+import { abortError, throwIfAborted } from "./frame-analyzer";
+
+export const analysisRate = 11025;
+const onsetHop = 0.01;
+const frameLength = 0.05;
+const silenceFloor = -48;
+const minSilenceLength = 0.6;
+const maxSilenceSegments = 200;
+// decodeAudioData needs the whole file in memory and hands back PCM for the
+// whole track, so past these limits the track is streamed instead: a copy
+// plays through at streamRate into an AudioWorklet with no audible output, and
+// an incremental analyzer keeps a few numbers per 50 ms rather than the PCM.
+const maxDecodeBytes = 512 * 1024 * 1024;
+const maxDecodeSeconds = 30 * 60;
+const streamRate = 4;
+const streamChunk = 4096;
+const streamStallTimeout = 10000;
+const streamProcessor = `
+class AudioTap extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = new Float32Array(${streamChunk});
+    this.fill = 0;
+    this.port.onmessage = () => {
+      this.port.postMessage(this.chunk.slice(0, this.fill));
+      this.port.postMessage(null);
+    };
+  }
+  process([input]) {
+    if (!input.length) return true;
+    for (let i = 0; i < input[0].length; i += 1) {
+      let sum = 0;
+      for (let channel = 0; channel < input.length; channel += 1) sum += input[channel][i];
+      this.chunk[this.fill] = sum / input.length;
+      this.fill += 1;
+      if (this.fill === this.chunk.length) {
+        this.port.postMessage(this.chunk);
+        this.chunk = new Float32Array(${streamChunk});
+        this.fill = 0;
+      }
+    }
+    return true;
+  }
+}
+registerProcessor("audio-tap", AudioTap);
+`;
+
+export function audioSupport() {
+  return {
+    decode: Boolean(globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext),
+    stream: Boolean(globalThis.AudioWorkletNode && globalThis.document)
+  };
+}
+
+// How the audio pass reads this file: "decode" in one go, "stream" by playing
+// it through, or null when this browser can do neither.
+export function audioReadMode(file, duration, support = audioSupport()) {
+  if (support.decode && file.size <= maxDecodeBytes && duration <= maxDecodeSeconds) {
+    return "decode";
+  }
+  return support.stream ? "stream" : null;
+}
+
+// What the user should know about the audio pass before starting a run, or
+// null when it is quick.
+export function describeAudioPass(file, duration, support = audioSupport()) {
+  const mode = audioReadMode(file, duration, support);
+  if (mode === "decode") return null;
+  if (!mode) return "This browser cannot decode audio, so the audio pass will be skipped.";
+  const minutes = Math.ceil(duration / 60 / streamRate);
+  return (
+    `Long clip: the audio pass plays the soundtrack through at ${streamRate}× alongside ` +
+    `the frame capture, which takes about ${minutes} minute${minutes === 1 ? "" : "s"}.`
+  );
+}
+
+// The audio profile for a File, or null when it has no track the browser can
+// decode. `onProgress` gets the share of the track read so far.
+export async function readAudioProfile(file, duration, { signal, onProgress = () => {} } = {}) {
+  const mode = audioReadMode(file, duration);
+  if (mode === "decode") {
+    const track = await decodeAudioTrack(file);
+    throwIfAborted(signal);
+    onProgress(1);
+    return track ? analyzeAudio(track) : null;
+  }
+  return mode === "stream" ? streamAudioTrack(file, duration, { signal, onProgress }) : null;
+}
+
+async function decodeAudioTrack(file) {
+  const AudioContextClass =
+    globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+  const buffer = await file.arrayBuffer();
+  let decoded;
+  try {
+    decoded = await new AudioContextClass(1, 1, analysisRate).decodeAudioData(buffer);
+  } catch (error) {
+    return null;
+  }
+
+  const length = Math.max(1, Math.ceil(decoded.duration * analysisRate));
+  const context = new AudioContextClass(1, length, analysisRate);
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  source.connect(context.destination);
+  source.start();
+  const rendered = await context.startRendering();
+  return { samples: rendered.getChannelData(0), sampleRate: analysisRate };
+}
+
+// Plays the file through a media element into the worklet with pitch
+// correction off, so the context sees the track resampled rather than
+// time-stretched: each context sample is 1 / analysisRate of media time.
+async function streamAudioTrack(file, duration, { signal, onProgress }) {
+  const url = URL.createObjectURL(file);
+  const moduleUrl = URL.createObjectURL(
+    new Blob([streamProcessor], { type: "text/javascript" })
+  );
+  const element = document.createElement("audio");
+  const context = new AudioContext({ sampleRate: analysisRate * streamRate });
+  const analyzer = createAudioAnalyzer(context.sampleRate / streamRate);
+  let cleanup = () => {};
+  try {
+    await context.audioWorklet.addModule(moduleUrl);
+    const tap = new AudioWorkletNode(context, "audio-tap");
+    const silent = context.createGain();
+    silent.gain.value = 0;
+    context.createMediaElementSource(element).connect(tap).connect(silent);
+    silent.connect(context.destination);
+
+    element.preload = "auto";
+    element.preservesPitch = false;
+    element.src = url;
+    element.playbackRate = streamRate;
+
+    return await new Promise((resolve, reject) => {
+      let lastChunk = Date.now();
+      let waiting = false;
+      const handleChunk = ({ data }) => {
+        lastChunk = Date.now();
+        if (data) {
+          analyzer.push(data);
+          onProgress(Math.min(1, element.currentTime / duration));
+          return;
+        }
+        cleanup();
+        resolve(analyzer.sampleCount ? analyzer.finish() : null);
+      };
+      // A stalled element would otherwise feed the worklet silence.
+      const handleWaiting = () => {
+        waiting = true;
+        context.suspend();
+      };
+      const handlePlaying = () => {
+        waiting = false;
+        lastChunk = Date.now();
+        context.resume();
+      };
+      const handleEnded = () => tap.port.postMessage("flush");
+      const handleFailure = () => {
+        cleanup();
+        resolve(null);
+      };
+      const handleAbort = () => {
+        cleanup();
+        reject(abortError());
+      };
+      // Playing but delivering nothing means the context was never allowed to
+      // start or the element cannot decode the track.
+      const watchdog = setInterval(() => {
+        if (!waiting && Date.now() - lastChunk > streamStallTimeout) handleFailure();
+      }, 1000);
+      cleanup = () => {
+        clearInterval(watchdog);
+        tap.port.onmessage = null;
+        element.removeEventListener("waiting", handleWaiting);
+        element.removeEventListener("playing", handlePlaying);
+        element.removeEventListener("ended", handleEnded);
+        element.removeEventListener("error", handleFailure);
+        signal?.removeEventListener("abort", handleAbort);
+      };
+      tap.port.onmessage = handleChunk;
+      element.addEventListener("waiting", handleWaiting);
+      element.addEventListener("playing", handlePlaying);
+      element.addEventListener("ended", handleEnded);
+      element.addEventListener("error", handleFailure);
+      signal?.addEventListener("abort", handleAbort);
+      if (signal?.aborted) {
+        handleAbort();
+        return;
+      }
+      element.play().catch(handleFailure);
+    });
+  } finally {
+    cleanup();
+    element.pause();
+    element.removeAttribute("src");
+    element.load();
+    URL.revokeObjectURL(url);
+    URL.revokeObjectURL(moduleUrl);
+    context.close();
+  }
+}
+
+export function analyzeAudio({ samples, sampleRate }) {
+  const analyzer = createAudioAnalyzer(sampleRate);
+  analyzer.push(samples);
+  return analyzer.finish();
+}
+
+// Analyses a track handed over in chunks of any length, keeping per-frame
+// levels and onset strengths rather than the samples themselves. finish()
+// returns the same profile analyzeAudio gives for the whole track at once.
+export function createAudioAnalyzer(sampleRate) {
+  const frameSize = Math.round(frameLength * sampleRate);
+  const hop = Math.round(onsetHop * sampleRate);
+  const frames = [];
+  const silences = [];
+  const onsets = [];
+  let silenceStart = null;
+  let frameEnergy = 0;
+  let crossings = 0;
+  let frameFill = 0;
+  let previousSample = 0;
+  let hopEnergy = 0;
+  let hopFill = 0;
+  let previousOnset = 0;
+  let sampleCount = 0;
+
+  const closeFrame = () => {
+    const rms = Math.sqrt(frameEnergy / frameSize);
+    const time = (frames.length * frameSize) / sampleRate;
+    frames.push({ rms, zcr: crossings / frameSize });
+    if (toDb(rms) < silenceFloor) {
+      if (silenceStart === null) silenceStart = time;
+    } else if (silenceStart !== null) {
+      if (time - silenceStart >= minSilenceLength && silences.length < maxSilenceSegments) {
+        silences.push({ start: silenceStart, end: time });
+      }
+      silenceStart = null;
+    }
+    frameEnergy = 0;
+    crossings = 0;
+    frameFill = 0;
+  };
+
+  const closeHop = () => {
+    const logEnergy = Math.log1p(hopEnergy * 1000);
+    onsets.push(Math.max(0, logEnergy - previousOnset));
+    previousOnset = logEnergy;
+    hopEnergy = 0;
+    hopFill = 0;
+  };
+
+  return {
+    get sampleCount() {
+      return sampleCount;
+    },
+    push(samples) {
+      for (let i = 0; i < samples.length; i += 1) {
+        const sample = samples[i];
+        const energy = sample * sample;
+        frameEnergy += energy;
+        if (frameFill > 0 && (sample >= 0) !== (previousSample >= 0)) crossings += 1;
+        previousSample = sample;
+        frameFill += 1;
+        if (frameFill === frameSize) closeFrame();
+        hopEnergy += energy;
+        hopFill += 1;
+        if (hopFill === hop) closeHop();
+      }
+      sampleCount += samples.length;
+    },
+    finish() {
+      const duration = sampleCount / sampleRate;
+      const trailing =
+        silenceStart !== null && duration - silenceStart >= minSilenceLength
+          ? [{ start: silenceStart, end: duration }]
+          : [];
+      const seconds = summarizeSeconds(frames, Math.round(1 / frameLength));
+      return {
+        duration,
+        seconds,
+        silences: [...silences, ...trailing],
+        swells: findSwells(seconds),
+        ...estimateTempo(onsets)
+      };
+    }
+  };
+}
+
+function summarizeSeconds(frames, framesPerSecond) {
+  const seconds = [];
+  for (let start = 0; start < frames.length; start += framesPerSecond) {
+    const slice = frames.slice(start, start + framesPerSecond);
+    const meanSquare = slice.reduce((sum, frame) => sum + frame.rms * frame.rms, 0) / slice.length;
+    const meanRms = slice.reduce((sum, frame) => sum + frame.rms, 0) / slice.length;
+    const meanZcr = slice.reduce((sum, frame) => sum + frame.zcr, 0) / slice.length;
+    seconds.push({
+      time: start / framesPerSecond,
+      db: toDb(Math.sqrt(meanSquare)),
+      lowEnergy: slice.filter((frame) => frame.rms < meanRms * 0.5).length / slice.length,
+      zcrSpread: Math.sqrt(
+        slice.reduce((sum, frame) => sum + (frame.zcr - meanZcr) ** 2, 0) / slice.length
+      )
+    });
+  }
+  return seconds;
+}
+
+export function summarizeAudioWindow(audio, start, end) {
+  const window = audio.seconds.filter(
+    (second) => second.time >= Math.floor(start) && second.time < end
+  );
+  if (!window.length) return null;
+
+  const meanDb = window.reduce((sum, second) => sum + second.db, 0) / window.length;
+  const lowEnergy = window.reduce((sum, second) => sum + second.lowEnergy, 0) / window.length;
+  const silentTime = audio.silences.reduce(
+    (sum, silence) =>
+      sum + Math.max(0, Math.min(end, silence.end) - Math.max(start, silence.start)),
+    0
+  );
+  const silentShare = end > start ? silentTime / (end - start) : 0;
+
+  const character =
+    meanDb < silenceFloor || silentShare > 0.8
+      ? "silence"
+      : lowEnergy > 0.28
+      ? "speech"
+      : lowEnergy < 0.15
+      ? "music"
+      : "mixed";
+  const level = meanDb > -14 ? "loud" : meanDb > -26 ? "moderate" : "quiet";
+  const swell = audio.swells.find((item) => item.time >= start && item.time < end) ?? null;
+
+  const descriptor =
+    character === "silence"
+      ? "near silence"
+      : character === "speech"
+      ? `${level} dialogue-led sound`
+      : character === "music"
+      ? `${level} music${audio.bpm ? ` around ${audio.bpm} BPM` : ""}`
+      : `${level} mix of music and voice`;
+
+  return {
+    loudness: Math.round(meanDb),
+    level,
+    character,
+    silentShare,
+    swell,
+    descriptor
+  };
+}
+
+export function tempoFeel(bpm) {
+  if (!bpm) return "";
+  return bpm < 80 ? "slow" : bpm < 110 ? "mid-tempo" : bpm < 135 ? "driving" : "frenetic";
+}
+
+function findSwells(seconds) {
+  const candidates = [];
+  for (let i = 3; i < seconds.length; i += 1) {
+    const floor = Math.min(...seconds.slice(i - 3, i).map((second) => second.db));
+    const rise = seconds[i].db - floor;
+    if (rise > 6 && seconds[i].db > -30) {
+      candidates.push({ time: seconds[i].time, rise, db: seconds[i].db });
+    }
+  }
+
+  const picked = [];
+  candidates
+    .sort((a, b) => b.rise - a.rise)
+    .forEach((candidate) => {
+      if (picked.length < 3 && picked.every((item) => Math.abs(item.time - candidate.time) >= 5)) {
+        picked.push(candidate);
+      }
+    });
+  return picked.sort((a, b) => a.time - b.time);
+}
+
+function estimateTempo(onsets) {
+  const minLag = Math.round(60 / 180 / onsetHop);
+  const maxLag = Math.round(60 / 60 / onsetHop);
+  if (onsets.length < maxLag * 4) return { bpm: null, tempoConfidence: 0 };
+
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / onsets.length;
+  const centred = onsets.map((value) => value - mean);
+  const zeroLag = centred.reduce((sum, value) => sum + value * value, 0);
+  if (!zeroLag) return { bpm: null, tempoConfidence: 0 };
+
+  let bestLag = 0;
+  let bestScore = 0;
+  let bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    let correlation = 0;
+    for (let i = lag; i < centred.length; i += 1) {
+      correlation += centred[i] * centred[i - lag];
+    }
+    correlation /= zeroLag;
+    // Bias towards the 80–160 BPM range to avoid half/double tempo picks.
+    const bpm = 60 / (lag * onsetHop);
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.9) ** 2);
+    if (correlation * weight > bestScore) {
+      bestScore = correlation * weight;
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  if (!bestLag || bestCorrelation < 0.08) {
+    return { bpm: null, tempoConfidence: Math.max(0, bestCorrelation) };
+  }
+  return {
+    bpm: Math.round(60 / (bestLag * onsetHop)),
+    tempoConfidence: bestCorrelation
+  };
+}
+
+function toDb(rms) {
+  return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
@@ -0,0 +1,246 @@
+const gridColumns = 64;
+const cellSamples = 3;
+const skinCellShare = 0.5;
+const maxSkinCoverage = 0.35;
+const maxSubjects = 12;
+const edgeMargin = 0.01;
+
+let faceDetector;
+
+export function supportsFaceDetection() {
+  return typeof FaceDetector !== "undefined";
+}
+
+// Uses the browser Shape Detection API where it exists. Returns boxes in
+// 0–1 frame units, or null when the detector is missing or refuses to run so
+// callers fall back to the skin-tone heuristic.
+export async function detectFaces(source, width, height) {
+  if (faceDetector === false || !supportsFaceDetection()) return null;
+  try {
+    faceDetector ??= new FaceDetector({ maxDetectedFaces: maxSubjects, fastMode: true });
+    const faces = await faceDetector.detect(source);
+    return faces.map(({ boundingBox }) =>
+      normalizeBox({
+        x: boundingBox.x / width,
+        y: boundingBox.y / height,
+        width: boundingBox.width / width,
+        height: boundingBox.height / height
+      })
+    );
+  } catch {
+    faceDetector = false;
+    return null;
+  }
+}
+
+export function analyzeComposition(imageData, width, height, faces = null) {
+  const grid = sampleGrid(imageData, width, height);
+  const subjects = (faces ?? findSkinRegions(grid))
+    .slice()
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, maxSubjects);
+  const method = faces ? "face detector" : "skin-tone heuristic";
+
+  if (!subjects.length) {
+    const weight = visualWeight(grid);
+    const shotType =
+      weight.spread > 0.33 ? "extreme wide shot" : weight.spread > 0.22 ? "wide shot" : "close-up";
+    const placement = placePoint(weight.x, weight.y);
+    const framing = shotType === "close-up" ? "close-up detail" : shotType;
+    return {
+      method,
+      headCount: 0,
+      shotType,
+      placement,
+      subjects: [],
+      descriptor: `${framing} with no people, visual weight ${placementPhrase(placement)}`
+    };
+  }
+
+  const primary = subjects[0];
+  const shotType = shotForFace(primary.height);
+  const placement =
+    offFramePlacement(primary) ??
+    placePoint(primary.x + primary.width / 2, primary.y + primary.height / 2);
+  const people = subjects.length === 1 ? "one person" : `${subjects.length} people`;
+  const lead = subjects.length === 1 ? "" : ", lead subject";
+  return {
+    method,
+    headCount: subjects.length,
+    shotType,
+    placement,
+    subjects,
+    descriptor: `${shotType} of ${people}${lead} ${placementPhrase(placement)}`
+  };
+}
+
+function shotForFace(height) {
+  if (height >= 0.28) return "close-up";
+  if (height >= 0.12) return "medium shot";
+  if (height >= 0.05) return "wide shot";
+  return "extreme wide shot";
+}
+
+function offFramePlacement(box) {
+  if (box.x <= edgeMargin) return "off-frame left";
+  if (box.x + box.width >= 1 - edgeMargin) return "off-frame right";
+  if (box.y + box.height >= 1 - edgeMargin) return "off-frame bottom";
+  return null;
+}
+
+function placePoint(x, y) {
+  const column = x < 0.42 ? "left" : x > 0.58 ? "right" : null;
+  const row = y < 0.42 ? "upper" : y > 0.62 ? "lower" : null;
+  if (!column && !row) return "centred";
+  return `${[row, column].filter(Boolean).join("-")} third`;
+}
+
+function placementPhrase(placement) {
+  if (placement === "centred") return "centred";
+  if (placement.startsWith("off-frame")) {
+    return `partly off-frame at the ${placement.slice("off-frame ".length)} edge`;
+  }
+  return `on the ${placement}`;
+}
+
+// Coarse grid of square cells with their mean luma and share of skin-toned
+// samples; both fallbacks work on this instead of raw pixels.
+function sampleGrid(imageData, width, height) {
+  const data = imageData.data;
+  const cell = Math.max(2, Math.floor(width / gridColumns));
+  const columns = Math.max(1, Math.floor(width / cell));
+  const rows = Math.max(1, Math.floor(height / cell));
+  const luma = new Float32Array(columns * rows);
+  const skin = new Float32Array(columns * rows);
+  const step = cell / cellSamples;
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      let lumaSum = 0;
+      let skinCount = 0;
+      for (let sy = 0; sy < cellSamples; sy += 1) {
+        for (let sx = 0; sx < cellSamples; sx += 1) {
+          const px = Math.floor(column * cell + (sx + 0.5) * step);
+          const py = Math.floor(row * cell + (sy + 0.5) * step);
+          const offset = (py * width + px) * 4;
+          const r = data[offset];
+          const g = data[offset + 1];
+          const b = data[offset + 2];
+          const y = 0.299 * r + 0.587 * g + 0.114 * b;
+          lumaSum += y;
+          if (isSkinTone(r, g, b, y)) skinCount += 1;
+        }
+      }
+      const index = row * columns + column;
+      luma[index] = lumaSum / (cellSamples * cellSamples);
+      skin[index] = skinCount / (cellSamples * cellSamples);
+    }
+  }
+  return { columns, rows, luma, skin };
+}
+
+// Chai & Ngan's YCbCr skin range, which holds up across skin tones better than
+// RGB rules. Very dark and blown-out pixels are ignored.
+function isSkinTone(r, g, b, y) {
+  if (y < 45 || y > 235) return false;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Face-shaped clusters of skin-toned cells. Warm-graded frames where skin
+// tones flood the picture are treated as having no readable subjects.
+function findSkinRegions({ columns, rows, skin }) {
+  const total = columns * rows;
+  const marked = skin.map((share) => (share >= skinCellShare ? 1 : 0));
+  const coverage = marked.reduce((sum, value) => sum + value, 0) / total;
+  if (coverage > maxSkinCoverage) return [];
+
+  const minCells = Math.max(3, Math.round(total * 0.0015));
+  const seen = new Uint8Array(total);
+  const regions = [];
+
+  for (let start = 0; start < total; start += 1) {
+    if (!marked[start] || seen[start]) continue;
+    const queue = [start];
+    seen[start] = 1;
+    let cells = 0;
+    let left = columns;
+    let right = 0;
+    let top = rows;
+    let bottom = 0;
+
+    while (queue.length) {
+      const index = queue.pop();
+      const column = index % columns;
+      const row = (index - column) / columns;
+      cells += 1;
+      left = Math.min(left, column);
+      right = Math.max(right, column);
+      top = Math.min(top, row);
+      bottom = Math.max(bottom, row);
+      [
+        column > 0 ? index - 1 : -1,
+        column < columns - 1 ? index + 1 : -1,
+        row > 0 ? index - columns : -1,
+        row < rows - 1 ? index + columns : -1
+      ].forEach((next) => {
+        if (next >= 0 && marked[next] && !seen[next]) {
+          seen[next] = 1;
+          queue.push(next);
+        }
+      });
+    }
+
+    const boxWidth = right - left + 1;
+    const boxHeight = bottom - top + 1;
+    const aspect = boxWidth / boxHeight;
+    const fill = cells / (boxWidth * boxHeight);
+    if (cells < minCells || aspect < 0.5 || aspect > 1.5 || fill < 0.45) continue;
+    regions.push(
+      normalizeBox({
+        x: left / columns,
+        y: top / rows,
+        width: boxWidth / columns,
+        height: boxHeight / rows
+      })
+    );
+  }
+  return regions;
+}
+
+// Where the detail sits: luma gradients weighted into a centroid, plus how far
+// they spread (≈0.41 when detail is spread evenly over the whole frame).
+function visualWeight({ columns, rows, luma }) {
+  let sum = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXX = 0;
+  let sumYY = 0;
+
+  for (let row = 0; row < rows - 1; row += 1) {
+    for (let column = 0; column < columns - 1; column += 1) {
+      const index = row * columns + column;
+      const weight =
+        Math.abs(luma[index + 1] - luma[index]) + Math.abs(luma[index + columns] - luma[index]);
+      const x = (column + 0.5) / columns;
+      const y = (row + 0.5) / rows;
+      sum += weight;
+      sumX += weight * x;
+      sumY += weight * y;
+      sumXX += weight * x * x;
+      sumYY += weight * y * y;
+    }
+  }
+
+  if (!sum) return { x: 0.5, y: 0.5, spread: 0.41 };
+  const x = sumX / sum;
+  const y = sumY / sum;
+  const spread = Math.sqrt(Math.max(0, sumXX / sum - x * x + sumYY / sum - y * y));
+  return { x, y, spread };
+}
+
+function normalizeBox({ x, y, width, height }) {
+  const round = (value) => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+  return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
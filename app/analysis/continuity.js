@@ -0,0 +1,205 @@
+import { describeTemperature } from "./lighting";
+import { paletteSimilarity } from "./mood-board";
+import { summarizeScenes } from "./sequences";
+
+const maxLookInstructions = 5;
+const maxJumpInstructions = 4;
+
+// Differences between two scenes worth calling a jump. Colour temperature is
+// compared in mireds, which track how large a shift looks better than kelvin:
+// 60 mireds is about half a CTO gel, whether at 3000K or 6000K.
+const checks = [
+  {
+    kind: "colour temperature",
+    threshold: 60,
+    measure: (a, b) => {
+      const from = a.lightingProfile?.kelvin;
+      const to = b.lightingProfile?.kelvin;
+      if (!from || !to) return null;
+      return {
+        difference: Math.abs(1e6 / from - 1e6 / to),
+        text: `colour temperature ${to < from ? "warms" : "cools"} from ${from}K to ${to}K`
+      };
+    }
+  },
+  {
+    kind: "exposure",
+    threshold: 0.15,
+    measure: (a, b) => {
+      const from = a.metrics?.brightness;
+      const to = b.metrics?.brightness;
+      if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+      const points = Math.round(Math.abs(to - from) * 100);
+      return {
+        difference: Math.abs(to - from),
+        text: `exposure ${to > from ? "rises" : "falls"} ${points} points`
+      };
+    }
+  },
+  {
+    kind: "palette",
+    threshold: 0.45,
+    measure: (a, b) => {
+      const similarity = paletteSimilarity(a.swatches ?? [], b.swatches ?? []);
+      if (similarity === null) return null;
+      return {
+        difference: 1 - similarity,
+        text:
+          a.palette === b.palette
+            ? `palette shifts within ${a.palette}`
+            : `palette shifts from ${a.palette} to ${b.palette}`
+      };
+    }
+  }
+];
+
+// Compares each scene with the next one and flags jumps in colour temperature,
+// exposure or palette, groups scenes that share a look (not necessarily
+// neighbours) and scores the cut-to-cut consistency from 0 to 100. Returns null
+// with fewer than two scenes.
+export function analyzeContinuity(scenes) {
+  const ordered = scenes
+    .filter((scene) => scene.analysis)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (ordered.length < 2) return null;
+
+  const transitions = ordered.slice(1).map((scene, i) => {
+    const previous = ordered[i];
+    const results = compareLooks(previous.analysis, scene.analysis);
+    const flagged = results
+      .filter((result) => result.strength >= 1)
+      .sort((a, b) => b.strength - a.strength);
+    return {
+      from: previous.index,
+      to: scene.index,
+      time: scene.start ?? scene.timestamp,
+      similarity: results.length
+        ? round(
+            results.reduce((sum, result) => sum + (1 - Math.min(1, result.strength / 2)), 0) /
+              results.length
+          )
+        : 1,
+      kinds: flagged.map((result) => result.kind),
+      strength: round(flagged[0]?.strength ?? 0),
+      descriptor: flagged.map((result) => result.text).join(", ")
+    };
+  });
+  const jumps = transitions.filter((transition) => transition.kinds.length);
+  const looks = groupLooks(ordered);
+
+  return {
+    score: Math.round(
+      (transitions.reduce((sum, transition) => sum + transition.similarity, 0) /
+        transitions.length) *
+        100
+    ),
+    looks,
+    jumps,
+    instructions: continuityInstructions(looks, jumps)
+  };
+}
+
+// Scenes join the first look whose opening scene they match on every check;
+// anything that matches none starts a new look.
+function groupLooks(scenes) {
+  const groups = [];
+  scenes.forEach((scene) => {
+    const group = groups.find((candidate) =>
+      compareLooks(candidate.anchor.analysis, scene.analysis).every(
+        (result) => result.strength < 1
+      )
+    );
+    if (group) {
+      group.members.push(scene);
+    } else {
+      groups.push({ anchor: scene, members: [scene] });
+    }
+  });
+
+  return groups.map(({ members }, index) => {
+    const { analysis } = summarizeScenes(members);
+    const mireds = members
+      .map((scene) => scene.analysis.lightingProfile?.kelvin)
+      .filter(Boolean)
+      .map((value) => 1e6 / value);
+    const mired = mireds.length
+      ? mireds.reduce((sum, value) => sum + value, 0) / mireds.length
+      : null;
+    const kelvin = mired ? Math.round(1e6 / mired / 100) * 100 : null;
+    return {
+      number: index + 1,
+      sceneIndexes: members.map((scene) => scene.index),
+      scenes: describeSceneNumbers(members.map((scene) => scene.index)),
+      palette: analysis.palette,
+      lighting: analysis.lighting,
+      kelvin,
+      swatches: analysis.swatches,
+      descriptor: [
+        analysis.palette,
+        analysis.lighting,
+        kelvin ? `${describeTemperature(kelvin)} around ${kelvin}K` : null
+      ]
+        .filter(Boolean)
+        .join(", ")
+    };
+  });
+}
+
+function compareLooks(a, b) {
+  return checks
+    .map(({ kind, threshold, measure }) => {
+      const result = measure(a, b);
+      return result ? { kind, strength: result.difference / threshold, text: result.text } : null;
+    })
+    .filter(Boolean);
+}
+
+function continuityInstructions(looks, jumps) {
+  const lookLines = looks
+    .filter((look) => look.sceneIndexes.length > 1)
+    .sort((a, b) => b.sceneIndexes.length - a.sceneIndexes.length)
+    .slice(0, maxLookInstructions)
+    .sort((a, b) => a.number - b.number)
+    .map((look) => `keep the look of ${look.scenes} consistent (${look.descriptor})`);
+  const jumpLines = jumps
+    .slice()
+    .sort((a, b) => b.strength - a.strength)
+    .slice(0, maxJumpInstructions)
+    .sort((a, b) => a.from - b.from)
+    .map(
+      (jump) =>
+        `smooth the cut from scene ${jump.from + 1} to ${jump.to + 1} (${
+          jump.descriptor
+        }) or make it a deliberate change of look`
+    );
+  return [...lookLines, ...jumpLines];
+}
+
+// [0, 1, 2, 6] -> "scenes 1–3 and 7"
+function describeSceneNumbers(indexes) {
+  const runs = [];
+  indexes
+    .slice()
+    .sort((a, b) => a - b)
+    .forEach((index) => {
+      const run = runs[runs.length - 1];
+      if (run && index === run.last + 1) {
+        run.last = index;
+      } else {
+        runs.push({ first: index, last: index });
+      }
+    });
+  const parts = runs.map(({ first, last }) =>
+    first === last ? `${first + 1}` : `${first + 1}–${last + 1}`
+  );
+  const single = parts.length === 1 && runs[0].first === runs[0].last;
+  const list =
+    parts.length > 1
+      ? `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`
+      : parts[0];
+  return `${single ? "scene" : "scenes"} ${list}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,81 @@
+export const analysisResolutions = [
+  { id: 480, label: "480p · fastest" },
+  { id: 720, label: "720p · balanced" },
+  { id: 1080, label: "1080p · detailed" },
+  { id: 0, label: "Source resolution" }
+];
+
+export function supportsWorkerAnalysis() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined"
+  );
+}
+
+export function analysisSize(width, height, maxHeight) {
+  if (!maxHeight || height <= maxHeight) return { width, height };
+  const scale = maxHeight / height;
+  return { width: Math.max(1, Math.round(width * scale)), height: maxHeight };
+}
+
+export function abortError() {
+  return new DOMException("Analysis cancelled", "AbortError");
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+export function createFrameAnalyzer() {
+  let worker = null;
+  let sequence = 0;
+  const pending = new Map();
+
+  const rejectAll = (error) => {
+    pending.forEach((job) => job.reject(error));
+    pending.clear();
+  };
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL("./frame.worker.js", import.meta.url));
+    worker.onmessage = ({ data }) => {
+      const job = pending.get(data.id);
+      if (!job) return;
+      pending.delete(data.id);
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      rejectAll(new Error(event.message || "frame analysis worker failed"));
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  return {
+    analyze(payload, transfer = []) {
+      return new Promise((resolve, reject) => {
+        sequence += 1;
+        pending.set(sequence, { resolve, reject });
+        ensureWorker().postMessage({ id: sequence, ...payload }, transfer);
+      });
+    },
+    cancel() {
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+      rejectAll(abortError());
+    }
+  };
+}
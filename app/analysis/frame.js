@@ -0,0 +1,189 @@
+import { extractPalette } from "./palette";
+import { describeEnergy } from "./motion";
+import { analyzeComposition } from "./composition";
+import { analyzeLighting } from "./lighting";
+import { measureArtifacts } from "./artifacts";
+
+export function describeColor(r, g, b) {
+  const [h, s, l] = rgbToHsl(r, g, b);
+
+  const colorDescriptors = [
+    { name: "crisp Arctic blue", match: h >= 200 && h < 240 && s > 0.2 },
+    { name: "electric violet", match: h >= 260 && h < 300 && s > 0.35 },
+    { name: "sunlit amber", match: h >= 30 && h < 60 && l > 0.55 },
+    { name: "deep emerald", match: h >= 130 && h < 170 && s > 0.25 },
+    { name: "moody indigo", match: h >= 210 && h < 250 && l < 0.45 },
+    { name: "faded sepia", match: h >= 20 && h < 50 && s < 0.25 },
+    { name: "soft rose", match: h >= 330 || h < 15 },
+    { name: "graphite neutral", match: s < 0.12 }
+  ];
+
+  const found = colorDescriptors.find((descriptor) => descriptor.match);
+  return found ? found.name : "balanced palette";
+}
+
+export function analyzeFrame(imageData, width, height, motion = null, faces = null) {
+  const data = imageData.data;
+  const totalPixels = width * height;
+  const stride = Math.max(4, Math.floor(totalPixels / 55000) * 4);
+
+  let rSum = 0;
+  let gSum = 0;
+  let bSum = 0;
+  let brightnessSum = 0;
+  let minBrightness = 255;
+  let maxBrightness = 0;
+  let sampled = 0;
+  const shadows = { warmth: 0, count: 0 };
+  const highlights = { warmth: 0, count: 0 };
+
+  for (let i = 0; i < data.length; i += stride) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
+
+    rSum += r;
+    gSum += g;
+    bSum += b;
+    brightnessSum += brightness;
+    if (brightness < minBrightness) minBrightness = brightness;
+    if (brightness > maxBrightness) maxBrightness = brightness;
+    const tone = brightness < 64 ? shadows : brightness > 192 ? highlights : null;
+    if (tone) {
+      tone.warmth += r - b;
+      tone.count += 1;
+    }
+    sampled += 1;
+  }
+
+  if (!sampled) {
+    return {
+      palette: "balanced palette",
+      swatches: [],
+      lighting: "neutral lighting",
+      mood: "steady atmosphere",
+      energy: motion ? describeEnergy(motion) : "controlled pacing",
+      motion,
+      composition: null,
+      lightingProfile: null,
+      metrics: null
+    };
+  }
+
+  const avgR = rSum / sampled;
+  const avgG = gSum / sampled;
+  const avgB = bSum / sampled;
+  const avgBrightness = brightnessSum / sampled;
+  const contrast = (maxBrightness - minBrightness) / 255;
+  const [h, s, l] = rgbToHsl(avgR, avgG, avgB);
+
+  const swatches = extractPalette(imageData);
+  const artifacts = measureArtifacts(imageData, width, height);
+  const dominant = swatches[0]?.rgb ?? [avgR, avgG, avgB];
+  const composition = analyzeComposition(imageData, width, height, faces);
+  const paletteDescriptor = describeColor(...dominant);
+  const lighting =
+    avgBrightness > 200
+      ? "high-key lighting"
+      : avgBrightness > 150
+      ? "well-lit scene"
+      : avgBrightness > 100
+      ? "balanced lighting"
+      : avgBrightness > 60
+      ? "low-key lighting"
+      : "shadow-heavy lighting";
+
+  const contrastDescriptor =
+    contrast > 0.55
+      ? "high contrast visuals"
+      : contrast > 0.35
+      ? "structured contrast"
+      : "soft contrast";
+
+  const saturationDescriptor =
+    s > 0.6
+      ? "vivid saturation"
+      : s > 0.35
+      ? "rich tones"
+      : s > 0.2
+      ? "muted palette"
+      : "desaturated look";
+
+  const moodDescriptor =
+    l > 0.65
+      ? "uplifting mood"
+      : l > 0.45
+      ? "balanced mood"
+      : l > 0.28
+      ? "introspective mood"
+      : "brooding atmosphere";
+
+  const energy = motion
+    ? describeEnergy(motion)
+    : contrast > 0.55 && s > 0.35
+      ? "kinetic energy"
+      : contrast > 0.35
+      ? "dynamic pacing"
+      : "contemplative pacing";
+
+  return {
+    palette: paletteDescriptor,
+    swatches,
+    lighting,
+    contrast: contrastDescriptor,
+    saturation: saturationDescriptor,
+    mood: moodDescriptor,
+    energy,
+    motion,
+    composition,
+    lightingProfile: analyzeLighting(imageData, width, height, composition.subjects[0]),
+    // Raw measurements behind the labels, used to compare against reference stills
+    // and to pick out artefacts for the negative prompt.
+    metrics: {
+      brightness: round(avgBrightness / 255),
+      contrast: round(contrast),
+      saturation: round(s),
+      lightness: round(l),
+      hue: h,
+      warmth: round((avgR - avgB) / 255),
+      shadowWarmth: shadows.count ? round(shadows.warmth / shadows.count / 255) : null,
+      highlightWarmth: highlights.count ? round(highlights.warmth / highlights.count / 255) : null,
+      noise: artifacts.noise,
+      blockiness: artifacts.blockiness
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export function rgbToHsl(r, g, b) {
+  const rNorm = r / 255;
+  const gNorm = g / 255;
+  const bNorm = b / 255;
+
+  const max = Math.max(rNorm, gNorm, bNorm);
+  const min = Math.min(rNorm, gNorm, bNorm);
+  const delta = max - min;
+
+  let h = 0;
+  if (delta !== 0) {
+    if (max === rNorm) {
+      h = ((gNorm - bNorm) / delta) % 6;
+    } else if (max === gNorm) {
+      h = (bNorm - rNorm) / delta + 2;
+    } else {
+      h = (rNorm - gNorm) / delta + 4;
+    }
+    h = Math.round(h * 60);
+    if (h < 0) h += 360;
+  }
+
+  const l = (max + min) / 2;
+  const s =
+    delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1));
+
+  return [h, s, l];
+}
@@ -0,0 +1,51 @@
+import { analyzeFrame } from "./frame";
+import { detectFaces } from "./composition";
+import { estimateMotion, motionSize, toLumaPlane } from "./motion";
+import { thumbnailWidth } from "../export/storyboard";
+
+self.onmessage = async ({ data }) => {
+  const { id, bitmap, companion, forward, interval } = data;
+  try {
+    const { width, height } = bitmap;
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const frameData = context.getImageData(0, 0, width, height);
+
+    let motion = null;
+    if (companion && interval) {
+      const anchorPlane = lumaPlane(bitmap);
+      const companionPlane = lumaPlane(companion);
+      motion = forward
+        ? estimateMotion(anchorPlane, companionPlane, interval)
+        : estimateMotion(companionPlane, anchorPlane, interval);
+    }
+
+    const faces = await detectFaces(bitmap, width, height);
+    const analysis = analyzeFrame(frameData, width, height, motion, faces);
+    const thumbnail = await thumbnailDataUrl(bitmap);
+    bitmap.close();
+    companion?.close();
+    self.postMessage({ id, result: { analysis, thumbnail } });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message ?? String(error) });
+  }
+};
+
+function lumaPlane(source) {
+  const canvas = new OffscreenCanvas(motionSize.width, motionSize.height);
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(source, 0, 0, motionSize.width, motionSize.height);
+  return toLumaPlane(context.getImageData(0, 0, motionSize.width, motionSize.height));
+}
+
+async function thumbnailDataUrl(bitmap) {
+  const width = Math.min(thumbnailWidth, bitmap.width);
+  const canvas = new OffscreenCanvas(
+    width,
+    Math.max(1, Math.round((bitmap.height * width) / bitmap.width))
+  );
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const blob = await canvas.convertToBlob({ type: "image/jpeg", quality: 0.8 });
+  return new FileReaderSync().readAsDataURL(blob);
+}
@@ -0,0 +1,222 @@
+import { analyzeFrame } from "./frame";
+import { analysisRate, createAudioAnalyzer, summarizeAudioWindow } from "./audio";
+import { analysisResolutions, analysisSize, throwIfAborted } from "./frame-analyzer";
+import { companionTiming, estimateMotion, motionSize, toLumaPlane } from "./motion";
+import {
+  buildCapturePoints,
+  buildSceneRanges,
+  captureModes,
+  lumaSignature,
+  maxSceneCount,
+  mergeManualPoints,
+  probeInterval,
+  probeSize,
+  rangesFromCapturePoints,
+  sceneBudget
+} from "./scene-detection";
+import {
+  buildPrompts,
+  defaultFocusAreas,
+  describeSequences,
+  focusOptions
+} from "../prompts/scene-prompts";
+import { defaultTemplate, defaultTemplateId, normalizeTemplate } from "../prompts/prompt-templates";
+import { findTargetModel, formatForModel } from "../prompts/model-formats";
+import { defaultWording } from "../prompts/presets";
+import { buildExportDocument } from "../export/scene-export";
+
+// Fills in a settings object the way a fresh page would. Accepts the settings
+// shape the page saves, or a whole JSON export (its `project` block is used).
+// A custom template can be passed inline as `template: { name, scene, master }`;
+// mood board stills are taken as exported, with their analysis already done,
+// and a transcript as { name, cues } with parsed cues.
+export function resolveSettings(input = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("settings must be a JSON object");
+  }
+  const source = input.project && typeof input.project === "object" ? input.project : input;
+  const text = (value, fallback = "") => (typeof value === "string" ? value : fallback);
+  const template = source.template ? normalizeTemplate(source.template) : defaultTemplate;
+  const granularity = Number(source.granularity);
+  const resolution = Number(source.analysisResolution);
+
+  return {
+    projectTitle: text(source.projectTitle),
+    audienceNotes: text(source.audienceNotes),
+    tone: text(source.tone, defaultWording("tone")),
+    objective: text(source.objective, defaultWording("objective")),
+    stylePreset: text(source.stylePreset, defaultWording("style")),
+    focusAreas: new Set(
+      Array.isArray(source.focusAreas)
+        ? source.focusAreas.filter((id) => focusOptions.some((option) => option.id === id))
+        : defaultFocusAreas
+    ),
+    granularity: Number.isFinite(granularity)
+      ? Math.min(7, Math.max(1, Math.round(granularity)))
+      : 4,
+    captureMode: captureModes.some((mode) => mode.id === source.captureMode)
+      ? source.captureMode
+      : captureModes[0].id,
+    targetModel: findTargetModel(source.targetModel).id,
+    analysisResolution: analysisResolutions.some((option) => option.id === resolution)
+      ? resolution
+      : 720,
+    templateId:
+      template === defaultTemplate ? defaultTemplateId : text(source.templateId, "inline"),
+    template,
+    customDirectives: text(source.customDirectives),
+    manualMarkers: (Array.isArray(source.manualMarkers) ? source.manualMarkers : [])
+      .map(Number)
+      .filter(Number.isFinite),
+    moodBoard: (Array.isArray(source.moodBoard) ? source.moodBoard : []).filter(
+      (reference) => reference?.analysis?.metrics
+    ),
+    transcript: Array.isArray(source.transcript?.cues) ? source.transcript : null
+  };
+}
+
+// Adds a parsed subtitle file to settings input, in whichever shape it came.
+export function attachTranscript(input, transcript) {
+  return input?.project && typeof input.project === "object"
+    ? { ...input, project: { ...input.project, transcript } }
+    : { ...input, transcript };
+}
+
+// Runs the same audio, boundary and frame passes as the page against a frame
+// source and returns the JSON export document. A source provides:
+//   { duration, width, height, fileName,
+//     sample(interval, size)  -> [{ time, image }]  (evenly spaced probe frames)
+//     frameAt(time, size)     -> { time, image }    (nearest decodable frame)
+//     readAudio(sampleRate)   -> async iterable of Float32Array chunks | null }
+// where `image` is ImageData-shaped: { data, width, height } in RGBA.
+// Two passes differ from a browser run: the whole audio track is read from the
+// source whatever its length, and people are found with the skin-tone
+// heuristic because Node has no FaceDetector. The export's `passes` block
+// records what ran, as it does for the page.
+export async function analyzeVideo(
+  source,
+  input,
+  { signal, onProgress = () => {}, onStatus = () => {} } = {}
+) {
+  const settings = resolveSettings(input);
+  const { duration } = source;
+  if (!duration) {
+    throw new Error("could not determine the video duration");
+  }
+
+  let audio = null;
+  if (settings.focusAreas.has("audio")) {
+    onStatus("Decoding audio track…");
+    const chunks = source.readAudio(analysisRate);
+    if (chunks) {
+      const analyzer = createAudioAnalyzer(analysisRate);
+      for await (const samples of chunks) {
+        throwIfAborted(signal);
+        analyzer.push(samples);
+      }
+      audio = analyzer.sampleCount ? analyzer.finish() : null;
+    }
+    throwIfAborted(signal);
+    if (!audio) {
+      onStatus("No decodable audio track found, continuing with visuals only.");
+    }
+  }
+
+  const scanWeight = settings.captureMode === "scenes" ? 0.3 : 0;
+  let automaticRanges = [];
+  if (settings.captureMode === "scenes") {
+    onStatus("Scanning for shot boundaries…");
+    const probes = await source.sample(probeInterval(duration), probeSize);
+    throwIfAborted(signal);
+    automaticRanges = buildSceneRanges(
+      probes.map(({ time, image }) => ({ time, ...lumaSignature(image) })),
+      duration,
+      { sensitivity: settings.granularity, maxScenes: maxSceneCount }
+    );
+    onProgress(scanWeight);
+  } else if (settings.captureMode === "interval") {
+    automaticRanges = rangesFromCapturePoints(
+      buildCapturePoints(duration, sceneBudget(duration, settings.granularity)),
+      duration
+    );
+  }
+  const ranges = mergeManualPoints(automaticRanges, settings.manualMarkers, duration);
+  if (!ranges.length) {
+    throw new Error("no capture points: add manualMarkers or use another captureMode");
+  }
+
+  const size = analysisSize(source.width, source.height, settings.analysisResolution);
+  const scenes = [];
+  for (let i = 0; i < ranges.length; i += 1) {
+    const range = ranges[i];
+    const { image } = await source.frameAt(range.timestamp, size);
+    const motion = await measureMotion(source, range.timestamp, duration);
+    throwIfAborted(signal);
+    const detected = {
+      ...analyzeFrame(image, image.width, image.height, motion),
+      audio: audio ? summarizeAudioWindow(audio, range.start, range.end) : null
+    };
+    scenes.push({
+      id: `scene-${i + 1}`,
+      timestamp: range.timestamp,
+      start: range.start,
+      end: range.end,
+      manual: Boolean(range.manual),
+      detected,
+      analysis: detected,
+      overrides: {},
+      notes: "",
+      locked: false,
+      thumbnail: null
+    });
+    onProgress(scanWeight + ((1 - scanWeight) * (i + 1)) / ranges.length);
+    onStatus(`Captured scene ${i + 1} / ${ranges.length}`);
+  }
+
+  const { template, ...projectSettings } = settings;
+  const brief = {
+    projectTitle: settings.projectTitle,
+    audienceNotes: settings.audienceNotes,
+    tone: settings.tone,
+    objective: settings.objective,
+    stylePreset: settings.stylePreset,
+    focusAreas: settings.focusAreas,
+    customDirectives: settings.customDirectives
+  };
+  const { scenes: composed, prompt } = buildPrompts(scenes, {
+    ...brief,
+    audio,
+    template,
+    moodBoard: settings.moodBoard,
+    transcript: settings.transcript
+  });
+  const videoMeta = { duration, width: source.width, height: source.height };
+  return buildExportDocument({
+    settings: projectSettings,
+    videoMeta,
+    fileName: source.fileName,
+    scenes: composed,
+    sequences: describeSequences(composed, brief),
+    masterPrompt: prompt,
+    modelPrompt:
+      settings.targetModel === "blueprint"
+        ? prompt
+        : formatForModel(settings.targetModel, { ...brief, scenes: composed, videoMeta })
+  });
+}
+
+// Frame sources snap to the nearest frame they have, so the interval is taken
+// from the frames actually returned; two identical frames mean no estimate.
+async function measureMotion(source, time, duration) {
+  const { forward, companionTime, interval } = companionTiming(time, duration);
+  if (!interval) return null;
+  const anchor = await source.frameAt(time, motionSize);
+  const companion = await source.frameAt(companionTime, motionSize);
+  const measured = Math.abs(companion.time - anchor.time);
+  if (!measured) return null;
+  const anchorPlane = toLumaPlane(anchor.image);
+  const companionPlane = toLumaPlane(companion.image);
+  return forward
+    ? estimateMotion(anchorPlane, companionPlane, measured)
+    : estimateMotion(companionPlane, anchorPlane, measured);
+}
@@ -0,0 +1,287 @@
+const targetSamples = 55000;
+const directionThreshold = 0.25;
+const backlightRatio = 0.55;
+const silhouetteLevel = 0.1;
+const clipLevel = 250;
+const crushLevel = 8;
+const notableShare = 0.02;
+const minSubjectPixels = 16;
+// McCamy's cubic tracks the black-body curve from about 1800K (n = -0.98) to
+// 12000K (n = 0.7) and only for colours close to it; further than this from
+// the curve (CIE 1960 uv distance) a colour has no meaningful temperature.
+const mccamyRange = { min: -0.98, max: 0.7 };
+const maxLocusDistance = 0.02;
+// ln(R/B) of black-body light in linear sRGB, warmest first, for colour casts
+// McCamy cannot place. Blue goes negative below 2000K, so the table stops there.
+const redBlueLocus = [
+  [4.835, 2000],
+  [2.685, 2500],
+  [1.869, 3000],
+  [1.351, 3500],
+  [0.976, 4000],
+  [0.463, 5000],
+  [0.007, 6500],
+  [-0.267, 8000],
+  [-0.494, 10000],
+  [-0.639, 12000]
+];
+
+// Where the light comes from, how hard it is, what colour it is and whether
+// the exposure is holding. Light is compared in linear units so a "4:1" ratio
+// means what a gaffer would meter, not a difference in gamma-encoded values.
+// `subject` is an optional face/person box in 0–1 units; when present the key
+// direction is read across the subject instead of the whole frame.
+export function analyzeLighting(imageData, width, height, subject = null) {
+  const data = imageData.data;
+  const totalPixels = width * height;
+  const step = Math.max(1, Math.floor(totalPixels / targetSamples));
+  const subjectBox = subjectPixels(subject, width, height);
+
+  const grid = Array.from({ length: 9 }, () => ({ sum: 0, count: 0 }));
+  const halves = {
+    left: { sum: 0, count: 0 },
+    right: { sum: 0, count: 0 },
+    top: { sum: 0, count: 0 },
+    bottom: { sum: 0, count: 0 }
+  };
+  const inside = { sum: 0, count: 0 };
+  const outside = { sum: 0, count: 0 };
+  const neutral = { r: 0, g: 0, b: 0, count: 0 };
+  const midtone = { r: 0, g: 0, b: 0, count: 0 };
+  const highlight = { r: 0, g: 0, b: 0, count: 0 };
+  let clipped = 0;
+  let crushed = 0;
+  let sampled = 0;
+
+  for (let p = 0; p < totalPixels; p += step) {
+    const offset = p * 4;
+    const r = data[offset];
+    const g = data[offset + 1];
+    const b = data[offset + 2];
+    const x = p % width;
+    const y = (p - x) / width;
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+    const light = toLinear(luma);
+    const peak = Math.max(r, g, b);
+    sampled += 1;
+
+    if (peak >= clipLevel) clipped += 1;
+    if (luma <= crushLevel) crushed += 1;
+    const row = Math.min(2, Math.floor((y / height) * 3));
+    const column = Math.min(2, Math.floor((x / width) * 3));
+    accumulate(grid[row * 3 + column], light);
+
+    if (subjectBox) {
+      const within =
+        x >= subjectBox.left &&
+        x < subjectBox.right &&
+        y >= subjectBox.top &&
+        y < subjectBox.bottom;
+      if (within) {
+        accumulate(inside, light);
+        accumulate(x < subjectBox.centreX ? halves.left : halves.right, light);
+        accumulate(y < subjectBox.centreY ? halves.top : halves.bottom, light);
+      } else {
+        accumulate(outside, light);
+      }
+    }
+
+    // Near-neutral mid-tones carry the colour of the light itself; saturated
+    // surfaces mostly carry their own colour.
+    // Clipped pixels understate the brightest channel, so they are only used
+    // when nothing else is lit.
+    if (luma > 40 && peak < clipLevel) {
+      addColour(midtone, r, g, b);
+      if ((peak - Math.min(r, g, b)) / peak < 0.35) addColour(neutral, r, g, b);
+    } else if (luma > 40) {
+      addColour(highlight, r, g, b);
+    }
+  }
+
+  if (!sampled) return null;
+
+  const cells = grid.map(mean);
+  const useSubject = subjectBox && inside.count > 0 && outside.count > 0;
+  const sides = useSubject
+    ? {
+        left: mean(halves.left),
+        right: mean(halves.right),
+        top: mean(halves.top),
+        bottom: mean(halves.bottom)
+      }
+    : {
+        left: (cells[0] + cells[3] + cells[6]) / 3,
+        right: (cells[2] + cells[5] + cells[8]) / 3,
+        top: (cells[0] + cells[1] + cells[2]) / 3,
+        bottom: (cells[6] + cells[7] + cells[8]) / 3
+      };
+  const core = useSubject ? mean(inside) : cells[4];
+  const surround = useSubject
+    ? mean(outside)
+    : (cells.reduce((sum, value) => sum + value, 0) - cells[4]) / 8;
+
+  // Without a detected subject only a genuinely dark centre reads as a silhouette.
+  const backLit =
+    surround > 0 && core < surround * backlightRatio && (useSubject || core < silhouetteLevel);
+  const direction = backLit ? "back-lit" : lightDirection(sides);
+  const keyToFill = keyFillRatio(direction, sides, core, surround);
+  const illuminant =
+    neutral.count >= sampled * 0.05 ? neutral : midtone.count ? midtone : highlight;
+  const kelvin = illuminant.count ? colourTemperature(illuminant) : null;
+
+  const profile = {
+    direction,
+    keyToFill,
+    ratio: `${keyToFill}:1`,
+    kelvin,
+    temperature: kelvin ? describeTemperature(kelvin) : null,
+    clippedHighlights: round(clipped / sampled),
+    crushedBlacks: round(crushed / sampled),
+    measuredOn: useSubject ? "subject" : "frame"
+  };
+  return { ...profile, descriptor: describeLighting(profile) };
+}
+
+function lightDirection({ left, right, top, bottom }) {
+  const level = (left + right + top + bottom) / 4 || 1;
+  const horizontal = (right - left) / level;
+  const vertical = (top - bottom) / level;
+  if (Math.max(Math.abs(horizontal), Math.abs(vertical)) < directionThreshold) return "frontal";
+  if (Math.abs(horizontal) >= Math.abs(vertical)) return horizontal > 0 ? "right" : "left";
+  return vertical > 0 ? "top" : "bottom";
+}
+
+function keyFillRatio(direction, sides, core, surround) {
+  const pairs = {
+    left: [sides.left, sides.right],
+    right: [sides.right, sides.left],
+    top: [sides.top, sides.bottom],
+    bottom: [sides.bottom, sides.top],
+    "back-lit": [surround, core]
+  };
+  const [key, fill] = pairs[direction] ?? [
+    Math.max(sides.left, sides.right),
+    Math.min(sides.left, sides.right)
+  ];
+  const ratio = fill > 0 ? key / fill : 16;
+  return Math.min(16, Math.max(1, Math.round(ratio * 2) / 2));
+}
+
+// McCamy's approximation from CIE 1931 xy chromaticity of the average light,
+// checked against Krystek's fit of the black-body curve. Strong casts off the
+// curve (deep blue grades, green or magenta tints) fall back to the red/blue
+// balance, which keeps bluer light reading cooler however saturated it is.
+function colourTemperature({ r, g, b }) {
+  const X = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+  const Y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const Z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+  const total = X + Y + Z;
+  if (!total) return null;
+  const x = X / total;
+  const y = Y / total;
+  const n = (x - 0.332) / (0.1858 - y);
+  const cct = 449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33;
+  const onCurve =
+    n >= mccamyRange.min && n <= mccamyRange.max && locusDistance(x, y, cct) <= maxLocusDistance;
+  const kelvin = onCurve ? cct : redBlueTemperature(r, b);
+  if (kelvin === null) return null;
+  return Math.round(Math.min(12000, Math.max(1800, kelvin)) / 100) * 100;
+}
+
+function locusDistance(x, y, kelvin) {
+  const T = Math.min(15000, Math.max(1000, kelvin));
+  const locusU =
+    (0.860117757 + 1.54118254e-4 * T + 1.28641212e-7 * T ** 2) /
+    (1 + 8.42420235e-4 * T + 7.08145163e-7 * T ** 2);
+  const locusV =
+    (0.317398726 + 4.22806245e-5 * T + 4.20481691e-8 * T ** 2) /
+    (1 - 2.89741816e-5 * T + 1.61456053e-7 * T ** 2);
+  const denominator = -2 * x + 12 * y + 3;
+  return Math.hypot((4 * x) / denominator - locusU, (6 * y) / denominator - locusV);
+}
+
+// Interpolated in mireds between the black-body points either side.
+function redBlueTemperature(r, b) {
+  if (!r && !b) return null;
+  const balance = Math.log(r / b);
+  const first = redBlueLocus[0];
+  const last = redBlueLocus[redBlueLocus.length - 1];
+  if (balance >= first[0]) return first[1];
+  if (balance <= last[0]) return last[1];
+  const upper = redBlueLocus.findIndex(([value]) => value < balance);
+  const [warmBalance, warmKelvin] = redBlueLocus[upper - 1];
+  const [coolBalance, coolKelvin] = redBlueLocus[upper];
+  const share = (warmBalance - balance) / (warmBalance - coolBalance);
+  return 1e6 / (1e6 / warmKelvin + share * (1e6 / coolKelvin - 1e6 / warmKelvin));
+}
+
+export function describeTemperature(kelvin) {
+  if (kelvin < 3400) return "warm tungsten";
+  if (kelvin < 4600) return "warm white";
+  if (kelvin < 7000) return "neutral daylight";
+  if (kelvin < 9000) return "cool overcast daylight";
+  return "blue-hour shade";
+}
+
+function describeLighting(profile) {
+  const { direction, keyToFill, kelvin, temperature, clippedHighlights, crushedBlacks } = profile;
+  const source =
+    direction === "back-lit"
+      ? `back-lit with the background ${keyToFill}× brighter than the subject`
+      : direction === "frontal"
+      ? `frontal key at about ${keyToFill}:1`
+      : `key light from the ${direction} at roughly ${keyToFill}:1 key-to-fill`;
+  const parts = [
+    `${source}, ${fillCharacter(keyToFill)}`,
+    kelvin ? `${temperature} around ${kelvin}K` : null,
+    clippedHighlights >= notableShare
+      ? `clipped highlights in ${Math.round(clippedHighlights * 100)}% of the frame`
+      : null,
+    crushedBlacks >= notableShare
+      ? `crushed blacks in ${Math.round(crushedBlacks * 100)}% of the frame`
+      : null
+  ];
+  return parts.filter(Boolean).join("; ");
+}
+
+function fillCharacter(ratio) {
+  if (ratio < 2) return "soft and even";
+  if (ratio < 4) return "gentle modelling";
+  if (ratio < 8) return "dramatic low fill";
+  return "hard chiaroscuro";
+}
+
+function subjectPixels(subject, width, height) {
+  if (!subject) return null;
+  const left = Math.floor(subject.x * width);
+  const top = Math.floor(subject.y * height);
+  const right = Math.ceil((subject.x + subject.width) * width);
+  const bottom = Math.ceil((subject.y + subject.height) * height);
+  if (right - left < minSubjectPixels || bottom - top < minSubjectPixels) return null;
+  return { left, top, right, bottom, centreX: (left + right) / 2, centreY: (top + bottom) / 2 };
+}
+
+function toLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function accumulate(bucket, value) {
+  bucket.sum += value;
+  bucket.count += 1;
+}
+
+function mean({ sum, count }) {
+  return count ? sum / count : 0;
+}
+
+function addColour(bucket, r, g, b) {
+  bucket.r += toLinear(r);
+  bucket.g += toLinear(g);
+  bucket.b += toLinear(b);
+  bucket.count += 1;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
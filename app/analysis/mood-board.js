@@ -0,0 +1,231 @@
+import { analyzeFrame, describeColor } from "./frame";
+import { analysisSize } from "./frame-analyzer";
+import { createThumbnail } from "../export/storyboard";
+
+export const maxReferences = 12;
+
+const referenceHeight = 720;
+const lookSwatchCount = 6;
+const swatchMergeDistance = 24;
+const paletteTolerance = 220;
+const paletteDirectiveBelow = 0.6;
+const furthestSceneCount = 3;
+const furthestBelow = 80;
+
+// How far each measurement may drift before it stops counting as a match, and
+// its share of the score. Palette similarity makes up the rest.
+const metricWeights = [
+  { key: "brightness", tolerance: 0.35, weight: 0.15 },
+  { key: "contrast", tolerance: 0.5, weight: 0.15 },
+  { key: "saturation", tolerance: 0.4, weight: 0.2 },
+  { key: "warmth", tolerance: 0.3, weight: 0.2 }
+];
+const paletteWeight = 0.3;
+
+// Differences worth a note in the prompt, with the wording for each direction.
+const adjustments = [
+  { key: "saturation", threshold: 0.08, more: "push saturation up", less: "pull saturation down" },
+  {
+    key: "brightness",
+    threshold: 0.08,
+    more: "lift the exposure",
+    less: "bring the exposure down"
+  },
+  { key: "contrast", threshold: 0.1, more: "add contrast", less: "flatten the contrast" },
+  {
+    key: "warmth",
+    threshold: 0.05,
+    more: "warm the overall balance",
+    less: "cool the overall balance"
+  },
+  { key: "shadowWarmth", threshold: 0.04, more: "warm the shadows", less: "cool the shadows" },
+  {
+    key: "highlightWarmth",
+    threshold: 0.04,
+    more: "warm the highlights",
+    less: "cool the highlights"
+  }
+];
+
+let referenceSequence = 0;
+
+// Runs a client still through the same frame analysis as the video, at the
+// same default analysis height.
+export async function analyzeReferenceImage(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const size = analysisSize(bitmap.width, bitmap.height, referenceHeight);
+    const canvas = document.createElement("canvas");
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, size.width, size.height);
+    const imageData = context.getImageData(0, 0, size.width, size.height);
+    referenceSequence += 1;
+    return {
+      id: `reference-${Date.now().toString(36)}-${referenceSequence}`,
+      name: file.name,
+      thumbnail: createThumbnail(canvas),
+      analysis: analyzeFrame(imageData, size.width, size.height)
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+// The target look: averaged measurements and a merged palette across stills.
+export function summarizeMoodBoard(references) {
+  const analysed = references.filter((reference) => reference.analysis?.metrics);
+  if (!analysed.length) return null;
+  const swatches = mergeSwatches(
+    analysed.flatMap((reference) =>
+      (reference.analysis.swatches ?? []).map((swatch) => ({
+        ...swatch,
+        proportion: swatch.proportion / analysed.length
+      }))
+    )
+  );
+  return {
+    count: analysed.length,
+    metrics: averageMetrics(analysed.map((reference) => ({ metrics: reference.analysis.metrics }))),
+    swatches,
+    palette: swatches.length ? describeColor(...swatches[0].rgb) : "balanced palette"
+  };
+}
+
+// Scores every scene against the look and lists what would bring the footage
+// closer to it. Returns null without a usable mood board.
+export function compareToMoodBoard(scenes, references) {
+  const look = summarizeMoodBoard(references ?? []);
+  if (!look) return null;
+  const matches = scenes.map((scene) => matchScene(scene.analysis, look));
+  const scored = matches.filter((match) => match);
+  const footage = averageMetrics(
+    scenes
+      .filter((scene) => scene.analysis?.metrics)
+      .map((scene) => ({ metrics: scene.analysis.metrics, weight: sceneLength(scene) }))
+  );
+  const paletteMatch = scored.length
+    ? scored.reduce((sum, match) => sum + match.palette, 0) / scored.length
+    : 1;
+
+  return {
+    look,
+    scenes: matches,
+    average: scored.length
+      ? Math.round(scored.reduce((sum, match) => sum + match.score, 0) / scored.length)
+      : null,
+    directives: footage ? lookDirectives(footage, look, paletteMatch) : [],
+    furthest: matches
+      .map((match, index) => ({ index, ...match }))
+      .filter((match) => match.score !== undefined && match.score < furthestBelow)
+      .sort((a, b) => a.score - b.score)
+      .slice(0, furthestSceneCount)
+  };
+}
+
+function matchScene(analysis, look) {
+  if (!analysis?.metrics) return null;
+  let score = 0;
+  let weight = 0;
+  metricWeights.forEach(({ key, tolerance, weight: share }) => {
+    const value = analysis.metrics[key];
+    const target = look.metrics[key];
+    if (value === null || value === undefined || target === null || target === undefined) return;
+    score += share * (1 - Math.min(1, Math.abs(value - target) / tolerance));
+    weight += share;
+  });
+  const palette = paletteSimilarity(analysis.swatches ?? [], look.swatches);
+  if (palette !== null) {
+    score += paletteWeight * palette;
+    weight += paletteWeight;
+  }
+  if (!weight) return null;
+  return {
+    score: Math.round((score / weight) * 100),
+    palette: palette ?? 1,
+    directives: lookDirectives(analysis.metrics, look, palette ?? 1)
+  };
+}
+
+function lookDirectives(metrics, look, paletteMatch) {
+  const directives = adjustments
+    .map(({ key, threshold, more, less }) => {
+      const value = metrics[key];
+      const target = look.metrics[key];
+      if (value === null || value === undefined || target === null || target === undefined) {
+        return null;
+      }
+      const gap = target - value;
+      return Math.abs(gap) >= threshold
+        ? { text: gap > 0 ? more : less, strength: Math.abs(gap) / threshold }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.strength - a.strength)
+    .map((directive) => directive.text);
+  if (paletteMatch < paletteDirectiveBelow && look.swatches.length) {
+    const hexes = look.swatches.slice(0, 3).map((swatch) => swatch.hex);
+    directives.push(`shift the palette toward ${look.palette} (${hexes.join(", ")})`);
+  }
+  return directives;
+}
+
+// Proportion-weighted nearest-colour distance, taken both ways so a single
+// shared colour does not pass for a matching palette. 1 is identical.
+export function paletteSimilarity(swatches, target) {
+  if (!swatches.length || !target.length) return null;
+  const oneWay = (from, to) =>
+    from.reduce(
+      (sum, swatch) =>
+        sum + swatch.proportion * Math.min(...to.map((other) => colorDistance(swatch, other))),
+      0
+    ) / from.reduce((sum, swatch) => sum + swatch.proportion, 0);
+  const distance = (oneWay(swatches, target) + oneWay(target, swatches)) / 2;
+  return 1 - Math.min(1, distance / paletteTolerance);
+}
+
+function mergeSwatches(swatches) {
+  const merged = [];
+  swatches
+    .slice()
+    .sort((a, b) => b.proportion - a.proportion)
+    .forEach((swatch) => {
+      const near = merged.find((item) => colorDistance(item, swatch) < swatchMergeDistance);
+      if (near) {
+        near.proportion += swatch.proportion;
+      } else {
+        merged.push({ ...swatch });
+      }
+    });
+  return merged.sort((a, b) => b.proportion - a.proportion).slice(0, lookSwatchCount);
+}
+
+function averageMetrics(entries) {
+  if (!entries.length) return null;
+  const keys = Object.keys(entries[0].metrics).filter((key) => key !== "hue");
+  return Object.fromEntries(
+    keys.map((key) => {
+      const present = entries.filter((entry) => Number.isFinite(entry.metrics[key]));
+      const total = present.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+      return [
+        key,
+        total
+          ? present.reduce((sum, entry) => sum + entry.metrics[key] * (entry.weight ?? 1), 0) /
+            total
+          : null
+      ];
+    })
+  );
+}
+
+function sceneLength(scene) {
+  const length = (scene.end ?? scene.timestamp) - (scene.start ?? scene.timestamp);
+  return length > 0 ? length : 1;
+}
+
+function colorDistance(a, b) {
+  const [r1, g1, b1] = a.rgb;
+  const [r2, g2, b2] = b.rgb;
+  return Math.hypot(r1 - r2, g1 - g2, b1 - b2);
+}
@@ -0,0 +1,199 @@
+const blockSize = 16;
+const searchRadius = 12;
+const minBlockVariance = 40;
+const movingBlockThreshold = 1.5;
+
+export const motionSize = { width: 160, height: 90 };
+export const motionOffset = 0.25;
+
+export function toLumaPlane(imageData) {
+  const data = imageData.data;
+  const plane = new Float32Array(data.length / 4);
+  for (let i = 0; i < plane.length; i += 1) {
+    const offset = i * 4;
+    plane[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+  return plane;
+}
+
+export function estimateMotion(previous, next, interval) {
+  const { width, height } = motionSize;
+  const vectors = [];
+
+  for (let y = searchRadius; y + blockSize + searchRadius <= height; y += blockSize) {
+    for (let x = searchRadius; x + blockSize + searchRadius <= width; x += blockSize) {
+      if (blockVariance(previous, x, y) < minBlockVariance) continue;
+      const [dx, dy] = matchBlock(previous, next, x, y);
+      vectors.push({
+        x: x + blockSize / 2 - width / 2,
+        y: y + blockSize / 2 - height / 2,
+        dx,
+        dy
+      });
+    }
+  }
+
+  if (vectors.length < 4) {
+    return {
+      camera: "static",
+      cameraSpeed: 0,
+      zoomRate: 0,
+      subjectShare: 0,
+      subjectSpeed: 0,
+      descriptor: "locked-off frame with little readable motion"
+    };
+  }
+
+  const globalDx = median(vectors.map((vector) => vector.dx));
+  const globalDy = median(vectors.map((vector) => vector.dy));
+  const residuals = vectors.map((vector) => ({
+    ...vector,
+    rx: vector.dx - globalDx,
+    ry: vector.dy - globalDy
+  }));
+
+  const zoomRate =
+    residuals
+      .filter((vector) => vector.x || vector.y)
+      .reduce((sum, vector) => {
+        const radius = vector.x * vector.x + vector.y * vector.y;
+        return sum + (vector.rx * vector.x + vector.ry * vector.y) / radius;
+      }, 0) /
+    residuals.length /
+    interval;
+
+  const zoomScale = zoomRate * interval;
+  const moving = residuals
+    .map((vector) => ({
+      rx: vector.rx - zoomScale * vector.x,
+      ry: vector.ry - zoomScale * vector.y
+    }))
+    .filter((vector) => Math.hypot(vector.rx, vector.ry) > movingBlockThreshold);
+  const meanLength =
+    vectors.reduce((sum, vector) => sum + Math.hypot(vector.dx, vector.dy), 0) /
+    vectors.length;
+  const coherence = meanLength ? Math.hypot(globalDx, globalDy) / meanLength : 1;
+
+  const cameraSpeed = Math.hypot(globalDx, globalDy) / width / interval;
+  const subjectShare = moving.length / vectors.length;
+  const subjectSpeed = moving.length
+    ? moving.reduce((sum, vector) => sum + Math.hypot(vector.rx, vector.ry), 0) /
+      moving.length /
+      width /
+      interval
+    : 0;
+
+  let camera = "static";
+  if (Math.abs(zoomRate) > 0.04) {
+    camera = zoomRate > 0 ? "zoom in" : "zoom out";
+  } else if (cameraSpeed > 0.03 && coherence > 0.6) {
+    camera =
+      Math.abs(globalDx) >= Math.abs(globalDy)
+        ? globalDx < 0
+          ? "pan right"
+          : "pan left"
+        : globalDy < 0
+        ? "tilt down"
+        : "tilt up";
+  } else if (cameraSpeed > 0.01) {
+    camera = "handheld shake";
+  }
+
+  const motion = {
+    camera,
+    cameraSpeed,
+    zoomRate,
+    subjectShare,
+    subjectSpeed
+  };
+  return { ...motion, descriptor: describeMotion(motion) };
+}
+
+export function describeEnergy(motion) {
+  const fastCamera = motion.cameraSpeed > 0.2 || Math.abs(motion.zoomRate ?? 0) > 0.2;
+  const busySubject = motion.subjectShare > 0.35 && motion.subjectSpeed > 0.15;
+  if (fastCamera || busySubject) return "kinetic energy";
+  if (motion.camera !== "static" || motion.subjectShare > 0.1) return "dynamic pacing";
+  return "contemplative pacing";
+}
+
+function describeMotion({ camera, cameraSpeed, zoomRate, subjectShare, subjectSpeed }) {
+  const pace = (speed) => (speed > 0.2 ? "fast" : speed > 0.08 ? "steady" : "slow");
+  const cameraText =
+    camera === "static"
+      ? "static camera"
+      : camera === "handheld shake"
+      ? "handheld camera with light shake"
+      : camera.startsWith("zoom")
+      ? `${pace(Math.abs(zoomRate))} ${camera}`
+      : `${pace(cameraSpeed)} ${camera}`;
+
+  const subjectText =
+    subjectShare < 0.05
+      ? "still subject"
+      : subjectSpeed > 0.25
+      ? "rapid subject movement"
+      : subjectSpeed > 0.1 || subjectShare > 0.3
+      ? "active subject movement"
+      : "subtle subject movement";
+
+  return `${cameraText} with ${subjectText}`;
+}
+
+function matchBlock(previous, next, x, y) {
+  let best = [0, 0];
+  let bestCost = blockCost(previous, next, x, y, 0, 0);
+  for (let dy = -searchRadius; dy <= searchRadius; dy += 1) {
+    for (let dx = -searchRadius; dx <= searchRadius; dx += 1) {
+      if (!dx && !dy) continue;
+      const cost = blockCost(previous, next, x, y, dx, dy, bestCost);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = [dx, dy];
+      }
+    }
+  }
+  return best;
+}
+
+function blockCost(previous, next, x, y, dx, dy, limit = Infinity) {
+  const { width } = motionSize;
+  let cost = 0;
+  for (let row = 0; row < blockSize; row += 1) {
+    const source = (y + row) * width + x;
+    const target = (y + row + dy) * width + x + dx;
+    for (let col = 0; col < blockSize; col += 1) {
+      cost += Math.abs(previous[source + col] - next[target + col]);
+    }
+    if (cost >= limit) return cost;
+  }
+  return cost;
+}
+
+function blockVariance(plane, x, y) {
+  const { width } = motionSize;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let row = 0; row < blockSize; row += 1) {
+    for (let col = 0; col < blockSize; col += 1) {
+      const value = plane[(y + row) * width + x + col];
+      sum += value;
+      sumSquares += value * value;
+    }
+  }
+  const count = blockSize * blockSize;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export function companionTiming(time, duration) {
+  const forward = time + motionOffset <= duration - 0.05;
+  const companionTime = forward ? time + motionOffset : Math.max(0, time - motionOffset);
+  return { forward, companionTime, interval: Math.abs(companionTime - time) };
+}
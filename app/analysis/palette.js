@@ -0,0 +1,141 @@
+const defaultSwatchCount = 5;
+const paletteSampleSize = 4000;
+const maxIterations = 10;
+
+// The `count` largest colour clusters, biggest first. Fewer come back only when
+// the frame has fewer distinct colours than that.
+export function extractPalette(imageData, count = defaultSwatchCount) {
+  const pixels = samplePixels(imageData.data, paletteSampleSize);
+  if (!pixels.length) return [];
+
+  const centroids = seedCentroids(pixels, Math.min(count, pixels.length));
+  const assignments = new Int32Array(pixels.length).fill(-1);
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    if (!assignNearest(pixels, centroids, assignments)) break;
+
+    const sums = centroids.map(() => [0, 0, 0, 0]);
+    for (let i = 0; i < pixels.length; i += 1) {
+      const sum = sums[assignments[i]];
+      sum[0] += pixels[i][0];
+      sum[1] += pixels[i][1];
+      sum[2] += pixels[i][2];
+      sum[3] += 1;
+    }
+    sums.forEach((sum, index) => {
+      if (sum[3]) {
+        centroids[index] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+      }
+    });
+  }
+  // Stopping at maxIterations leaves the centroids one update ahead of the
+  // assignments, so count shares against where the centroids ended up.
+  assignNearest(pixels, centroids, assignments);
+
+  const counts = new Array(centroids.length).fill(0);
+  for (let i = 0; i < assignments.length; i += 1) {
+    counts[assignments[i]] += 1;
+  }
+
+  return centroids
+    .map((centroid, index) => {
+      const rgb = centroid.map((channel) => Math.round(channel));
+      return { hex: rgbToHex(rgb), rgb, proportion: counts[index] / pixels.length };
+    })
+    .filter((swatch) => swatch.proportion > 0)
+    .sort((a, b) => b.proportion - a.proportion);
+}
+
+export function formatPalette(swatches) {
+  return swatches
+    .map((swatch) => `${swatch.hex} ${percentLabel(swatch.proportion)}`)
+    .join(", ");
+}
+
+function percentLabel(proportion) {
+  const percent = Math.round(proportion * 100);
+  return percent ? `${percent}%` : "<1%";
+}
+
+export function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+}
+
+function samplePixels(data, sampleSize) {
+  const pixelCount = data.length / 4;
+  const step = Math.max(1, Math.floor(pixelCount / sampleSize));
+  const pixels = [];
+  for (let i = 0; i < pixelCount; i += step) {
+    const offset = i * 4;
+    if (data[offset + 3] < 128) continue;
+    pixels.push([data[offset], data[offset + 1], data[offset + 2]]);
+  }
+  return pixels;
+}
+
+// k-means++ seeding with a fixed-seed generator so the same frame always
+// yields the same palette.
+function seedCentroids(pixels, count) {
+  const random = seededRandom(pixels.length);
+  const centroids = [pixels[Math.floor(random() * pixels.length)]];
+  const distances = pixels.map((pixel) => squaredDistance(pixel, centroids[0]));
+
+  while (centroids.length < count) {
+    const total = distances.reduce((sum, value) => sum + value, 0);
+    if (!total) break;
+    let target = random() * total;
+    let chosen = 0;
+    for (; chosen < pixels.length - 1; chosen += 1) {
+      target -= distances[chosen];
+      if (target <= 0) break;
+    }
+    centroids.push(pixels[chosen]);
+    for (let i = 0; i < pixels.length; i += 1) {
+      distances[i] = Math.min(distances[i], squaredDistance(pixels[i], pixels[chosen]));
+    }
+  }
+
+  return centroids.map((centroid) => centroid.slice());
+}
+
+function assignNearest(pixels, centroids, assignments) {
+  let changed = false;
+  for (let i = 0; i < pixels.length; i += 1) {
+    const nearest = nearestCentroid(pixels[i], centroids);
+    if (nearest !== assignments[i]) {
+      assignments[i] = nearest;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function nearestCentroid(pixel, centroids) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < centroids.length; i += 1) {
+    const distance = squaredDistance(pixel, centroids[i]);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+function squaredDistance(a, b) {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  return dr * dr + dg * dg + db * db;
+}
+
+function seededRandom(seed) {
+  let state = (seed * 2654435761) >>> 0 || 1;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+}
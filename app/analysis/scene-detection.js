@@ -0,0 +1,170 @@
+const histogramBins = 32;
+const maxProbeCount = 240;
+const minSceneLength = 0.8;
+const denseWindow = 120;
+const sameCaptureGap = 0.25;
+
+export const probeSize = { width: 96, height: 54 };
+export const maxSceneCount = 300;
+
+export const captureModes = [
+  { id: "scenes", label: "Detect shot boundaries" },
+  { id: "interval", label: "Even intervals" },
+  { id: "manual", label: "Manual markers only" }
+];
+
+// Short clips get roughly one capture every 20s per granularity step; after
+// the first two minutes density drops to a sixth so long footage stays tractable.
+export function sceneBudget(duration, granularity) {
+  if (!duration) return 0;
+  const perSecond = (granularity + 1) / 20;
+  const dense = Math.min(duration, denseWindow) * perSecond;
+  const sparse = Math.max(0, duration - denseWindow) * (perSecond / 6);
+  return Math.min(maxSceneCount, Math.max(3, Math.round(dense + sparse)));
+}
+
+export function probeInterval(duration) {
+  if (!duration) return 0;
+  return Math.min(2, Math.max(0.25, duration / maxProbeCount));
+}
+
+export function lumaSignature(imageData) {
+  const data = imageData.data;
+  const histogram = new Array(histogramBins).fill(0);
+  let lumaSum = 0;
+  let sampled = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    histogram[Math.min(histogramBins - 1, Math.floor((luma / 256) * histogramBins))] += 1;
+    lumaSum += luma;
+    sampled += 1;
+  }
+
+  if (!sampled) {
+    return { histogram, luma: 0 };
+  }
+
+  return {
+    histogram: histogram.map((count) => count / sampled),
+    luma: lumaSum / sampled
+  };
+}
+
+export function signatureDistance(a, b) {
+  let histogramDelta = 0;
+  for (let i = 0; i < histogramBins; i += 1) {
+    histogramDelta += Math.abs(a.histogram[i] - b.histogram[i]);
+  }
+  const lumaDelta = Math.abs(a.luma - b.luma) / 255;
+  return 0.7 * (histogramDelta / 2) + 0.3 * lumaDelta;
+}
+
+export function sensitivityThreshold(sensitivity) {
+  const clamped = Math.min(7, Math.max(1, sensitivity));
+  return 0.5 - (clamped - 1) * 0.065;
+}
+
+export function buildSceneRanges(samples, duration, { sensitivity, maxScenes }) {
+  if (!duration) return [];
+  const threshold = sensitivityThreshold(sensitivity);
+  const cuts = [];
+
+  for (let i = 1; i < samples.length; i += 1) {
+    const score = signatureDistance(samples[i - 1], samples[i]);
+    if (score < threshold) continue;
+    const time = (samples[i - 1].time + samples[i].time) / 2;
+    if (time < minSceneLength || duration - time < minSceneLength) continue;
+    const previous = cuts[cuts.length - 1];
+    if (previous && time - previous.time < minSceneLength) {
+      if (score > previous.score) {
+        cuts[cuts.length - 1] = { time, score };
+      }
+      continue;
+    }
+    cuts.push({ time, score });
+  }
+
+  const kept = cuts
+    .slice()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(0, maxScenes - 1))
+    .sort((a, b) => a.time - b.time);
+
+  const boundaries = [0, ...kept.map((cut) => cut.time), duration];
+  const ranges = [];
+  for (let i = 0; i < boundaries.length - 1; i += 1) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    ranges.push({
+      start,
+      end,
+      timestamp: Math.min(duration - 0.1, start + (end - start) / 2),
+      cutScore: kept[i - 1]?.score ?? null
+    });
+  }
+  return ranges;
+}
+
+export function buildCapturePoints(duration, sceneCount) {
+  if (!duration || !sceneCount) return [];
+  const points = [];
+  const safeDuration = Math.max(duration - 0.5, duration);
+  const step = safeDuration / (sceneCount + 1);
+  for (let i = 1; i <= sceneCount; i += 1) {
+    points.push(Math.min(duration - 0.1, step * i));
+  }
+  return points;
+}
+
+export function rangesFromCapturePoints(points, duration) {
+  return points.map((timestamp, i) => ({
+    start: i === 0 ? 0 : (points[i - 1] + timestamp) / 2,
+    end: i === points.length - 1 ? duration : (timestamp + points[i + 1]) / 2,
+    timestamp,
+    cutScore: null
+  }));
+}
+
+// Manual markers are added to the automatic captures rather than replacing
+// them: a range holding markers keeps its automatic capture and is split between
+// neighbouring capture times, so each one covers the span closest to it. A
+// marker on top of an automatic capture takes it over.
+export function mergeManualPoints(ranges, points, duration) {
+  const sorted = points
+    .map((time) => Math.min(Math.max(0, time), Math.max(0, duration - 0.05)))
+    .sort((a, b) => a - b);
+  if (!sorted.length) return ranges;
+  if (!ranges.length) {
+    return rangesFromCapturePoints(sorted, duration).map((range) => ({ ...range, manual: true }));
+  }
+
+  const merged = [];
+  ranges.forEach((range, position) => {
+    const isLast = position === ranges.length - 1;
+    const inside = sorted.filter(
+      (time) => time >= range.start && (time < range.end || (isLast && time <= range.end))
+    );
+    if (!inside.length) {
+      merged.push(range);
+      return;
+    }
+    const replacesAutomatic = inside.some(
+      (time) => Math.abs(time - range.timestamp) < sameCaptureGap
+    );
+    const captures = [
+      ...(replacesAutomatic ? [] : [{ time: range.timestamp, manual: false }]),
+      ...inside.map((time) => ({ time, manual: true }))
+    ].sort((a, b) => a.time - b.time);
+    captures.forEach((capture, i) => {
+      merged.push({
+        start: i === 0 ? range.start : (captures[i - 1].time + capture.time) / 2,
+        end: i === captures.length - 1 ? range.end : (capture.time + captures[i + 1].time) / 2,
+        timestamp: capture.time,
+        cutScore: i === 0 ? range.cutScore : null,
+        ...(capture.manual ? { manual: true } : {})
+      });
+    });
+  });
+  return merged;
+}
@@ -0,0 +1,228 @@
+import { rgbToHex } from "./palette";
+
+const longFormDuration = 300;
+const longFormSceneCount = 12;
+const targetSequenceLength = 180;
+const maxSequences = 24;
+const swatchMergeDistance = 48;
+const sequenceSwatchCount = 5;
+export const labelFields = ["palette", "lighting", "contrast", "saturation", "mood", "energy"];
+
+export function isLongForm(scenes) {
+  return scenes.length > longFormSceneCount || sceneSpan(scenes) >= longFormDuration;
+}
+
+// Clusters neighbouring scenes into sequences by repeatedly merging the most
+// similar adjacent pair; longer groups pay a penalty so chapters stay balanced.
+export function assignSequences(scenes) {
+  if (!isLongForm(scenes)) {
+    return scenes.map((scene) => ({ ...scene, sequence: null }));
+  }
+
+  const span = sceneSpan(scenes);
+  const target = Math.min(
+    scenes.length,
+    maxSequences,
+    Math.max(2, Math.round(span / targetSequenceLength))
+  );
+  const groups = scenes.map((scene, index) => ({
+    members: [index],
+    duration: sceneDuration(scene),
+    features: sceneFeatures(scene.analysis)
+  }));
+
+  while (groups.length > target) {
+    let best = 0;
+    let bestCost = Infinity;
+    for (let i = 0; i < groups.length - 1; i += 1) {
+      const cost =
+        featureDistance(groups[i].features, groups[i + 1].features) +
+        (groups[i].duration + groups[i + 1].duration) / (span || 1);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = i;
+      }
+    }
+    groups.splice(best, 2, mergeGroups(groups[best], groups[best + 1]));
+  }
+
+  const sequenceOf = new Array(scenes.length);
+  groups.forEach((group, sequence) => {
+    group.members.forEach((index) => {
+      sequenceOf[index] = sequence;
+    });
+  });
+  return scenes.map((scene, index) => ({ ...scene, sequence: sequenceOf[index] }));
+}
+
+export function collectSequences(scenes) {
+  const sequences = [];
+  scenes.forEach((scene) => {
+    if (scene.sequence === null || scene.sequence === undefined) return;
+    let sequence = sequences[sequences.length - 1];
+    if (!sequence || sequence.index !== scene.sequence) {
+      sequence = { index: scene.sequence, scenes: [] };
+      sequences.push(sequence);
+    }
+    sequence.scenes.push(scene);
+  });
+
+  return sequences.map(({ index, scenes: members }) => ({
+    index,
+    start: members[0].start ?? members[0].timestamp,
+    end: members[members.length - 1].end ?? members[members.length - 1].timestamp,
+    timestamp: members[0].timestamp,
+    sceneIndexes: members.map((scene) => scene.index),
+    ...summarizeScenes(members)
+  }));
+}
+
+// Duration-weighted look of a run of scenes: the prevailing descriptor per
+// field, a merged palette and the dominant sound character.
+export function summarizeScenes(scenes) {
+  const weights = scenes.map(sceneDuration);
+  const analysis = {};
+  labelFields.forEach((field) => {
+    analysis[field] = weightedMode(scenes.map((scene) => scene.analysis[field]), weights);
+  });
+  analysis.swatches = mergeSwatches(scenes, weights);
+  const soundWindows = scenes.map((scene) => scene.analysis.audio).filter(Boolean);
+  analysis.sound = soundWindows.length
+    ? weightedMode(
+        soundWindows.map((window) => window.character),
+        soundWindows.map(() => 1)
+      )
+    : null;
+
+  return {
+    sceneCount: scenes.length,
+    opening: scenes[0]?.analysis.palette ?? null,
+    closing: scenes[scenes.length - 1]?.analysis.palette ?? null,
+    analysis
+  };
+}
+
+function sceneSpan(scenes) {
+  if (!scenes.length) return 0;
+  const starts = scenes.map((scene) => scene.start ?? scene.timestamp);
+  const ends = scenes.map((scene) => scene.end ?? scene.timestamp);
+  return Math.max(...ends) - Math.min(...starts);
+}
+
+function sceneDuration(scene) {
+  const length = (scene.end ?? scene.timestamp) - (scene.start ?? scene.timestamp);
+  return Math.max(0.1, length);
+}
+
+function sceneFeatures(analysis) {
+  const swatches = analysis.swatches ?? [];
+  const total = swatches.reduce((sum, swatch) => sum + swatch.proportion, 0);
+  const color = total
+    ? [0, 1, 2].map(
+        (channel) =>
+          swatches.reduce((sum, swatch) => sum + swatch.rgb[channel] * swatch.proportion, 0) /
+          total /
+          255
+      )
+    : null;
+  const labels = {};
+  labelFields.forEach((field) => {
+    labels[field] = { [analysis[field]]: 1 };
+  });
+  return { color, labels, weight: 1 };
+}
+
+function featureDistance(a, b) {
+  const colorDelta =
+    a.color && b.color
+      ? Math.hypot(a.color[0] - b.color[0], a.color[1] - b.color[1], a.color[2] - b.color[2]) /
+        Math.sqrt(3)
+      : 0.5;
+  let labelDelta = 0;
+  labelFields.forEach((field) => {
+    const left = a.labels[field];
+    const right = b.labels[field];
+    const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+    let overlap = 0;
+    keys.forEach((key) => {
+      overlap += Math.min((left[key] ?? 0) / a.weight, (right[key] ?? 0) / b.weight);
+    });
+    labelDelta += 1 - overlap;
+  });
+  return 0.6 * colorDelta + 0.4 * (labelDelta / labelFields.length);
+}
+
+function mergeGroups(a, b) {
+  const weight = a.features.weight + b.features.weight;
+  const color =
+    a.features.color && b.features.color
+      ? a.features.color.map(
+          (value, channel) =>
+            (value * a.features.weight + b.features.color[channel] * b.features.weight) / weight
+        )
+      : a.features.color ?? b.features.color;
+  const labels = {};
+  labelFields.forEach((field) => {
+    const merged = { ...a.features.labels[field] };
+    Object.entries(b.features.labels[field]).forEach(([key, count]) => {
+      merged[key] = (merged[key] ?? 0) + count;
+    });
+    labels[field] = merged;
+  });
+  return {
+    members: [...a.members, ...b.members],
+    duration: a.duration + b.duration,
+    features: { color, labels, weight }
+  };
+}
+
+function weightedMode(values, weights) {
+  const totals = new Map();
+  values.forEach((value, i) => {
+    if (!value) return;
+    totals.set(value, (totals.get(value) ?? 0) + weights[i]);
+  });
+  let best = null;
+  totals.forEach((total, value) => {
+    if (best === null || total > totals.get(best)) best = value;
+  });
+  return best;
+}
+
+function mergeSwatches(scenes, weights) {
+  const buckets = [];
+  scenes
+    .flatMap((scene, i) =>
+      (scene.analysis.swatches ?? []).map((swatch) => ({
+        rgb: swatch.rgb,
+        weight: swatch.proportion * weights[i]
+      }))
+    )
+    .sort((a, b) => b.weight - a.weight)
+    .forEach((swatch) => {
+      const bucket = buckets.find(
+        (item) =>
+          Math.hypot(
+            item.rgb[0] - swatch.rgb[0],
+            item.rgb[1] - swatch.rgb[1],
+            item.rgb[2] - swatch.rgb[2]
+          ) < swatchMergeDistance
+      );
+      if (!bucket) {
+        buckets.push({ rgb: swatch.rgb.slice(), weight: swatch.weight });
+        return;
+      }
+      const total = bucket.weight + swatch.weight;
+      bucket.rgb = bucket.rgb.map(
+        (value, channel) => (value * bucket.weight + swatch.rgb[channel] * swatch.weight) / total
+      );
+      bucket.weight = total;
+    });
+
+  const kept = buckets.sort((a, b) => b.weight - a.weight).slice(0, sequenceSwatchCount);
+  const total = kept.reduce((sum, bucket) => sum + bucket.weight, 0) || 1;
+  return kept.map((bucket) => {
+    const rgb = bucket.rgb.map((value) => Math.round(value));
+    return { hex: rgbToHex(rgb), rgb, proportion: bucket.weight / total };
+  });
+}
@@ -0,0 +1,268 @@
+import { formatRange } from "../prompts/text";
+
+export const maxCueCount = 5000;
+
+const clockPattern = String.raw`(?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3}`;
+const timingPattern = new RegExp(`(${clockPattern})\\s*-->\\s*(${clockPattern})`);
+const speakerPrefix = /^([A-Z][\w'’.-]*(?: [A-Z][\w'’.-]*){0,2}):\s+(.+)$/;
+const voiceTag = /^<v(?:\.[\w.-]+)?\s+([^>]+)>/i;
+const keyLineLength = 90;
+const trackWait = 2000;
+
+// Reads SRT or WebVTT text into cues of { start, end, text, speaker, turn }.
+// Speakers come from VTT voice tags or "NAME:" prefixes; a line starting with
+// a dash inside a cue marks a new speaker whose name is not given.
+export function parseSubtitles(text) {
+  const blocks = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  const cues = [];
+  blocks.forEach((block) => {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => timingPattern.test(line));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+    const [, start, end] = lines[timingIndex].match(timingPattern);
+    const body = lines.slice(timingIndex + 1);
+    cues.push(...cueLines(parseTimestamp(start), parseTimestamp(end), body));
+  });
+  if (!cues.length) {
+    throw new Error("no subtitle cues found; expected an SRT or WebVTT file");
+  }
+  return cues.sort((a, b) => a.start - b.start).slice(0, maxCueCount);
+}
+
+// Collects cues from caption and subtitle tracks the browser exposes on a
+// <video>, including tracks muxed into the file where the browser supports it.
+export async function readTextTracks(video) {
+  const tracks = Array.from(video?.textTracks ?? []).filter(
+    (track) => track.kind === "subtitles" || track.kind === "captions"
+  );
+  const results = [];
+  for (const track of tracks) {
+    const previousMode = track.mode;
+    if (previousMode === "disabled") track.mode = "hidden";
+    await waitForCues(track);
+    const cues = Array.from(track.cues ?? []).flatMap((cue) =>
+      cueLines(cue.startTime, cue.endTime, String(cue.text ?? "").split("\n"))
+    );
+    track.mode = previousMode;
+    if (cues.length) {
+      results.push({
+        name: track.label || track.language || `embedded track ${results.length + 1}`,
+        cues: cues.slice(0, maxCueCount)
+      });
+    }
+  }
+  return results;
+}
+
+// Lines spoken inside a scene (by cue midpoint), the speakers heard, how often
+// the speaker changes and the line most likely to carry the beat.
+export function summarizeDialogue(cues, start, end) {
+  const lines = cuesBetween(cues, start, end);
+  if (!lines.length) return null;
+  const speakers = Array.from(new Set(lines.map((cue) => cue.speaker).filter(Boolean)));
+  const speakerChanges = lines.filter((cue, index) => index > 0 && isTurn(lines[index - 1], cue))
+    .length;
+  const keyLine = pickKeyLine(lines);
+  const who = speakers.length
+    ? `${joinNames(speakers)} ${speakers.length > 1 ? "trade" : "speaks"} ${plural(
+        lines.length,
+        "line"
+      )}`
+    : `${plural(lines.length, "line")} of dialogue`;
+  const changes = speakerChanges ? `, ${plural(speakerChanges, "speaker change")}` : "";
+  return {
+    lineCount: lines.length,
+    speakers,
+    speakerChanges,
+    keyLine,
+    descriptor: `${who}${changes}; key line ${quoteLine(keyLine)}`
+  };
+}
+
+// Splits the transcript into setup, turn and resolution. The turn is the cue
+// in the middle half of the runtime that most changes the conversation: after
+// a pause, on a new speaker, a question or exclamation, or where dialogue gets
+// denser or sparser.
+export function buildNarrativeArc(cues, scenes) {
+  if (!cues.length) return null;
+  const duration = Math.max(
+    cues[cues.length - 1].end,
+    ...scenes.map((scene) => scene.end ?? scene.timestamp)
+  );
+  const window = duration * 0.15;
+  let turn = null;
+  cues.forEach((cue, index) => {
+    if (cue.start < duration * 0.25 || cue.start > duration * 0.75) return;
+    const previous = cues[index - 1];
+    const gap = previous ? Math.max(0, cue.start - previous.end) : 0;
+    const before = cuesBetween(cues, cue.start - window, cue.start).length;
+    const after = cuesBetween(cues, cue.start, cue.start + window).length;
+    const score =
+      (Math.min(gap, 5) / 5) * 2 +
+      (previous && isTurn(previous, cue) ? 1 : 0) +
+      (/[?!]/.test(cue.text) ? 1 : 0) +
+      (Math.abs(after - before) / Math.max(1, after, before)) * 2;
+    if (!turn || score > turn.score) turn = { time: cue.start, score };
+  });
+
+  // The turn's scene stands in for the turn unless it is the first or last
+  // scene, which would leave no setup or resolution.
+  const turnTime = turn?.time ?? duration / 2;
+  const turnScene = scenes.find(
+    (scene) =>
+      turnTime >= (scene.start ?? scene.timestamp) &&
+      turnTime < (scene.end ?? Infinity) &&
+      scene.start > 0 &&
+      scene.end < duration
+  );
+  const turnStart = turnScene ? turnScene.start : Math.max(0, turnTime - window / 2);
+  const turnEnd = turnScene ? turnScene.end : Math.min(duration, turnTime + window / 2);
+
+  return [
+    { label: "Setup", start: 0, end: turnStart },
+    { label: "Turn", start: turnStart, end: turnEnd },
+    { label: "Resolution", start: turnEnd, end: duration }
+  ]
+    .filter((section) => section.end - section.start > 0.05)
+    .map((section) => {
+      const lines = cuesBetween(cues, section.start, section.end);
+      const sectionScenes = scenes.filter(
+        (scene) =>
+          (scene.start ?? scene.timestamp) < section.end &&
+          (scene.end ?? scene.timestamp) > section.start
+      );
+      const speakers = Array.from(new Set(lines.map((cue) => cue.speaker).filter(Boolean)));
+      return {
+        ...section,
+        range: formatRange({ timestamp: section.start, ...section }),
+        sceneList: describeSceneList(sectionScenes),
+        descriptor: lines.length
+          ? `${speakers.length ? `${joinNames(speakers)}; ` : ""}${plural(
+              lines.length,
+              "line"
+            )}, key line ${quoteLine(pickKeyLine(lines))}`
+          : "no dialogue"
+      };
+    });
+}
+
+function cueLines(start, end, rawLines) {
+  const lines = [];
+  let speaker = null;
+  rawLines
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line, index) => {
+      const voice = line.match(voiceTag);
+      let text = line;
+      let turn = false;
+      if (voice) {
+        speaker = voice[1].trim();
+      } else if (/^[-–]\s*/.test(text)) {
+        text = text.replace(/^[-–]\s*/, "");
+        speaker = null;
+        turn = index > 0;
+      }
+      text = cleanText(text);
+      const named = text.match(speakerPrefix);
+      if (named) {
+        speaker = named[1];
+        text = named[2];
+      }
+      if (!text) return;
+      if (lines.length && !turn && lines[lines.length - 1].speaker === speaker) {
+        lines[lines.length - 1].text += ` ${text}`;
+        return;
+      }
+      lines.push({ start, end, text, speaker, turn });
+    });
+  return lines;
+}
+
+function cleanText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/\[[^\]]*\]|\([^)]*\)|♪/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseTimestamp(value) {
+  const [clock, fraction] = value.replace(",", ".").split(".");
+  const parts = clock.split(":").map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds + Number(`0.${fraction}`);
+}
+
+function cuesBetween(cues, start, end) {
+  return cues.filter((cue) => {
+    const middle = (cue.start + cue.end) / 2;
+    return middle >= start && middle < end;
+  });
+}
+
+function isTurn(previous, cue) {
+  return cue.turn || Boolean(previous.speaker && cue.speaker && previous.speaker !== cue.speaker);
+}
+
+// Prefers full sentences, questions and exclamations, and lines that open a
+// new speaker's turn; very short interjections rarely carry a beat.
+function pickKeyLine(lines) {
+  let best = null;
+  lines.forEach((cue, index) => {
+    const words = cue.text.split(/\s+/).length;
+    const score =
+      Math.min(words, 12) +
+      (/[?!]/.test(cue.text) ? 4 : 0) +
+      (index > 0 && isTurn(lines[index - 1], cue) ? 2 : 0) -
+      (words < 3 ? 6 : 0);
+    if (!best || score > best.score) best = { score, cue };
+  });
+  return { text: best.cue.text, speaker: best.cue.speaker, time: best.cue.start };
+}
+
+// Drops a closing full stop so the line sits inside a sentence of the prompt.
+function quoteLine({ text, speaker }) {
+  const line = text.replace(/\.$/, "");
+  const clipped = line.length > keyLineLength ? `${line.slice(0, keyLineLength - 1)}…` : line;
+  return `${speaker ? `${speaker}: ` : ""}“${clipped}”`;
+}
+
+function describeSceneList(scenes) {
+  if (!scenes.length) return "";
+  const first = scenes[0].index + 1;
+  const last = scenes[scenes.length - 1].index + 1;
+  return first === last ? `scene ${first}` : `scenes ${first}–${last}`;
+}
+
+function joinNames(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+    : names[0];
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function waitForCues(track) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const check = () => {
+      if (track.cues?.length || Date.now() - started > trackWait) {
+        resolve();
+      } else {
+        setTimeout(check, 100);
+      }
+    };
+    check();
+  });
+}
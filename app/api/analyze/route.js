@@ -0,0 +1,106 @@
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { analyzeVideo, attachTranscript } from "../../analysis/headless";
+import { parseSubtitles } from "../../analysis/transcript";
+import { openFrameDirectory, openVideoFile } from "../../sources/frame-sources";
+import { UploadError, receiveMultipart } from "../../sources/uploads";
+import { maxRemoteBytes } from "../../sources/video-sources";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// Headless version of "Generate Prompt" for pipeline scripts. Takes multipart
+// form data with either a `video` file or several `frames` images (plus an
+// optional `frameInterval` in seconds or a `manifest` frames.json), an optional
+// `subtitles` SRT/WebVTT file, and a `settings` JSON string in the page's
+// settings shape. Responds with the same document as the JSON export. Uploads
+// are streamed to a temporary folder rather than read into memory.
+export async function POST(request) {
+  const length = Number(request.headers.get("content-length")) || 0;
+  if (length > maxRemoteBytes) {
+    return errorResponse(413, "Uploads are limited to 2 GB.");
+  }
+
+  const directory = await mkdtemp(path.join(tmpdir(), "video-prompt-"));
+  const framesDirectory = path.join(directory, "frames");
+  try {
+    let upload;
+    try {
+      await mkdir(framesDirectory);
+      upload = await receiveMultipart(request, {
+        maxBytes: maxRemoteBytes,
+        target: (field, name, index) => {
+          if (field === "video" && index === 0) {
+            return path.join(directory, `video-${safeName(name, "upload.mp4")}`);
+          }
+          if (field === "subtitles" && index === 0) return path.join(directory, "subtitles");
+          if (field === "frames") {
+            return path.join(framesDirectory, safeName(name, `frame-${index}.png`));
+          }
+          return null;
+        }
+      });
+    } catch (error) {
+      if (error instanceof UploadError) return errorResponse(error.status, error.message);
+      throw error;
+    }
+
+    const { fields, files } = upload;
+    let settings;
+    try {
+      settings = JSON.parse(fields.settings || "{}");
+    } catch (error) {
+      return errorResponse(400, `Send multipart form data with a settings JSON: ${error.message}`);
+    }
+    const subtitles = files.find((file) => file.field === "subtitles");
+    if (subtitles) {
+      try {
+        settings = attachTranscript(settings, {
+          name: subtitles.name || "subtitles",
+          cues: parseSubtitles(await readFile(subtitles.path, "utf8"))
+        });
+      } catch (error) {
+        return errorResponse(400, `Could not read the subtitles: ${error.message}`);
+      }
+    }
+    const video = files.find((file) => file.field === "video");
+    if (!video && !files.some((file) => file.field === "frames")) {
+      return errorResponse(400, "Attach a `video` file or one or more `frames` images.");
+    }
+
+    let source;
+    if (video) {
+      source = {
+        ...(await openVideoFile(video.path, { signal: request.signal })),
+        fileName: safeName(video.name, "upload.mp4")
+      };
+    } else {
+      if (fields.manifest?.trim()) {
+        await writeFile(path.join(framesDirectory, "frames.json"), fields.manifest);
+      }
+      source = {
+        ...(await openFrameDirectory(framesDirectory, {
+          interval: Number(fields.frameInterval) || 1,
+          signal: request.signal
+        })),
+        fileName: null
+      };
+    }
+    return Response.json(await analyzeVideo(source, settings, { signal: request.signal }));
+  } catch (error) {
+    console.error(error);
+    return errorResponse(422, error.message);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+function safeName(name, fallback) {
+  const base = path.basename(String(name ?? "")).replace(/[^\w.-]+/g, "_");
+  return base && base !== "." && base !== ".." ? base : fallback;
+}
+
+function errorResponse(status, error) {
+  return Response.json({ error }, { status });
+}
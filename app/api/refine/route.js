@@ -0,0 +1,208 @@
+import { buildRefineMessages, mockRefinement } from "../../prompts/refine";
+
+export const dynamic = "force-dynamic";
+
+// The upstream may think for a while before its first token, but once it is
+// streaming a long silence means the connection has stalled.
+const firstTokenTimeout = 60000;
+const idleTimeout = 20000;
+const mockDelay = 25;
+const defaultEndpoints = "https://api.openai.com/v1";
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(400, "Request body must be JSON.");
+  }
+
+  const { provider, baseUrl, model, apiKey, payload } = body ?? {};
+  if (!payload || typeof payload !== "object" || !Array.isArray(payload.scenes)) {
+    return errorResponse(400, "Missing scene data to refine.");
+  }
+
+  if (provider === "mock") {
+    return streamText(mockStream(mockRefinement(payload), request.signal));
+  }
+  if (provider !== "openai") {
+    return errorResponse(400, `Unknown refine provider “${provider}”.`);
+  }
+
+  const base = normaliseBaseUrl(baseUrl);
+  if (!base) {
+    return errorResponse(400, "Enter the endpoint base URL, e.g. https://api.openai.com/v1.");
+  }
+  const allowed = allowedEndpoints();
+  if (!allowed.includes(base)) {
+    return errorResponse(
+      403,
+      `This server only relays to ${allowed.join(", ")}. Add the base URL to REFINE_ENDPOINTS ` +
+        "on the server to use another endpoint."
+    );
+  }
+  const endpoint = new URL(`${base}/chat/completions`);
+  if (typeof model !== "string" || !model.trim()) {
+    return errorResponse(400, "Enter the model name to use.");
+  }
+
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  request.signal?.addEventListener("abort", forwardAbort);
+  let timer = setTimeout(() => controller.abort(), firstTokenTimeout);
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), idleTimeout);
+  };
+  const finish = () => {
+    clearTimeout(timer);
+    request.signal?.removeEventListener("abort", forwardAbort);
+  };
+
+  let upstream;
+  try {
+    upstream = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: model.trim(),
+        messages: buildRefineMessages(payload),
+        temperature: 0.4,
+        stream: true
+      }),
+      redirect: "error",
+      signal: controller.signal
+    });
+  } catch (error) {
+    finish();
+    return controller.signal.aborted
+      ? errorResponse(504, "The model endpoint did not respond in time.")
+      : errorResponse(502, `Could not reach the model endpoint: ${error.message}`);
+  }
+
+  if (!upstream.ok) {
+    finish();
+    const detail = await upstream.text().catch(() => "");
+    return errorResponse(
+      502,
+      `The model endpoint returned ${upstream.status}. ${upstreamMessage(detail)}`.trim()
+    );
+  }
+
+  touch();
+  const contentType = upstream.headers.get("content-type") ?? "";
+  const chunks = contentType.includes("text/event-stream")
+    ? relayEvents(upstream.body, touch)
+    : relayJson(upstream);
+  return streamText(chunks, finish);
+}
+
+// The route relays whatever key the browser sends, so it only talks to the
+// endpoints the server lists in REFINE_ENDPOINTS (comma-separated base URLs)
+// and cannot be used to reach other services on its network.
+function allowedEndpoints() {
+  return (process.env.REFINE_ENDPOINTS || defaultEndpoints)
+    .split(",")
+    .map(normaliseBaseUrl)
+    .filter(Boolean);
+}
+
+function normaliseBaseUrl(value) {
+  try {
+    const url = new URL(String(value ?? "").trim());
+    return /^https?:$/.test(url.protocol) ? url.href.replace(/\/+$/, "") : null;
+  } catch {
+    return null;
+  }
+}
+
+function errorResponse(status, error) {
+  return Response.json({ error }, { status });
+}
+
+function streamText(chunks, onDone = () => {}) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await chunks.next();
+        if (done) {
+          onDone();
+          controller.close();
+        } else if (value) {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        onDone();
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      onDone();
+      await chunks.return?.();
+    }
+  });
+  return new Response(stream, {
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
+
+async function* mockStream(text, signal) {
+  const words = text.split(/(?<=\s)/);
+  for (const word of words) {
+    if (signal?.aborted) return;
+    await new Promise((resolve) => setTimeout(resolve, mockDelay));
+    yield word;
+  }
+}
+
+// OpenAI-style server-sent events: `data: {json}` lines ending with `data: [DONE]`.
+async function* relayEvents(body, onChunk) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onChunk();
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, "").trim();
+      if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      if (event.error) {
+        throw new Error(event.error.message ?? "the model endpoint reported an error");
+      }
+      const text = event.choices?.[0]?.delta?.content ?? event.choices?.[0]?.message?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+// Some compatible servers ignore `stream: true` and answer with one JSON body.
+async function* relayJson(response) {
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content;
+  if (!text) {
+    throw new Error("the model endpoint returned no text");
+  }
+  yield text;
+}
+
+function upstreamMessage(detail) {
+  try {
+    return JSON.parse(detail).error?.message ?? "";
+  } catch {
+    return detail.slice(0, 200);
+  }
+}
@@ -0,0 +1,83 @@
+import { Readable } from "node:stream";
+import { PrivateAddressError, requestPublic } from "../../sources/public-network";
+import { maxRemoteBytes, parseVideoUrl } from "../../sources/video-sources";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const responseTimeout = 30000;
+const maxRedirects = 5;
+
+// Relays a remote video for sources that do not send CORS headers. Every hop,
+// redirects included, must resolve to a public address (see
+// sources/public-network), so the route cannot be used to reach the server's
+// own network.
+export async function GET(request) {
+  let url;
+  try {
+    url = parseVideoUrl(new URL(request.url).searchParams.get("url") ?? "");
+  } catch (error) {
+    return errorResponse(400, error.message);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), responseTimeout);
+  request.signal?.addEventListener("abort", () => controller.abort());
+
+  let upstream;
+  try {
+    upstream = await fetchPublic(url, controller.signal);
+  } catch (error) {
+    if (error instanceof PrivateAddressError) {
+      return errorResponse(403, "Local and private network addresses cannot be proxied.");
+    }
+    return controller.signal.aborted
+      ? errorResponse(504, "The video host did not respond in time.")
+      : errorResponse(502, `Could not reach the video host: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (upstream.statusCode < 200 || upstream.statusCode >= 300) {
+    upstream.destroy();
+    return errorResponse(502, `The video host answered ${upstream.statusCode}.`);
+  }
+  const type = upstream.headers["content-type"] ?? "application/octet-stream";
+  if (!type.startsWith("video/") && !type.startsWith("application/octet-stream")) {
+    upstream.destroy();
+    return errorResponse(415, `That address serves ${type.split(";")[0]}, not a video.`);
+  }
+  const length = Number(upstream.headers["content-length"]) || 0;
+  if (length > maxRemoteBytes) {
+    upstream.destroy();
+    return errorResponse(413, "That video is larger than 2 GB.");
+  }
+
+  return new Response(Readable.toWeb(upstream), {
+    headers: {
+      "Content-Type": type,
+      ...(length ? { "Content-Length": String(length) } : {}),
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+// Follows redirects by hand so each hop goes through the same address check.
+async function fetchPublic(url, signal) {
+  let target = url;
+  for (let hop = 0; hop <= maxRedirects; hop += 1) {
+    const response = await requestPublic(target, { signal });
+    const location = response.headers.location;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) return response;
+    response.destroy();
+    target = new URL(location, target);
+    if (!/^https?:$/.test(target.protocol)) {
+      throw new Error("the address redirects somewhere that cannot be proxied");
+    }
+  }
+  throw new Error("too many redirects");
+}
+
+function errorResponse(status, error) {
+  return Response.json({ error }, { status });
+}
@@ -0,0 +1,95 @@
+import { formatTime } from "../prompts/text";
+
+const statusLabels = {
+  queued: "queued",
+  running: "analysing",
+  done: "done",
+  failed: "failed"
+};
+
+export default function BatchQueue({
+  clips,
+  campaignPrompt,
+  processing,
+  onRun,
+  onOpen,
+  onRemove,
+  onClear,
+  onCopy
+}) {
+  const pending = clips.filter((clip) => clip.status !== "done").length;
+
+  return (
+    <div className="field-group">
+      <label className="field-label">
+        Campaign queue{" "}
+        <span className="field-helper">
+          {clips.length} clips · {clips.length - pending} analysed
+        </span>
+      </label>
+      <ul className="library-list">
+        {clips.map((clip) => (
+          <li key={clip.id} className="library-item" data-active={clip.status === "running"}>
+            {clip.scenes?.[0]?.thumbnail ? (
+              <img className="library-thumb" src={clip.scenes[0].thumbnail} alt="" />
+            ) : (
+              <span className="library-thumb" />
+            )}
+            <div className="library-details">
+              <strong>{clip.name}</strong>
+              <span className="scene-meta">
+                <span className="badge">{statusLabels[clip.status]}</span>
+                {clip.meta ? ` ${formatTime(clip.meta.duration)}` : ""}
+                {clip.scenes?.length ? ` · ${clip.scenes.length} scenes` : ""}
+                {clip.error ? ` · ${clip.error}` : ""}
+              </span>
+              <div className="library-buttons">
+                <button
+                  type="button"
+                  className="copy-button"
+                  onClick={() => onOpen(clip.id)}
+                  disabled={clip.status !== "done" || processing}
+                >
+                  Open
+                </button>
+                <button
+                  type="button"
+                  className="copy-button"
+                  onClick={() => onRemove(clip.id)}
+                  disabled={processing}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="library-actions">
+        <button
+          type="button"
+          className="copy-button"
+          onClick={onRun}
+          disabled={processing || !pending}
+        >
+          {pending === clips.length ? "Analyse queue" : `Analyse ${pending} remaining`}
+        </button>
+        <button type="button" className="copy-button" onClick={onClear} disabled={processing}>
+          Clear queue
+        </button>
+      </div>
+
+      {campaignPrompt ? (
+        <div className="prompt-block">
+          <div style={{ display: "flex", justifyContent: "space-between", gap: "1rem" }}>
+            <h3>Campaign prompt</h3>
+            <button className="copy-button" type="button" onClick={onCopy}>
+              Copy
+            </button>
+          </div>
+          <pre className="prompt-text">{campaignPrompt}</pre>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useRef, useState } from "react";
+import { formatTime } from "../prompts/text";
+
+export default function CaptureTimeline({
+  duration,
+  markers,
+  scenes,
+  onSeek,
+  onAddMarker,
+  onMoveMarker,
+  onRemoveMarker,
+  disabled
+}) {
+  const stripRef = useRef(null);
+  const [draggingId, setDraggingId] = useState(null);
+
+  const timeFromPointer = (event) => {
+    const rect = stripRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return ratio * duration;
+  };
+
+  const handleStripClick = (event) => {
+    if (event.target !== stripRef.current && !event.target.dataset.segment) return;
+    onSeek(timeFromPointer(event));
+  };
+
+  const handlePointerDown = (event, id) => {
+    if (disabled) return;
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraggingId(id);
+  };
+
+  const handlePointerMove = (event, id) => {
+    if (draggingId !== id) return;
+    onMoveMarker(id, timeFromPointer(event));
+  };
+
+  const handlePointerUp = (event, id) => {
+    if (draggingId !== id) return;
+    event.currentTarget.releasePointerCapture(event.pointerId);
+    setDraggingId(null);
+    onSeek(timeFromPointer(event));
+  };
+
+  return (
+    <div className="timeline">
+      <div className="timeline-header">
+        <span className="field-helper">
+          Manual capture points · press <kbd>M</kbd> to mark the current frame
+        </span>
+        <button type="button" className="copy-button" onClick={onAddMarker} disabled={disabled}>
+          Mark here
+        </button>
+      </div>
+
+      <div className="timeline-strip" ref={stripRef} onClick={handleStripClick}>
+        {scenes.map((scene) =>
+          Number.isFinite(scene.start) && Number.isFinite(scene.end) ? (
+            <span
+              key={scene.id ?? scene.index}
+              data-segment="true"
+              className="timeline-segment"
+              style={{
+                left: `${(scene.start / duration) * 100}%`,
+                width: `${((scene.end - scene.start) / duration) * 100}%`
+              }}
+              title={`Scene ${scene.index + 1}`}
+            />
+          ) : null
+        )}
+        {markers.map((marker) => (
+          <button
+            key={marker.id}
+            type="button"
+            className="timeline-marker"
+            data-dragging={draggingId === marker.id}
+            style={{ left: `${(marker.time / duration) * 100}%` }}
+            title={`${formatTime(marker.time)} · drag to move`}
+            onPointerDown={(event) => handlePointerDown(event, marker.id)}
+            onPointerMove={(event) => handlePointerMove(event, marker.id)}
+            onPointerUp={(event) => handlePointerUp(event, marker.id)}
+          />
+        ))}
+      </div>
+
+      {markers.length ? (
+        <div className="pill-row">
+          {markers
+            .slice()
+            .sort((a, b) => a.time - b.time)
+            .map((marker) => (
+              <span key={marker.id} className="badge timeline-chip">
+                <button type="button" onClick={() => onSeek(marker.time)}>
+                  {formatTime(marker.time)}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemoveMarker(marker.id)}
+                  aria-label={`Remove marker at ${formatTime(marker.time)}`}
+                  disabled={disabled}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
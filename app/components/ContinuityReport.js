@@ -0,0 +1,51 @@
+import { formatTime } from "../prompts/text";
+
+export default function ContinuityReport({ report }) {
+  return (
+    <div className="field-group">
+      <p className="field-helper">
+        Neighbouring scenes are compared for colour temperature, exposure and palette. Scenes that
+        share a look are grouped even when they are not next to each other; the master prompt asks
+        for each look to be held and each jump to be smoothed or made deliberate.
+      </p>
+
+      <ul className="continuity-list">
+        {report.looks.map((look) => (
+          <li key={look.number}>
+            <span className="swatch-row continuity-swatches">
+              {look.swatches.map((swatch) => (
+                <span
+                  key={swatch.hex}
+                  className="swatch-chip"
+                  style={{ background: swatch.hex, flexGrow: swatch.proportion }}
+                  title={swatch.hex}
+                />
+              ))}
+            </span>
+            <strong>Look {look.number}</strong>{" "}
+            <span className="scene-meta">
+              {look.scenes} · {look.descriptor}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {report.jumps.length ? (
+        <ul className="continuity-list">
+          {report.jumps.map((jump) => (
+            <li key={`${jump.from}-${jump.to}`}>
+              <strong>
+                Scene {jump.from + 1} → {jump.to + 1}
+              </strong>{" "}
+              <span className="scene-meta">
+                at {formatTime(jump.time)} · {jump.descriptor}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="field-helper">No jumps between neighbouring scenes.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { maxReferences } from "../analysis/mood-board";
+
+export default function MoodBoard({ references, comparison, busy, onAdd, onRemove }) {
+  const look = comparison?.look;
+
+  return (
+    <div className="field-group">
+      <p className="field-helper">
+        Add the client&apos;s reference stills. They go through the same palette and lighting
+        analysis as the footage; each scene is scored against them and the master prompt says
+        what to change to match.
+      </p>
+      <label className="field-helper library-toggle">
+        Add stills:
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          className="input"
+          disabled={busy || references.length >= maxReferences}
+          onChange={(event) => {
+            const files = Array.from(event.target.files ?? []);
+            event.target.value = "";
+            if (files.length) onAdd(files);
+          }}
+        />
+      </label>
+
+      {references.length ? (
+        <ul className="mood-board">
+          {references.map((reference) => (
+            <li key={reference.id} className="mood-still">
+              {reference.thumbnail ? <img src={reference.thumbnail} alt={reference.name} /> : null}
+              <span className="scene-meta" title={reference.name}>
+                {reference.analysis.palette} · {reference.analysis.saturation}
+              </span>
+              <button type="button" className="copy-button" onClick={() => onRemove(reference.id)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {look ? (
+        <div className="prompt-block">
+          <h3>Reference look</h3>
+          <div className="swatch-row">
+            {look.swatches.map((swatch) => (
+              <span
+                key={swatch.hex}
+                className="swatch"
+                style={{ flexGrow: swatch.proportion }}
+                title={`${swatch.hex} · ${Math.round(swatch.proportion * 100)}%`}
+              >
+                <span className="swatch-chip" style={{ background: swatch.hex }} />
+                <span className="swatch-label">{swatch.hex}</span>
+              </span>
+            ))}
+          </div>
+          {comparison.average !== null ? (
+            <p className="field-helper">
+              Footage matches {comparison.average}% on average
+              {comparison.directives.length ? ` · ${comparison.directives.join(", ")}` : ""}
+            </p>
+          ) : (
+            <p className="field-helper">Generate prompts to score the scenes against it.</p>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState } from "react";
+import { presetKinds } from "../prompts/presets";
+
+const emptyDraft = { id: null, kind: presetKinds[0].id, name: "", description: "", wording: "" };
+
+export default function PresetManager({ presets, onSave, onDelete, onImport, onExport }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const canSave = draft.name.trim() && draft.wording.trim();
+
+  const update = (key, value) => setDraft((current) => ({ ...current, [key]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!canSave) return;
+    if (await onSave(draft)) {
+      setDraft(emptyDraft);
+    }
+  };
+
+  return (
+    <div className="field-group">
+      <label className="field-label">
+        House presets{" "}
+        <span className="field-helper">custom tones, objectives and styles</span>
+      </label>
+
+      {presetKinds.map((kind) => {
+        const entries = presets.filter((preset) => preset.kind === kind.id);
+        if (!entries.length) return null;
+        return (
+          <div key={kind.id} className="preset-group">
+            <span className="field-helper">{kind.label}</span>
+            <ul className="library-list">
+              {entries.map((preset) => (
+                <li
+                  key={preset.id}
+                  className="library-item"
+                  data-active={preset.id === draft.id}
+                >
+                  <div className="library-details">
+                    <strong>{preset.name}</strong>
+                    <span className="scene-meta">“{preset.wording}”</span>
+                    {preset.description ? (
+                      <span className="field-helper">{preset.description}</span>
+                    ) : null}
+                    <div className="library-buttons">
+                      <button
+                        type="button"
+                        className="copy-button"
+                        onClick={() => setDraft({ ...emptyDraft, ...preset })}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="copy-button"
+                        onClick={() => {
+                          if (window.confirm(`Delete the “${preset.name}” preset?`)) {
+                            onDelete(preset);
+                          }
+                        }}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+
+      <form className="scene-editor" onSubmit={handleSubmit}>
+        <label className="scene-field">
+          <span className="field-helper">Type</span>
+          <select
+            className="select"
+            value={draft.kind}
+            onChange={(event) => update("kind", event.target.value)}
+          >
+            {presetKinds.map((kind) => (
+              <option key={kind.id} value={kind.id}>
+                {kind.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="scene-field">
+          <span className="field-helper">Name</span>
+          <input
+            className="input"
+            value={draft.name}
+            placeholder="e.g. Northlight house style"
+            onChange={(event) => update("name", event.target.value)}
+          />
+        </label>
+        <label className="scene-field scene-notes">
+          <span className="field-helper">Prompt wording</span>
+          <input
+            className="input"
+            value={draft.wording}
+            placeholder="e.g. clean Nordic daylight with restrained grading"
+            onChange={(event) => update("wording", event.target.value)}
+          />
+        </label>
+        <label className="scene-field scene-notes">
+          <span className="field-helper">Description</span>
+          <input
+            className="input"
+            value={draft.description}
+            placeholder="When to use it, which clients it belongs to…"
+            onChange={(event) => update("description", event.target.value)}
+          />
+        </label>
+        <div className="library-buttons">
+          <button type="submit" className="copy-button" disabled={!canSave}>
+            {draft.id ? "Update preset" : "Add preset"}
+          </button>
+          {draft.id ? (
+            <button type="button" className="copy-button" onClick={() => setDraft(emptyDraft)}>
+              Cancel edit
+            </button>
+          ) : null}
+        </div>
+      </form>
+
+      <div className="library-actions">
+        <button
+          type="button"
+          className="copy-button"
+          onClick={onExport}
+          disabled={!presets.length}
+        >
+          Export presets
+        </button>
+        <label className="field-helper library-toggle">
+          Import presets:
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="input"
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              event.target.value = "";
+              if (file) onImport(file);
+            }}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  deleteProject,
+  duplicateProject,
+  listProjects,
+  renameProject
+} from "../storage/project-library";
+
+export default function ProjectLibrary({
+  revision,
+  currentProjectId,
+  storeVideo,
+  setStoreVideo,
+  canSave,
+  onSave,
+  onOpen,
+  onStatus
+}) {
+  const [projects, setProjects] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error(error);
+      onStatus("Project library is unavailable in this browser.");
+    }
+  }, [onStatus]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, revision]);
+
+  const runAction = useCallback(
+    async (action, message) => {
+      try {
+        await action();
+        await refresh();
+        if (message) onStatus(message);
+      } catch (error) {
+        console.error(error);
+        onStatus("Project library update failed.");
+      }
+    },
+    [refresh, onStatus]
+  );
+
+  const commitRename = (id) => {
+    const name = draftName.trim();
+    setEditingId(null);
+    if (name) {
+      runAction(() => renameProject(id, name), `Renamed project to “${name}”.`);
+    }
+  };
+
+  return (
+    <div className="field-group">
+      <label className="field-label">Project library</label>
+      <div className="library-actions">
+        <button type="button" className="copy-button" onClick={onSave} disabled={!canSave}>
+          {currentProjectId ? "Save changes" : "Save project"}
+        </button>
+        <label className="field-helper library-toggle">
+          <input
+            type="checkbox"
+            checked={storeVideo}
+            onChange={(event) => setStoreVideo(event.target.checked)}
+          />
+          Keep source video with saved runs
+        </label>
+      </div>
+
+      {projects.length ? (
+        <ul className="library-list">
+          {projects.map((project) => (
+            <li
+              key={project.id}
+              className="library-item"
+              data-active={project.id === currentProjectId}
+            >
+              {project.thumbnail ? (
+                <img className="library-thumb" src={project.thumbnail} alt="" />
+              ) : (
+                <span className="library-thumb" />
+              )}
+              <div className="library-details">
+                {editingId === project.id ? (
+                  <input
+                    className="input"
+                    value={draftName}
+                    autoFocus
+                    onChange={(event) => setDraftName(event.target.value)}
+                    onBlur={() => commitRename(project.id)}
+                    onKeyDown={(event) => {
+                      if (event.key === "Enter") commitRename(project.id);
+                      if (event.key === "Escape") setEditingId(null);
+                    }}
+                  />
+                ) : (
+                  <strong>{project.name}</strong>
+                )}
+                <span className="scene-meta">
+                  {project.sceneCount} scenes · {new Date(project.updatedAt).toLocaleString()}
+                  {project.hasVideo ? " · video stored" : ""}
+                </span>
+                <div className="library-buttons">
+                  <button type="button" className="copy-button" onClick={() => onOpen(project.id)}>
+                    Open
+                  </button>
+                  <button
+                    type="button"
+                    className="copy-button"
+                    onClick={() => {
+                      setDraftName(project.name);
+                      setEditingId(project.id);
+                    }}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    type="button"
+                    className="copy-button"
+                    onClick={() =>
+                      runAction(() => duplicateProject(project.id), "Project duplicated.")
+                    }
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    type="button"
+                    className="copy-button"
+                    onClick={() => {
+                      if (window.confirm(`Delete “${project.name}” from the library?`)) {
+                        runAction(() => deleteProject(project.id), "Project deleted.");
+                      }
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="field-helper">
+          Runs are saved here automatically so you can reopen a brief without re-analysing.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { refineProviders } from "../prompts/refine";
+
+export default function RefinePanel({
+  settings,
+  refinedPrompt,
+  refining,
+  disabled,
+  onSettingsChange,
+  onRefine,
+  onStop,
+  onCopy
+}) {
+  // Kept in component state only: the key is never saved with projects.
+  const [apiKey, setApiKey] = useState("");
+  const isMock = settings.provider === "mock";
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+
+  return (
+    <div className="field-group">
+      <label className="field-label">
+        Refine with a language model{" "}
+        <span className="field-helper">optional · sends the scene data and brief</span>
+      </label>
+      <div className="scene-editor">
+        <label className="scene-field">
+          <span className="field-helper">Provider</span>
+          <select
+            className="select"
+            value={settings.provider}
+            disabled={refining}
+            onChange={(event) => update("provider", event.target.value)}
+          >
+            {refineProviders.map((provider) => (
+              <option key={provider.id} value={provider.id}>
+                {provider.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {isMock ? null : (
+          <>
+            <label className="scene-field">
+              <span className="field-helper">Model</span>
+              <input
+                className="input"
+                value={settings.model}
+                placeholder="e.g. gpt-4o-mini"
+                disabled={refining}
+                onChange={(event) => update("model", event.target.value)}
+              />
+            </label>
+            <label className="scene-field scene-notes">
+              <span className="field-helper">
+                Base URL (listed in REFINE_ENDPOINTS on the server)
+              </span>
+              <input
+                className="input"
+                value={settings.baseUrl}
+                placeholder="https://api.openai.com/v1"
+                disabled={refining}
+                onChange={(event) => update("baseUrl", event.target.value)}
+              />
+            </label>
+            <label className="scene-field scene-notes">
+              <span className="field-helper">API key (not saved)</span>
+              <input
+                className="input"
+                type="password"
+                autoComplete="off"
+                value={apiKey}
+                placeholder="leave empty for local servers"
+                disabled={refining}
+                onChange={(event) => setApiKey(event.target.value)}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <div className="library-buttons">
+        {refining ? (
+          <button type="button" className="copy-button" onClick={onStop}>
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="copy-button"
+            disabled={disabled}
+            onClick={() => onRefine(apiKey)}
+          >
+            {refinedPrompt ? "Refine again" : "Refine prompt"}
+          </button>
+        )}
+        {refinedPrompt && !refining ? (
+          <button type="button" className="copy-button" onClick={onCopy}>
+            Copy refined
+          </button>
+        ) : null}
+      </div>
+
+      {refinedPrompt || refining ? (
+        <div className="prompt-block refine-output" aria-live="polite" aria-busy={refining}>
+          <h3>Refined prompt</h3>
+          <pre className="prompt-text">{refinedPrompt || "Waiting for the model…"}</pre>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { diffScenes, diffSettings, diffText } from "../prompts/run-diff";
+
+const contextLines = 2;
+
+export default function RunHistory({ runs, onRestore, onDelete }) {
+  const [beforeId, setBeforeId] = useState(null);
+  const [afterId, setAfterId] = useState(null);
+  const [view, setView] = useState("inline");
+
+  useEffect(() => {
+    setAfterId(runs[0]?.id ?? null);
+    setBeforeId(runs[1]?.id ?? runs[0]?.id ?? null);
+  }, [runs]);
+
+  const before = runs.find((run) => run.id === beforeId);
+  const after = runs.find((run) => run.id === afterId);
+  const comparison = useMemo(() => {
+    if (!before || !after || before === after) return null;
+    return {
+      settings: diffSettings(before.settings, after.settings),
+      prompt: diffText(before.compiledPrompt, after.compiledPrompt),
+      scenes: diffScenes(before.scenes, after.scenes)
+    };
+  }, [before, after]);
+
+  if (!runs.length) {
+    return (
+      <p className="field-helper">
+        Each press of “Generate Prompt” is kept here with its settings so runs can be compared
+        and restored.
+      </p>
+    );
+  }
+
+  return (
+    <div className="field-group">
+      <ul className="library-list">
+        {runs.map((run, position) => (
+          <li key={run.id} className="library-item">
+            <div className="library-details">
+              <strong>
+                Run {runs.length - position} · {new Date(run.createdAt).toLocaleString()}
+              </strong>
+              <span className="scene-meta">{runSummary(run)}</span>
+              <div className="library-buttons">
+                <button type="button" className="copy-button" onClick={() => onRestore(run)}>
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  className="copy-button"
+                  onClick={() => {
+                    if (window.confirm("Delete this run from the history?")) onDelete(run);
+                  }}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {runs.length > 1 ? (
+        <>
+          <div className="history-compare">
+            <RunSelect runs={runs} value={beforeId} onChange={setBeforeId} label="Compare" />
+            <RunSelect runs={runs} value={afterId} onChange={setAfterId} label="with" />
+            <select
+              className="select"
+              value={view}
+              onChange={(event) => setView(event.target.value)}
+            >
+              <option value="inline">Inline diff</option>
+              <option value="split">Side by side</option>
+            </select>
+          </div>
+
+          {comparison ? (
+            <>
+              <div className="prompt-block">
+                <h3>Settings</h3>
+                {comparison.settings.length ? (
+                  <ul className="template-reference">
+                    {comparison.settings.map((change) => (
+                      <li key={change.key}>
+                        {change.label}: <del>{change.before}</del> → <ins>{change.after}</ins>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="field-helper">Both runs used the same settings.</p>
+                )}
+              </div>
+
+              <div className="prompt-block">
+                <h3>Master prompt</h3>
+                {view === "split" ? (
+                  <SplitDiff rows={comparison.prompt} />
+                ) : (
+                  <InlineDiff rows={comparison.prompt} />
+                )}
+              </div>
+
+              <div className="prompt-block">
+                <h3>Scene descriptors</h3>
+                <p className="field-helper">
+                  {comparison.scenes.changed} changed · {comparison.scenes.added} new ·{" "}
+                  {comparison.scenes.dropped} no longer matched
+                </p>
+                <ul className="template-reference">
+                  {comparison.scenes.rows
+                    .filter((row) => row.status !== "same")
+                    .map((row) => (
+                      <li key={row.index}>
+                        <strong>
+                          Scene {row.index + 1} ({row.range})
+                        </strong>
+                        {row.status === "new" ? (
+                          " — new scene"
+                        ) : (
+                          <>
+                            {" "}
+                            vs scene {row.previousIndex + 1} ({row.previousRange})
+                            {row.changes.map((change) => (
+                              <div key={change.label} className="scene-meta">
+                                {change.label}: <del>{change.before || "—"}</del> →{" "}
+                                <ins>{change.after || "—"}</ins>
+                              </div>
+                            ))}
+                          </>
+                        )}
+                      </li>
+                    ))}
+                </ul>
+              </div>
+            </>
+          ) : (
+            <p className="field-helper">Pick two different runs to compare.</p>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+function RunSelect({ runs, value, onChange, label }) {
+  return (
+    <label className="field-helper library-toggle">
+      {label}
+      <select
+        className="select"
+        value={value ?? ""}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {runs.map((run, position) => (
+          <option key={run.id} value={run.id}>
+            Run {runs.length - position} · {new Date(run.createdAt).toLocaleTimeString()}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function InlineDiff({ rows }) {
+  return (
+    <pre className="prompt-text diff-text">
+      {collapse(rows).map((row, index) => (
+        <Fragment key={index}>
+          {renderInline(row)}
+          {"\n"}
+        </Fragment>
+      ))}
+    </pre>
+  );
+}
+
+function SplitDiff({ rows }) {
+  return (
+    <div className="diff-split">
+      {collapse(rows).map((row, index) => (
+        <Fragment key={index}>
+          <pre className="prompt-text diff-text" data-type={row.type}>
+            {row.type === "changed" ? renderWords(row.words, "removed") : renderSide(row, "left")}
+          </pre>
+          <pre className="prompt-text diff-text" data-type={row.type}>
+            {row.type === "changed" ? renderWords(row.words, "added") : renderSide(row, "right")}
+          </pre>
+        </Fragment>
+      ))}
+    </div>
+  );
+}
+
+function renderInline(row) {
+  if (row.type === "skipped") return <span className="field-helper">{row.left}</span>;
+  if (row.type === "removed") return <del>{row.left}</del>;
+  if (row.type === "added") return <ins>{row.right}</ins>;
+  if (row.type === "changed") {
+    return row.words.map((word, index) =>
+      word.type === "removed" ? (
+        <del key={index}>{word.text}</del>
+      ) : word.type === "added" ? (
+        <ins key={index}>{word.text}</ins>
+      ) : (
+        <Fragment key={index}>{word.text}</Fragment>
+      )
+    );
+  }
+  return row.left;
+}
+
+function renderSide(row, side) {
+  if (row.type === "skipped") return <span className="field-helper">{row.left}</span>;
+  const text = row[side];
+  if (text === null) return "";
+  if (row.type === "removed") return <del>{text}</del>;
+  if (row.type === "added") return <ins>{text}</ins>;
+  return text;
+}
+
+// One side of a changed line: unchanged words plus that side's edits.
+function renderWords(words, keep) {
+  return words
+    .filter((word) => word.type === "same" || word.type === keep)
+    .map((word, index) =>
+      word.type === "same" ? (
+        <Fragment key={index}>{word.text}</Fragment>
+      ) : keep === "removed" ? (
+        <del key={index}>{word.text}</del>
+      ) : (
+        <ins key={index}>{word.text}</ins>
+      )
+    );
+}
+
+// Folds long unchanged stretches, keeping a little context around each edit.
+function collapse(rows) {
+  const keep = rows.map((row) => row.type !== "same");
+  const near = rows.map((_, index) =>
+    keep.slice(Math.max(0, index - contextLines), index + contextLines + 1).some(Boolean)
+  );
+  const result = [];
+  let hidden = 0;
+  rows.forEach((row, index) => {
+    if (near[index]) {
+      if (hidden) result.push(skipped(hidden));
+      hidden = 0;
+      result.push(row);
+    } else {
+      hidden += 1;
+    }
+  });
+  if (hidden) result.push(skipped(hidden));
+  return result;
+}
+
+function skipped(count) {
+  const text = `… ${count} unchanged line${count === 1 ? "" : "s"} …`;
+  return { type: "skipped", left: text, right: text };
+}
+
+function runSummary(run) {
+  const { settings = {} } = run;
+  return [
+    `${run.scenes?.length ?? 0} scenes`,
+    settings.tone,
+    settings.stylePreset,
+    settings.granularity !== undefined ? `granularity ${settings.granularity}` : null,
+    settings.captureMode
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
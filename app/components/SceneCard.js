@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { formatRange } from "../prompts/text";
+
+const editableFields = [
+  { key: "palette", label: "Palette" },
+  { key: "lighting", label: "Lighting" },
+  { key: "contrast", label: "Contrast" },
+  { key: "saturation", label: "Saturation" },
+  { key: "mood", label: "Mood" },
+  { key: "energy", label: "Energy" }
+];
+
+export default function SceneCard({
+  scene,
+  isFirst,
+  isLast,
+  canReanalyse,
+  onChange,
+  onMove,
+  onDelete,
+  onReanalyse
+}) {
+  const [editing, setEditing] = useState(false);
+  const detected = scene.detected ?? scene.analysis;
+  const overrides = scene.overrides ?? {};
+  const negativeEdited = typeof scene.negativeOverride === "string";
+  const edited = Object.keys(overrides).length > 0 || Boolean(scene.notes) || negativeEdited;
+  const kelvin = scene.analysis.lightingProfile?.kelvin;
+
+  const setOverride = (key, value) => {
+    const next = { ...overrides };
+    if (value.trim()) {
+      next[key] = value;
+    } else {
+      delete next[key];
+    }
+    onChange(scene.id, { overrides: next });
+  };
+
+  return (
+    <article className="scene-item" data-locked={Boolean(scene.locked)}>
+      {scene.thumbnail ? (
+        <img className="scene-thumb" src={scene.thumbnail} alt={`Scene ${scene.index + 1} frame`} />
+      ) : null}
+      <div className="scene-header">
+        <h4>
+          Scene {scene.index + 1} · {formatRange(scene)}
+        </h4>
+        <div className="scene-tools">
+          {scene.manual ? <span className="badge">manual</span> : null}
+          {scene.locked ? <span className="badge">locked</span> : null}
+          {edited ? <span className="badge">edited</span> : null}
+          {scene.look ? <span className="badge">look {scene.look}</span> : null}
+          {scene.referenceMatch ? (
+            <span
+              className="badge"
+              title={scene.referenceMatch.directives.join(", ") || "close to the mood board"}
+            >
+              ref {scene.referenceMatch.score}%
+            </span>
+          ) : null}
+        </div>
+      </div>
+      <span className="scene-meta">
+        {scene.analysis.palette} · {scene.analysis.lighting}
+        {kelvin ? ` (${kelvin}K)` : ""} · {scene.analysis.energy}
+        {scene.analysis.motion ? ` · ${scene.analysis.motion.camera}` : ""}
+        {scene.analysis.composition ? ` · ${scene.analysis.composition.shotType}` : ""}
+      </span>
+      {scene.analysis.swatches?.length ? (
+        <div className="swatch-row">
+          {scene.analysis.swatches.map((swatch) => (
+            <span
+              key={swatch.hex}
+              className="swatch"
+              style={{ flexGrow: swatch.proportion }}
+              title={`${swatch.hex} · ${Math.round(swatch.proportion * 100)}%`}
+            >
+              <span className="swatch-chip" style={{ background: swatch.hex }} />
+              <span className="swatch-label">{swatch.hex}</span>
+            </span>
+          ))}
+        </div>
+      ) : null}
+      <p className="prompt-text">{scene.summary}</p>
+      {scene.negativePrompt ? (
+        <p className="scene-meta">Avoid: {scene.negativePrompt}</p>
+      ) : null}
+
+      {editing && !scene.locked ? (
+        <div className="scene-editor">
+          {editableFields.map((field) => (
+            <label key={field.key} className="scene-field">
+              <span className="field-helper">{field.label}</span>
+              <input
+                className="input"
+                value={overrides[field.key] ?? ""}
+                placeholder={detected[field.key] ?? ""}
+                onChange={(event) => setOverride(field.key, event.target.value)}
+              />
+            </label>
+          ))}
+          <label className="scene-field scene-notes">
+            <span className="field-helper">Notes</span>
+            <textarea
+              className="textarea"
+              value={scene.notes ?? ""}
+              placeholder="e.g. skin tones in close-up, not a rose palette"
+              onChange={(event) => onChange(scene.id, { notes: event.target.value })}
+            />
+          </label>
+          <label className="scene-field scene-notes">
+            <span className="field-helper">
+              Negative prompt{negativeEdited ? " (edited)" : " (generated from the analysis)"}
+            </span>
+            <textarea
+              className="textarea"
+              value={scene.negativeOverride ?? scene.negativePrompt ?? ""}
+              onChange={(event) => onChange(scene.id, { negativeOverride: event.target.value })}
+            />
+          </label>
+          {negativeEdited ? (
+            <button
+              type="button"
+              className="copy-button"
+              onClick={() => onChange(scene.id, { negativeOverride: null })}
+            >
+              Regenerate negative prompt
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      <div className="library-buttons">
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => setEditing((value) => !value)}
+          disabled={scene.locked}
+        >
+          {editing && !scene.locked ? "Done" : "Edit"}
+        </button>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => onChange(scene.id, { locked: !scene.locked })}
+        >
+          {scene.locked ? "Unlock" : "Lock"}
+        </button>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => onReanalyse(scene.id)}
+          disabled={scene.locked || !canReanalyse}
+        >
+          Re-analyse
+        </button>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => onMove(scene.id, -1)}
+          disabled={isFirst}
+          aria-label="Move scene up"
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => onMove(scene.id, 1)}
+          disabled={isLast}
+          aria-label="Move scene down"
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() => onDelete(scene.id)}
+          disabled={scene.locked}
+        >
+          Delete
+        </button>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from "react";
+import { formatTime } from "../prompts/text";
+import { captureSupport, createStreamRecorder, openCaptureStream } from "../sources/video-sources";
+
+export default function SourceOptions({ processing, onLoadUrl, onRecorded, onStatus }) {
+  const [url, setUrl] = useState("");
+  const [support, setSupport] = useState({ camera: false, screen: false });
+  const [recording, setRecording] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const previewRef = useRef(null);
+  const recorderRef = useRef(null);
+
+  useEffect(() => {
+    setSupport(captureSupport());
+    return () => recorderRef.current?.discard();
+  }, []);
+
+  useEffect(() => {
+    if (!recording) return undefined;
+    const started = Date.now();
+    const timer = setInterval(() => setElapsed((Date.now() - started) / 1000), 500);
+    return () => clearInterval(timer);
+  }, [recording]);
+
+  const startRecording = async (kind) => {
+    let stream;
+    try {
+      stream = await openCaptureStream(kind);
+    } catch (error) {
+      onStatus(
+        error?.name === "NotAllowedError"
+          ? `${kind === "screen" ? "Screen" : "Camera"} access was declined.`
+          : `Could not start the ${kind}: ${error?.message ?? error}`
+      );
+      return;
+    }
+    const recorder = createStreamRecorder(stream, kind);
+    recorderRef.current = recorder;
+    setElapsed(0);
+    setRecording({ kind, stream });
+    recorder.start();
+    onStatus(`Recording ${kind}… press “Stop recording” to analyse the take.`);
+
+    try {
+      const file = await recorder.finished;
+      if (!file.size) {
+        onStatus("The recording was empty.");
+      } else {
+        onRecorded(file);
+      }
+    } catch (error) {
+      console.error(error);
+      onStatus("Recording failed. Try again or record with another app.");
+    } finally {
+      recorderRef.current = null;
+      setRecording(null);
+    }
+  };
+
+  useEffect(() => {
+    if (previewRef.current) previewRef.current.srcObject = recording?.stream ?? null;
+  }, [recording]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (url.trim()) onLoadUrl(url.trim());
+  };
+
+  return (
+    <div className="source-options">
+      <form className="source-url" onSubmit={handleSubmit}>
+        <input
+          className="input"
+          type="url"
+          value={url}
+          placeholder="https://example.com/clip.mp4"
+          disabled={processing || Boolean(recording)}
+          onChange={(event) => setUrl(event.target.value)}
+        />
+        <button
+          type="submit"
+          className="copy-button"
+          disabled={processing || Boolean(recording) || !url.trim()}
+        >
+          Load URL
+        </button>
+      </form>
+
+      {support.camera || support.screen ? (
+        <div className="library-buttons">
+          {recording ? (
+            <button
+              type="button"
+              className="copy-button"
+              onClick={() => recorderRef.current?.stop()}
+            >
+              Stop recording · {formatTime(elapsed)}
+            </button>
+          ) : (
+            <>
+              {support.camera ? (
+                <button
+                  type="button"
+                  className="copy-button"
+                  disabled={processing}
+                  onClick={() => startRecording("camera")}
+                >
+                  Record camera
+                </button>
+              ) : null}
+              {support.screen ? (
+                <button
+                  type="button"
+                  className="copy-button"
+                  disabled={processing}
+                  onClick={() => startRecording("screen")}
+                >
+                  Record screen
+                </button>
+              ) : null}
+            </>
+          )}
+        </div>
+      ) : null}
+
+      {recording ? (
+        <video ref={previewRef} className="source-live" autoPlay muted playsInline />
+      ) : null}
+    </div>
+  );
+}
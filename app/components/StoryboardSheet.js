@@ -0,0 +1,47 @@
+import { sceneDescriptors } from "../export/storyboard";
+import { formatRange } from "../prompts/text";
+
+export default function StoryboardSheet({ scenes, title, subtitle, onPrint, onDownloadSheet }) {
+  return (
+    <section className="card storyboard-sheet">
+      <div className="storyboard-header">
+        <div>
+          <h2>{title}</h2>
+          <p className="field-helper">{subtitle}</p>
+        </div>
+        <div className="cta-row no-print">
+          <button type="button" className="cta-alt" onClick={onPrint}>
+            Print / save PDF
+          </button>
+          <button
+            type="button"
+            className="cta-alt"
+            onClick={onDownloadSheet}
+            title="A single PNG, or a PDF with one sheet per page for long runs"
+          >
+            Contact sheet
+          </button>
+        </div>
+      </div>
+
+      <div className="storyboard-grid">
+        {scenes.map((scene) => (
+          <figure key={scene.index} className="storyboard-frame">
+            {scene.thumbnail ? (
+              <img src={scene.thumbnail} alt={`Scene ${scene.index + 1} frame`} />
+            ) : (
+              <div className="storyboard-placeholder" />
+            )}
+            <figcaption>
+              <strong>
+                Scene {scene.index + 1} · {formatRange(scene)}
+              </strong>
+              <span className="scene-meta">{sceneDescriptors(scene)}</span>
+              <p className="prompt-text">{scene.summary}</p>
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </section>
+  );
+}
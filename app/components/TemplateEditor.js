@@ -0,0 +1,186 @@
+import { useEffect, useMemo, useState } from "react";
+import { targetModels } from "../prompts/model-formats";
+import { templateVariables } from "../prompts/prompt-templates";
+import { templateFilters, validateTemplate } from "../prompts/template";
+
+export default function TemplateEditor({
+  templates,
+  activeTemplateId,
+  onSelect,
+  onSave,
+  onDelete,
+  renderPreview
+}) {
+  const active = templates.find((template) => template.id === activeTemplateId) ?? templates[0];
+  const [draft, setDraft] = useState(active);
+
+  useEffect(() => {
+    setDraft(active);
+  }, [active]);
+
+  const update = (key, value) => setDraft((current) => ({ ...current, [key]: value }));
+  const problem = validateTemplate(draft.scene) ?? validateTemplate(draft.master);
+  const preview = useMemo(
+    () => (problem ? null : renderPreview(draft)),
+    [problem, draft, renderPreview]
+  );
+
+  const startCopy = () =>
+    setDraft({ ...draft, id: null, builtIn: false, name: `${draft.name} copy` });
+
+  return (
+    <div className="field-group">
+      <label className="field-label">
+        Prompt template{" "}
+        <span className="field-helper">controls the wording of scene and master prompts</span>
+      </label>
+      <select
+        className="select"
+        value={active.id}
+        onChange={(event) => onSelect(event.target.value)}
+      >
+        {templates.map((template) => (
+          <option key={template.id} value={template.id}>
+            {[
+              template.name,
+              template.client,
+              template.targetModel &&
+                targetModels.find((model) => model.id === template.targetModel)?.label
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </option>
+        ))}
+      </select>
+
+      <div className="scene-editor">
+        <label className="scene-field">
+          <span className="field-helper">Name</span>
+          <input
+            className="input"
+            value={draft.name}
+            disabled={draft.builtIn}
+            onChange={(event) => update("name", event.target.value)}
+          />
+        </label>
+        <label className="scene-field">
+          <span className="field-helper">Client</span>
+          <input
+            className="input"
+            value={draft.client}
+            placeholder="optional"
+            disabled={draft.builtIn}
+            onChange={(event) => update("client", event.target.value)}
+          />
+        </label>
+        <label className="scene-field">
+          <span className="field-helper">Model</span>
+          <select
+            className="select"
+            value={draft.targetModel}
+            disabled={draft.builtIn}
+            onChange={(event) => update("targetModel", event.target.value)}
+          >
+            <option value="">Any model</option>
+            {targetModels.map((model) => (
+              <option key={model.id} value={model.id}>
+                {model.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="scene-field scene-notes">
+          <span className="field-helper">Scene template</span>
+          <textarea
+            className="textarea template-source"
+            value={draft.scene}
+            readOnly={draft.builtIn}
+            onChange={(event) => update("scene", event.target.value)}
+          />
+        </label>
+        <label className="scene-field scene-notes">
+          <span className="field-helper">Master template</span>
+          <textarea
+            className="textarea template-source"
+            value={draft.master}
+            readOnly={draft.builtIn}
+            onChange={(event) => update("master", event.target.value)}
+          />
+        </label>
+      </div>
+
+      <details>
+        <summary className="field-helper">Variables and filters</summary>
+        <ul className="template-reference">
+          {templateVariables.map((variable) => (
+            <li key={variable.path}>
+              <code>{`{{${variable.path}}}`}</code> {variable.note}
+            </li>
+          ))}
+          <li>
+            Blocks: <code>{"{{#each scenes}}…{{/each}}"}</code>,{" "}
+            <code>{"{{#if focus.motion}}…{{else}}…{{/if}}"}</code>,{" "}
+            <code>{"{{#unless …}}…{{/unless}}"}</code>
+          </li>
+          <li>
+            Filters: {templateFilters.join(", ")}, e.g. <code>{"{{brief.tone | capitalize}}"}</code>
+          </li>
+        </ul>
+      </details>
+
+      {problem ? <p className="template-error">{problem}</p> : null}
+
+      <div className="library-buttons">
+        {draft.builtIn ? (
+          <button type="button" className="copy-button" onClick={startCopy}>
+            Customise a copy
+          </button>
+        ) : (
+          <>
+            <button
+              type="button"
+              className="copy-button"
+              disabled={Boolean(problem)}
+              onClick={() => onSave(draft)}
+            >
+              {draft.id ? "Save template" : "Save new template"}
+            </button>
+            {draft.id ? (
+              <button type="button" className="copy-button" onClick={startCopy}>
+                Duplicate
+              </button>
+            ) : null}
+            {draft.id ? (
+              <button
+                type="button"
+                className="copy-button"
+                onClick={() => {
+                  if (window.confirm(`Delete the “${draft.name}” template?`)) onDelete(draft);
+                }}
+              >
+                Delete
+              </button>
+            ) : (
+              <button type="button" className="copy-button" onClick={() => setDraft(active)}>
+                Discard
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="prompt-block">
+        <span className="field-helper">Live preview</span>
+        {preview ? (
+          <pre className="prompt-text">
+            {[...preview.scenes, "", preview.master].join("\n")}
+          </pre>
+        ) : (
+          <p className="field-helper">
+            {problem ? "Fix the template to see a preview." : "Run an analysis to preview."}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
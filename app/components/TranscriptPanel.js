@@ -0,0 +1,72 @@
+import { formatTime } from "../prompts/text";
+
+const previewCueCount = 4;
+
+export default function TranscriptPanel({
+  transcript,
+  canReadEmbedded,
+  busy,
+  onAttach,
+  onReadEmbedded,
+  onRemove
+}) {
+  const speakers = transcript
+    ? Array.from(new Set(transcript.cues.map((cue) => cue.speaker).filter(Boolean)))
+    : [];
+
+  return (
+    <div className="field-group">
+      <p className="field-helper">
+        Attach the SRT or WebVTT subtitles, or read the caption tracks the video carries.
+        Dialogue is lined up with each scene, and the master prompt gets a setup, turn and
+        resolution arc from its timing.
+      </p>
+      <div className="library-actions">
+        <label className="field-helper library-toggle">
+          Subtitles:
+          <input
+            type="file"
+            accept=".srt,.vtt,text/vtt"
+            className="input"
+            disabled={busy}
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              event.target.value = "";
+              if (file) onAttach(file);
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={onReadEmbedded}
+          disabled={busy || !canReadEmbedded}
+        >
+          {busy ? "Reading captions…" : "Use embedded captions"}
+        </button>
+      </div>
+
+      {transcript ? (
+        <div className="prompt-block">
+          <h3>{transcript.name}</h3>
+          <p className="field-helper">
+            {transcript.cues.length} cue{transcript.cues.length === 1 ? "" : "s"}
+            {speakers.length ? ` · ${speakers.join(", ")}` : " · no speaker names"}
+          </p>
+          <ul className="transcript-preview">
+            {transcript.cues.slice(0, previewCueCount).map((cue, index) => (
+              <li key={`${cue.start}-${index}`}>
+                <span className="scene-meta">{formatTime(cue.start)}</span>{" "}
+                {cue.speaker ? <strong>{cue.speaker}: </strong> : null}
+                {cue.text}
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="copy-button" onClick={onRemove}>
+            Remove transcript
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
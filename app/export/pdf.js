@@ -0,0 +1,71 @@
+const pointsPerPixel = 0.75;
+
+// Minimal PDF writer for image pages: each page is one JPEG drawn full-bleed,
+// sized so the image prints at 96 dpi. `pages` is [{ jpeg, width, height }]
+// with the JPEG bytes as a Uint8Array and its size in pixels.
+export function buildImagePdf(pages) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    parts.forEach(push);
+    push("\nendobj\n");
+  };
+  // Objects 1 and 2 are the catalog and page tree; each page then takes three.
+  const pageId = (index) => 3 + index * 3;
+
+  push("%PDF-1.4\n%âãÏÓ\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(
+    2,
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageId(index)} 0 R`).join(" ")}] ` +
+      `/Count ${pages.length} >>`
+  );
+  pages.forEach(({ jpeg, width, height }, index) => {
+    const id = pageId(index);
+    const pageWidth = round(width * pointsPerPixel);
+    const pageHeight = round(height * pointsPerPixel);
+    const drawing = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Sheet Do Q`;
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Sheet ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`
+    );
+    object(id + 1, `<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`);
+    object(
+      id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+        "/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode " +
+        `/Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      "\nendstream"
+    );
+  });
+
+  const xrefOffset = length;
+  const count = offsets.length;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  offsets.slice(1).forEach((offset) => push(`${String(offset).padStart(10, "0")} 00000 n \n`));
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((bytes) => {
+    output.set(bytes, position);
+    position += bytes.length;
+  });
+  return output;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
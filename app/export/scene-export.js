@@ -0,0 +1,305 @@
+import { formatPalette } from "../analysis/palette";
+import { analyzeContinuity } from "../analysis/continuity";
+import { summarizeNegativePrompts } from "../prompts/negative-prompts";
+
+export const exportSchema = "video-prompt-export";
+export const exportSchemaVersion = "1.8.0";
+
+export const exportFormats = [
+  { id: "json", label: "JSON", extension: "json", mime: "application/json" },
+  { id: "csv", label: "CSV shot list", extension: "csv", mime: "text/csv" },
+  { id: "markdown", label: "Markdown", extension: "md", mime: "text/markdown" }
+];
+
+const csvColumns = [
+  ["scene", (scene) => scene.index + 1],
+  ["sequence", (scene) => (Number.isInteger(scene.sequence) ? scene.sequence + 1 : "")],
+  ["look", (scene) => scene.look],
+  ["start", (scene) => round(scene.start)],
+  ["end", (scene) => round(scene.end)],
+  ["timestamp", (scene) => round(scene.timestamp)],
+  ["duration", (scene) => round(scene.end - scene.start)],
+  ["palette", (scene) => scene.analysis.palette],
+  ["swatches", (scene) => formatPalette(scene.analysis.swatches ?? [])],
+  ["lighting", (scene) => scene.analysis.lighting],
+  ["key light", (scene) => scene.analysis.lightingProfile?.direction],
+  ["key:fill", (scene) => scene.analysis.lightingProfile?.ratio],
+  ["kelvin", (scene) => scene.analysis.lightingProfile?.kelvin],
+  ["clipped highlights", (scene) => scene.analysis.lightingProfile?.clippedHighlights],
+  ["crushed blacks", (scene) => scene.analysis.lightingProfile?.crushedBlacks],
+  ["contrast", (scene) => scene.analysis.contrast],
+  ["saturation", (scene) => scene.analysis.saturation],
+  ["mood", (scene) => scene.analysis.mood],
+  ["energy", (scene) => scene.analysis.energy],
+  ["shot", (scene) => scene.analysis.composition?.shotType],
+  ["people", (scene) => scene.analysis.composition?.headCount],
+  ["placement", (scene) => scene.analysis.composition?.placement],
+  ["camera", (scene) => scene.analysis.motion?.camera],
+  ["reference match", (scene) => scene.referenceMatch?.score],
+  ["sound", (scene) => scene.analysis.audio?.descriptor],
+  ["speakers", (scene) => scene.dialogue?.speakers.join(", ")],
+  ["key line", (scene) => scene.dialogue?.keyLine.text],
+  ["notes", (scene) => scene.notes],
+  ["summary", (scene) => scene.summary],
+  ["negative prompt", (scene) => scene.negativePrompt]
+];
+
+export function buildExportDocument({
+  settings,
+  videoMeta,
+  fileName,
+  scenes,
+  sequences = [],
+  masterPrompt,
+  modelPrompt
+}) {
+  return {
+    schema: exportSchema,
+    version: exportSchemaVersion,
+    exportedAt: new Date().toISOString(),
+    project: {
+      ...settings,
+      focusAreas: Array.from(settings.focusAreas)
+    },
+    video: videoMeta ? { fileName: fileName ?? null, ...videoMeta } : null,
+    scenes: scenes.map((scene) => ({
+      index: scene.index,
+      timestamp: scene.timestamp,
+      start: scene.start ?? null,
+      end: scene.end ?? null,
+      analysis: scene.analysis,
+      overrides: scene.overrides ?? {},
+      notes: scene.notes ?? "",
+      locked: Boolean(scene.locked),
+      sequence: scene.sequence ?? null,
+      look: scene.look ?? null,
+      referenceMatch: scene.referenceMatch ?? null,
+      dialogue: scene.dialogue ?? null,
+      thumbnail: scene.thumbnail ?? null,
+      summary: scene.summary,
+      negativePrompt: scene.negativePrompt ?? "",
+      negativeEdited: typeof scene.negativeOverride === "string"
+    })),
+    sequences: sequences.map((sequence) => ({
+      index: sequence.index,
+      start: sequence.start,
+      end: sequence.end,
+      sceneIndexes: sequence.sceneIndexes,
+      analysis: sequence.analysis,
+      summary: sequence.summary
+    })),
+    passes: describePasses(settings, scenes),
+    continuity: analyzeContinuity(scenes),
+    prompts: {
+      master: masterPrompt,
+      negative: summarizeNegativePrompts(scenes),
+      targetModel: settings.targetModel,
+      formatted: modelPrompt
+    }
+  };
+}
+
+// Which optional analysis passes fed the scenes, so a reader can tell a clip
+// with no audio analysis from a silent one, and a face detector's head-count
+// from the skin-tone heuristic's (the only one outside a Chromium browser).
+function describePasses(settings, scenes) {
+  const audio = !settings.focusAreas.has("audio")
+    ? "off"
+    : scenes.some((scene) => scene.analysis.audio)
+    ? "analysed"
+    : "skipped";
+  const people = Array.from(
+    new Set(scenes.map((scene) => scene.analysis.composition?.method).filter(Boolean))
+  );
+  return { audio, people };
+}
+
+export function serializeExport(exportDocument, format) {
+  switch (format) {
+    case "csv":
+      return toCsv(exportDocument);
+    case "markdown":
+      return toMarkdown(exportDocument);
+    default:
+      return JSON.stringify(exportDocument, null, 2);
+  }
+}
+
+export function exportFileName(exportDocument, format) {
+  const { extension } = exportFormats.find((item) => item.id === format) ?? exportFormats[0];
+  const suffix = format === "csv" ? "-shot-list" : "";
+  return `${fileSlug(exportDocument.project.projectTitle)}${suffix}.${extension}`;
+}
+
+export function fileSlug(title) {
+  const slug = (title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "video-prompt";
+}
+
+export function downloadFile(fileName, content, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toCsv(exportDocument) {
+  const rows = [
+    csvColumns.map(([name]) => name),
+    ...exportDocument.scenes.map((scene) => csvColumns.map(([, read]) => read(scene)))
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+function toMarkdown(exportDocument) {
+  const {
+    project,
+    video,
+    scenes,
+    sequences,
+    passes,
+    continuity,
+    prompts,
+    schema,
+    version,
+    exportedAt
+  } = exportDocument;
+  const lines = [
+    `# ${project.projectTitle || "Untitled video prompt"}`,
+    "",
+    `_Exported ${exportedAt} · schema ${schema} v${version}_`,
+    "",
+    "## Brief",
+    "",
+    "| Setting | Value |",
+    "| --- | --- |",
+    `| Objective | ${markdownCell(project.objective)} |`,
+    `| Tone | ${markdownCell(project.tone)} |`,
+    `| Style preset | ${markdownCell(project.stylePreset)} |`,
+    `| Focus areas | ${markdownCell(project.focusAreas.join(", "))} |`,
+    `| Target model | ${markdownCell(project.targetModel)} |`,
+    project.audienceNotes ? `| Audience / usage | ${markdownCell(project.audienceNotes)} |` : null,
+    project.customDirectives ? `| Directives | ${markdownCell(project.customDirectives)} |` : null,
+    project.moodBoard?.length
+      ? `| Mood board | ${markdownCell(project.moodBoard.map((still) => still.name).join(", "))} |`
+      : null,
+    project.transcript
+      ? `| Transcript | ${markdownCell(project.transcript.name)} · ${
+          project.transcript.cues.length
+        } cues |`
+      : null,
+    video
+      ? `| Source | ${markdownCell(video.fileName ?? "video")} · ${video.width}×${
+          video.height
+        } · ${round(video.duration)}s |`
+      : null,
+    passes?.audio === "skipped" ? "| Audio | not analysed for this clip |" : null,
+    passes?.people.length ? `| People found by | ${passes.people.join(", ")} |` : null,
+    ""
+  ];
+
+  if (sequences.length) {
+    lines.push("## Sequences", "");
+    sequences.forEach((sequence) => {
+      lines.push(
+        `### Sequence ${sequence.index + 1} · ${round(sequence.start)}s – ${round(
+          sequence.end
+        )}s`,
+        "",
+        `- **Scenes:** ${sequence.sceneIndexes.map((index) => index + 1).join(", ")}`,
+        `- **Palette:** ${sequence.analysis.palette}${
+          sequence.analysis.swatches.length
+            ? ` (${formatPalette(sequence.analysis.swatches)})`
+            : ""
+        }`,
+        `- **Lighting:** ${sequence.analysis.lighting}`,
+        "",
+        `> ${sequence.summary}`,
+        ""
+      );
+    });
+  }
+
+  if (continuity) {
+    lines.push(
+      "## Continuity",
+      "",
+      `- **Consistency:** ${continuity.score}/100`,
+      ...continuity.looks.map(
+        (look) => `- **Look ${look.number}:** ${look.scenes} — ${look.descriptor}`
+      ),
+      ...continuity.jumps.map(
+        (jump) => `- **Jump ${jump.from + 1} → ${jump.to + 1}:** ${jump.descriptor}`
+      ),
+      ""
+    );
+  }
+
+  lines.push("## Scenes", "");
+
+  scenes.forEach((scene) => {
+    lines.push(
+      `### Scene ${scene.index + 1} · ${round(scene.start ?? scene.timestamp)}s – ${round(
+        scene.end ?? scene.timestamp
+      )}s${Number.isInteger(scene.sequence) ? ` · sequence ${scene.sequence + 1}` : ""}${
+        scene.look ? ` · look ${scene.look}` : ""
+      }`,
+      "",
+      `- **Palette:** ${scene.analysis.palette}${
+        scene.analysis.swatches?.length ? ` (${formatPalette(scene.analysis.swatches)})` : ""
+      }`,
+      `- **Lighting:** ${scene.analysis.lighting}${
+        scene.analysis.lightingProfile ? ` — ${scene.analysis.lightingProfile.descriptor}` : ""
+      }`,
+      `- **Mood:** ${scene.analysis.mood} · ${scene.analysis.energy}`,
+      scene.analysis.composition ? `- **Framing:** ${scene.analysis.composition.descriptor}` : null,
+      scene.analysis.motion ? `- **Camera:** ${scene.analysis.motion.descriptor}` : null,
+      scene.analysis.audio ? `- **Sound:** ${scene.analysis.audio.descriptor}` : null,
+      scene.dialogue ? `- **Dialogue:** ${scene.dialogue.descriptor}` : null,
+      scene.referenceMatch
+        ? `- **Reference match:** ${scene.referenceMatch.score}%${
+            scene.referenceMatch.directives.length
+              ? ` — ${scene.referenceMatch.directives.join(", ")}`
+              : ""
+          }`
+        : null,
+      scene.notes ? `- **Notes:** ${scene.notes}` : null,
+      scene.negativePrompt ? `- **Negative prompt:** ${scene.negativePrompt}` : null,
+      "",
+      `> ${scene.summary}`,
+      ""
+    );
+  });
+
+  lines.push("## Master prompt", "", "```text", prompts.master, "```");
+  if (prompts.negative) {
+    lines.push("", "## Negative prompt", "", "```text", prompts.negative, "```");
+  }
+  if (prompts.formatted && prompts.formatted !== prompts.master) {
+    lines.push("", `## ${prompts.targetModel} prompts`, "", "```text", prompts.formatted, "```");
+  }
+
+  return lines.filter((line) => line !== null).join("\n") + "\n";
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : "";
+}
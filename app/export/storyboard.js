@@ -0,0 +1,169 @@
+import { formatRange } from "../prompts/text";
+import { buildImagePdf } from "./pdf";
+
+export const thumbnailWidth = 320;
+const sheetColumns = 3;
+const sheetPadding = 24;
+const captionLines = 5;
+const lineHeight = 17;
+const headerHeight = 84;
+const maxSheetRows = 12;
+const maxSheetHeight = 8000;
+
+export function createThumbnail(sourceCanvas) {
+  const width = Math.min(thumbnailWidth, sourceCanvas.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = Math.max(1, Math.round((sourceCanvas.height * width) / sourceCanvas.width));
+  canvas.getContext("2d").drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+export function sceneDescriptors(scene) {
+  const { analysis } = scene;
+  return [analysis.palette, analysis.lighting, analysis.motion?.camera ?? analysis.energy]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// A run that fits on one sheet comes back as a PNG. Longer runs are split into
+// sheets of at most `maxSheetRows` rows (fewer for tall frames) and returned as
+// a PDF with one sheet per page: a single canvas for hundreds of scenes is
+// taller than browsers will allocate.
+export async function renderContactSheet(scenes, { title, subtitle }) {
+  const reference = await loadImage(scenes.find((scene) => scene.thumbnail)?.thumbnail);
+  const thumbHeight = reference
+    ? Math.round((reference.naturalHeight * thumbnailWidth) / reference.naturalWidth)
+    : Math.round((thumbnailWidth * 9) / 16);
+  const cellHeight = thumbHeight + 16 + lineHeight * (captionLines + 2);
+  const rowsPerSheet = Math.max(
+    1,
+    Math.min(
+      maxSheetRows,
+      Math.floor((maxSheetHeight - headerHeight - sheetPadding) / (cellHeight + sheetPadding))
+    )
+  );
+  const perSheet = rowsPerSheet * sheetColumns;
+  const sheetCount = Math.max(1, Math.ceil(scenes.length / perSheet));
+
+  if (sheetCount === 1) {
+    const canvas = await drawSheet(scenes, { title, subtitle, thumbHeight, cellHeight });
+    return canvasBlob(canvas, "image/png");
+  }
+  const pages = [];
+  for (let sheet = 0; sheet < sheetCount; sheet += 1) {
+    const canvas = await drawSheet(scenes.slice(sheet * perSheet, (sheet + 1) * perSheet), {
+      title,
+      subtitle: `${subtitle} · sheet ${sheet + 1} of ${sheetCount}`,
+      thumbHeight,
+      cellHeight
+    });
+    const jpeg = await canvasBlob(canvas, "image/jpeg", 0.9);
+    pages.push({
+      jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+      width: canvas.width,
+      height: canvas.height
+    });
+  }
+  return new Blob([buildImagePdf(pages)], { type: "application/pdf" });
+}
+
+async function drawSheet(scenes, { title, subtitle, thumbHeight, cellHeight }) {
+  const images = await Promise.all(scenes.map((scene) => loadImage(scene.thumbnail)));
+  const cellWidth = thumbnailWidth;
+  const rows = Math.ceil(scenes.length / sheetColumns);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = sheetPadding + sheetColumns * (cellWidth + sheetPadding);
+  canvas.height = headerHeight + rows * (cellHeight + sheetPadding) + sheetPadding;
+  const context = canvas.getContext("2d");
+
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "#0b1018";
+  context.font = "600 24px Inter, sans-serif";
+  context.fillText(title, sheetPadding, sheetPadding + 24);
+  context.fillStyle = "#4a5365";
+  context.font = "14px Inter, sans-serif";
+  context.fillText(subtitle, sheetPadding, sheetPadding + 50);
+
+  scenes.forEach((scene, position) => {
+    const x = sheetPadding + (position % sheetColumns) * (cellWidth + sheetPadding);
+    const y = headerHeight + Math.floor(position / sheetColumns) * (cellHeight + sheetPadding);
+    const image = images[position];
+
+    if (image) {
+      context.drawImage(image, x, y, cellWidth, thumbHeight);
+    } else {
+      context.fillStyle = "#d9dde6";
+      context.fillRect(x, y, cellWidth, thumbHeight);
+    }
+
+    let textY = y + thumbHeight + 20;
+    context.fillStyle = "#0b1018";
+    context.font = "600 14px Inter, sans-serif";
+    context.fillText(`Scene ${scene.index + 1} · ${formatRange(scene)}`, x, textY);
+    textY += lineHeight;
+    context.fillStyle = "#4a5365";
+    context.font = "12px Inter, sans-serif";
+    context.fillText(truncateLine(context, sceneDescriptors(scene), cellWidth), x, textY);
+    context.fillStyle = "#1f2633";
+    wrapLines(context, scene.summary, cellWidth, captionLines).forEach((line) => {
+      textY += lineHeight;
+      context.fillText(line, x, textY);
+    });
+  });
+  return canvas;
+}
+
+function canvasBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("contact sheet render failed"))),
+      type,
+      quality
+    );
+  });
+}
+
+function loadImage(source) {
+  if (!source) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = source;
+  });
+}
+
+function wrapLines(context, text, maxWidth, maxLines) {
+  const words = (text ?? "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = "";
+
+  for (let i = 0; i < words.length; i += 1) {
+    const candidate = current ? `${current} ${words[i]}` : words[i];
+    if (context.measureText(candidate).width <= maxWidth || !current) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = words[i];
+    if (lines.length === maxLines) {
+      lines[maxLines - 1] = truncateLine(context, `${lines[maxLines - 1]} …`, maxWidth);
+      return lines;
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines.slice(0, maxLines);
+}
+
+function truncateLine(context, text, maxWidth) {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+    end -= 1;
+  }
+  return `${text.slice(0, end).trimEnd()}…`;
+}
@@ -1,63 +1,152 @@
 "use client";
 
-import { useCallback, useMemo, useRef, useState } from "react";
-
-const toneOptions = [
-  "cinematic realism",
-  "dynamic commercial",
-  "documentary",
-  "whimsical",
-  "moody noir",
-  "vibrant lifestyle"
-];
-
-const objectiveOptions = [
-  "storyboard breakdown",
-  "concept art brief",
-  "shot list for directors",
-  "narrative prompt",
-  "style transfer prompt",
-  "visual inspiration deck"
-];
-
-const stylePresets = [
-  "hyper-detailed",
-  "expressive and abstract",
-  "grounded and minimalist",
-  "high-energy montage",
-  "slow cinematic drama",
-  "immersive worldbuilding"
-];
-
-const focusOptions = [
-  { id: "visuals", label: "Visual Style" },
-  { id: "lighting", label: "Lighting" },
-  { id: "narrative", label: "Narrative Beats" },
-  { id: "motion", label: "Motion & Energy" },
-  { id: "mood", label: "Mood & Atmosphere" },
-  { id: "audio", label: "Audio / Sound" }
-];
-
-const maxSceneSamples = 10;
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  buildCapturePoints,
+  buildSceneRanges,
+  captureModes,
+  lumaSignature,
+  maxSceneCount,
+  mergeManualPoints,
+  probeInterval,
+  probeSize,
+  rangesFromCapturePoints,
+  sceneBudget
+} from "./analysis/scene-detection";
+import { analyzeFrame } from "./analysis/frame";
+import { detectFaces } from "./analysis/composition";
+import {
+  companionTiming,
+  estimateMotion,
+  motionSize,
+  toLumaPlane
+} from "./analysis/motion";
+import {
+  analysisResolutions,
+  analysisSize,
+  createFrameAnalyzer,
+  isAbortError,
+  supportsWorkerAnalysis,
+  throwIfAborted
+} from "./analysis/frame-analyzer";
+import {
+  describeAudioPass,
+  readAudioProfile,
+  summarizeAudioWindow
+} from "./analysis/audio";
+import { findTargetModel, formatForModel, targetModels } from "./prompts/model-formats";
+import { capitalize, formatRange, formatTime } from "./prompts/text";
+import {
+  buildExportDocument,
+  downloadFile,
+  exportFileName,
+  exportFormats,
+  fileSlug,
+  serializeExport
+} from "./export/scene-export";
+import { createThumbnail, renderContactSheet } from "./export/storyboard";
+import StoryboardSheet from "./components/StoryboardSheet";
+import ProjectLibrary from "./components/ProjectLibrary";
+import SceneCard from "./components/SceneCard";
+import CaptureTimeline from "./components/CaptureTimeline";
+import BatchQueue from "./components/BatchQueue";
+import { buildCampaignPrompt } from "./prompts/campaign";
+import {
+  buildPrompts,
+  defaultFocusAreas,
+  describeSequences,
+  focusOptions
+} from "./prompts/scene-prompts";
+import {
+  defaultTemplate,
+  defaultTemplateId,
+  findTemplate,
+  normalizeTemplate
+} from "./prompts/prompt-templates";
+import TemplateEditor from "./components/TemplateEditor";
+import PresetManager from "./components/PresetManager";
+import RefinePanel from "./components/RefinePanel";
+import SourceOptions from "./components/SourceOptions";
+import { fetchRemoteVideo, resolveDuration } from "./sources/video-sources";
+import { buildRefinePayload, defaultRefineSettings, requestRefinement } from "./prompts/refine";
+import {
+  defaultWording,
+  normalizePreset,
+  parsePresetFile,
+  presetKinds,
+  presetOptions,
+  serializePresets
+} from "./prompts/presets";
+import {
+  deletePreset,
+  deleteRun,
+  deleteTemplate,
+  listPresets,
+  listRuns,
+  listTemplates,
+  loadProject,
+  savePresets,
+  saveProject,
+  saveRun,
+  saveTemplate
+} from "./storage/project-library";
+import RunHistory from "./components/RunHistory";
+import MoodBoard from "./components/MoodBoard";
+import { analyzeReferenceImage, compareToMoodBoard, maxReferences } from "./analysis/mood-board";
+import TranscriptPanel from "./components/TranscriptPanel";
+import { parseSubtitles, readTextTracks } from "./analysis/transcript";
+import ContinuityReport from "./components/ContinuityReport";
+import { analyzeContinuity } from "./analysis/continuity";
 
 export default function Page() {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const previewRef = useRef(null);
+  const analyzerRef = useRef(null);
+  const abortRef = useRef(null);
+  const refineAbortRef = useRef(null);
   const [videoSource, setVideoSource] = useState(null);
   const [videoMeta, setVideoMeta] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [analysisResolution, setAnalysisResolution] = useState(720);
   const [status, setStatus] = useState("");
   const [granularity, setGranularity] = useState(4);
-  const [tone, setTone] = useState(toneOptions[0]);
-  const [objective, setObjective] = useState(objectiveOptions[0]);
-  const [stylePreset, setStylePreset] = useState(stylePresets[0]);
-  const [focusAreas, setFocusAreas] = useState(new Set(["visuals", "lighting", "narrative"]));
+  const [captureMode, setCaptureMode] = useState(captureModes[0].id);
+  const [targetModel, setTargetModel] = useState(targetModels[0].id);
+  const [tone, setTone] = useState(defaultWording("tone"));
+  const [objective, setObjective] = useState(defaultWording("objective"));
+  const [stylePreset, setStylePreset] = useState(defaultWording("style"));
+  const [focusAreas, setFocusAreas] = useState(new Set(defaultFocusAreas));
   const [projectTitle, setProjectTitle] = useState("");
   const [audienceNotes, setAudienceNotes] = useState("");
   const [customDirectives, setCustomDirectives] = useState("");
   const [scenePrompts, setScenePrompts] = useState([]);
   const [compiledPrompt, setCompiledPrompt] = useState("");
+  const [audioProfile, setAudioProfile] = useState(null);
   const [pulse, setPulse] = useState(0);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [storeVideo, setStoreVideo] = useState(false);
+  const [libraryRevision, setLibraryRevision] = useState(0);
+  const [manualMarkers, setManualMarkers] = useState([]);
+  const [batchClips, setBatchClips] = useState([]);
+  const [customPresets, setCustomPresets] = useState([]);
+  const [customTemplates, setCustomTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(defaultTemplateId);
+  const [refineSettings, setRefineSettings] = useState(defaultRefineSettings);
+  const [refinedPrompt, setRefinedPrompt] = useState("");
+  const [refining, setRefining] = useState(false);
+  const [runs, setRuns] = useState([]);
+  const [moodBoard, setMoodBoard] = useState([]);
+  const [addingReferences, setAddingReferences] = useState(false);
+  const [transcript, setTranscript] = useState(null);
+  const [readingCaptions, setReadingCaptions] = useState(false);
+
+  const templates = useMemo(() => [defaultTemplate, ...customTemplates], [customTemplates]);
+  const activeTemplate = useMemo(
+    () => findTemplate(templates, templateId),
+    [templates, templateId]
+  );
 
   const toggleFocus = useCallback((id) => {
     setFocusAreas((prev) => {
@@ -74,161 +163,409 @@ export default function Page() {
   const resetState = useCallback(() => {
     setScenePrompts([]);
     setCompiledPrompt("");
+    setRefinedPrompt("");
+    setAudioProfile(null);
     setStatus("");
     setPulse((p) => p + 1);
   }, []);
 
-  const handleFileChange = useCallback((event) => {
-    const file = event.target.files?.[0];
-    if (!file) {
+  const enqueueClips = useCallback((files) => {
+    setBatchClips((clips) => [...clips, ...files.map((file) => createBatchClip(file))]);
+    setStatus(`Queued ${files.length} clips for the campaign. Press “Analyse queue” to start.`);
+  }, []);
+
+  const openVideoFiles = useCallback(
+    (files) => {
+      const videos = files.filter((item) => item.type.startsWith("video/"));
+      if (!files.length) {
+        return;
+      }
+      if (!videos.length) {
+        setStatus("Please choose a valid video file.");
+        return;
+      }
+      if (videos.length > 1) {
+        enqueueClips(videos);
+        return;
+      }
+      const file = videos[0];
+      const url = URL.createObjectURL(file);
+      setVideoSource({ url, file });
+      setCurrentProjectId(null);
+      setManualMarkers([]);
+      resetState();
+    },
+    [enqueueClips, resetState]
+  );
+
+  // Every source gets its own object URL; releasing it once the source is
+  // replaced lets the browser free the file behind it.
+  const videoUrl = videoSource?.url;
+  useEffect(
+    () => () => {
+      if (videoUrl) URL.revokeObjectURL(videoUrl);
+    },
+    [videoUrl]
+  );
+
+  const handleFileChange = useCallback(
+    (event) => {
+      const files = Array.from(event.target.files ?? []);
+      event.target.value = "";
+      openVideoFiles(files);
+    },
+    [openVideoFiles]
+  );
+
+  const handleLoadUrl = useCallback(
+    async (url) => {
+      const controller = new AbortController();
+      abortRef.current = controller;
+      try {
+        setProcessing(true);
+        setProgress(0);
+        setStatus("Downloading video…");
+        const file = await fetchRemoteVideo(url, {
+          signal: controller.signal,
+          onProgress: (received, total) => {
+            if (total) setProgress(received / total);
+            setStatus(`Downloading video… ${Math.round(received / 1024 ** 2)} MB`);
+          }
+        });
+        openVideoFiles([file]);
+        setStatus(`Loaded ${file.name}. Press “Generate Prompt” to analyse it.`);
+      } catch (error) {
+        if (isAbortError(error)) {
+          setStatus("Download cancelled.");
+        } else {
+          console.error(error);
+          setStatus(error.message || "Unable to download that video.");
+        }
+      } finally {
+        abortRef.current = null;
+        setProcessing(false);
+        setProgress(null);
+      }
+    },
+    [openVideoFiles]
+  );
+
+  const handleRecorded = useCallback(
+    (file) => {
+      openVideoFiles([file]);
+      setStatus(`Recorded ${file.name}. Press “Generate Prompt” to analyse it.`);
+    },
+    [openVideoFiles]
+  );
+
+  const handleFolderChange = useCallback(
+    (event) => {
+      const videos = Array.from(event.target.files ?? [])
+        .filter((item) => item.type.startsWith("video/"))
+        .sort((a, b) =>
+          (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name)
+        );
+      event.target.value = "";
+      if (!videos.length) {
+        setStatus("No video files found in that folder.");
+        return;
+      }
+      enqueueClips(videos);
+    },
+    [enqueueClips]
+  );
+
+  const handleVideoLoaded = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video || !video.duration) return;
+    let duration;
+    try {
+      duration = await resolveDuration(video);
+    } catch (error) {
+      console.error(error);
+      setStatus(`${error.message} Try re-encoding it or load a different file.`);
       return;
     }
-    if (!file.type.startsWith("video/")) {
-      setStatus("Please choose a valid video file.");
+    setVideoMeta({
+      duration,
+      width: video.videoWidth,
+      height: video.videoHeight
+    });
+  }, []);
+
+  const sceneCount = useMemo(
+    () => (videoMeta ? sceneBudget(videoMeta.duration, granularity) : 0),
+    [videoMeta, granularity]
+  );
+
+  const audioPassNote = useMemo(
+    () =>
+      videoSource?.file && videoMeta && focusAreas.has("audio")
+        ? describeAudioPass(videoSource.file, videoMeta.duration)
+        : null,
+    [videoSource, videoMeta, focusAreas]
+  );
+
+  const hasVideoReady = Boolean(
+    videoSource && videoMeta && (captureMode === "manual" ? manualMarkers.length : sceneCount > 0)
+  );
+
+  const settings = useMemo(
+    () => ({
+      projectTitle,
+      audienceNotes,
+      tone,
+      objective,
+      stylePreset,
+      focusAreas,
+      granularity,
+      captureMode,
+      targetModel,
+      analysisResolution,
+      templateId: activeTemplate.id,
+      refine: refineSettings,
+      customDirectives,
+      manualMarkers: manualMarkers.map((marker) => marker.time),
+      moodBoard,
+      transcript
+    }),
+    [
+      projectTitle,
+      audienceNotes,
+      tone,
+      objective,
+      stylePreset,
+      focusAreas,
+      granularity,
+      captureMode,
+      targetModel,
+      analysisResolution,
+      activeTemplate,
+      refineSettings,
+      customDirectives,
+      manualMarkers,
+      moodBoard,
+      transcript
+    ]
+  );
+
+  const persistProject = useCallback(
+    async (scenes, prompt, audio, savedSettings = snapshotSettings(settings)) => {
+      try {
+        const project = await saveProject(
+          {
+            id: currentProjectId,
+            name: savedSettings.projectTitle || videoSource?.file?.name || "Untitled project",
+            settings: savedSettings,
+            videoMeta,
+            fileName: videoSource?.file?.name ?? null,
+            scenes,
+            audio,
+            compiledPrompt: prompt
+          },
+          storeVideo ? videoSource?.file : null
+        );
+        setCurrentProjectId(project.id);
+        setLibraryRevision((revision) => revision + 1);
+        return project;
+      } catch (error) {
+        console.error(error);
+        return null;
+      }
+    },
+    [currentProjectId, settings, videoMeta, videoSource, storeVideo]
+  );
+
+  const refreshRuns = useCallback(async (projectId) => {
+    if (!projectId) {
+      setRuns([]);
       return;
     }
-    const url = URL.createObjectURL(file);
-    setVideoSource({ url, file });
-    resetState();
-  }, [resetState]);
-
-  const handleVideoLoaded = useCallback(() => {
-    const video = videoRef.current;
-    if (video && video.duration) {
-      setVideoMeta({
-        duration: video.duration,
-        width: video.videoWidth,
-        height: video.videoHeight
-      });
+    try {
+      setRuns(await listRuns(projectId));
+    } catch (error) {
+      console.error(error);
+      setRuns([]);
     }
   }, []);
 
-  const sceneCount = useMemo(() => {
-    if (!videoMeta) return 0;
-    const duration = videoMeta.duration;
-    const base = Math.max(3, Math.round((duration / 20) * (granularity + 1)));
-    return Math.min(maxSceneSamples, base);
-  }, [videoMeta, granularity]);
-
-  const hasVideoReady = Boolean(videoSource && videoMeta && sceneCount > 0);
-
-  const describeColor = (r, g, b) => {
-    const [h, s, l] = rgbToHsl(r, g, b);
-
-    const colorDescriptors = [
-      { name: "crisp Arctic blue", match: h >= 200 && h < 240 && s > 0.2 },
-      { name: "electric violet", match: h >= 260 && h < 300 && s > 0.35 },
-      { name: "sunlit amber", match: h >= 30 && h < 60 && l > 0.55 },
-      { name: "deep emerald", match: h >= 130 && h < 170 && s > 0.25 },
-      { name: "moody indigo", match: h >= 210 && h < 250 && l < 0.45 },
-      { name: "faded sepia", match: h >= 20 && h < 50 && s < 0.25 },
-      { name: "soft rose", match: h >= 330 || h < 15 },
-      { name: "graphite neutral", match: s < 0.12 }
-    ];
-
-    const found = colorDescriptors.find((descriptor) => descriptor.match);
-    return found ? found.name : "balanced palette";
-  };
+  useEffect(() => {
+    refreshRuns(currentProjectId);
+  }, [currentProjectId, refreshRuns]);
+
+  const recordRun = useCallback(
+    async (projectId, scenes, prompt, audio) => {
+      try {
+        await saveRun({
+          projectId,
+          settings: snapshotSettings(settings),
+          scenes,
+          audio,
+          compiledPrompt: prompt
+        });
+        await refreshRuns(projectId);
+      } catch (error) {
+        console.error(error);
+      }
+    },
+    [settings, refreshRuns]
+  );
 
-  const analyzeFrame = (imageData, width, height) => {
-    const data = imageData.data;
-    const totalPixels = width * height;
-    const stride = Math.max(4, Math.floor(totalPixels / 55000) * 4);
-
-    let rSum = 0;
-    let gSum = 0;
-    let bSum = 0;
-    let brightnessSum = 0;
-    let minBrightness = 255;
-    let maxBrightness = 0;
-    let sampled = 0;
-
-    for (let i = 0; i < data.length; i += stride) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
-
-      rSum += r;
-      gSum += g;
-      bSum += b;
-      brightnessSum += brightness;
-      if (brightness < minBrightness) minBrightness = brightness;
-      if (brightness > maxBrightness) maxBrightness = brightness;
-      sampled += 1;
-    }
+  const analyseRange = useCallback(
+    async (video, canvas, { timestamp, start, end }, { audio, duration, signal }) => {
+      const size = analysisSize(video.videoWidth, video.videoHeight, analysisResolution);
+      let frame;
+      if (supportsWorkerAnalysis()) {
+        if (!analyzerRef.current) {
+          analyzerRef.current = createFrameAnalyzer();
+        }
+        frame = await analyseInWorker(analyzerRef.current, video, {
+          time: timestamp,
+          duration,
+          size,
+          signal
+        });
+      } else {
+        canvas.width = size.width;
+        canvas.height = size.height;
+        frame = await captureMoment(video, canvas, timestamp, duration);
+      }
+      throwIfAborted(signal);
+      const detected = {
+        ...frame.analysis,
+        audio: audio ? summarizeAudioWindow(audio, start, end) : null
+      };
+      return { detected, thumbnail: frame.thumbnail };
+    },
+    [analysisResolution]
+  );
 
-    if (!sampled) {
+  // Runs the audio, boundary and frame passes for one clip. Locked scenes are
+  // kept as-is and their time ranges are not captured again.
+  const captureScenes = useCallback(
+    async (
+      video,
+      canvas,
+      { file, duration, mode, timestamps, lockedScenes, signal, onProgress, onStatus }
+    ) => {
+      // The audio pass runs alongside the frame passes; long clips are played
+      // through (sped up), so it can take a while to finish. It has its own
+      // controller so a failed frame pass stops it too.
+      const audioController = new AbortController();
+      const stopAudio = () => audioController.abort();
+      signal.addEventListener("abort", stopAudio);
+      let audioShare = 0;
+      const audioPass = focusAreas.has("audio")
+        ? readAudioProfile(file, duration, {
+            signal: audioController.signal,
+            onProgress: (ratio) => {
+              audioShare = ratio;
+            }
+          })
+        : Promise.resolve(null);
+      // Not awaited until the frame passes are done.
+      audioPass.catch(() => {});
+
+      let audio;
+      const capturedRanges = [];
+      try {
+        const scanWeight = mode === "scenes" ? 0.3 : 0;
+
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+        const automaticRanges =
+          mode === "scenes"
+            ? await detectSceneRanges(video, canvas, context, {
+                duration,
+                sensitivity: granularity,
+                signal,
+                onProgress: (ratio) => {
+                  onProgress(ratio * scanWeight);
+                  onStatus(`Scanning for shot boundaries… ${Math.round(ratio * 100)}%`);
+                }
+              })
+            : mode === "interval"
+            ? rangesFromCapturePoints(
+                buildCapturePoints(duration, sceneBudget(duration, granularity)),
+                duration
+              )
+            : [];
+        const captureRanges = mergeManualPoints(automaticRanges, timestamps, duration);
+
+        const openRanges = captureRanges.filter(
+          (range) => !lockedScenes.some((scene) => coversTime(scene, range.timestamp))
+        );
+
+        for (let i = 0; i < openRanges.length; i += 1) {
+          const range = openRanges[i];
+          const { detected, thumbnail } = await analyseRange(video, canvas, range, {
+            audio: null,
+            duration,
+            signal
+          });
+          capturedRanges.push({ range, detected, thumbnail });
+          onProgress(scanWeight + ((1 - scanWeight) * (i + 1)) / openRanges.length);
+          onStatus(`Captured scene ${i + 1} / ${openRanges.length}`);
+        }
+
+        const progressTimer = setInterval(() => {
+          onStatus(`Finishing the audio pass… ${Math.round(audioShare * 100)}%`);
+        }, 1000);
+        try {
+          audio = await audioPass;
+        } finally {
+          clearInterval(progressTimer);
+        }
+      } finally {
+        signal.removeEventListener("abort", stopAudio);
+        stopAudio();
+      }
+      throwIfAborted(signal);
+      if (focusAreas.has("audio") && !audio) {
+        onStatus("No decodable audio track found, continuing with visuals only.");
+      }
+
+      const capturedScenes = capturedRanges.map(({ range, detected, thumbnail }) => {
+        const sound = audio ? summarizeAudioWindow(audio, range.start, range.end) : null;
+        return createScene(range, { ...detected, audio: sound }, thumbnail);
+      });
       return {
-        palette: "balanced palette",
-        lighting: "neutral lighting",
-        mood: "steady atmosphere",
-        energy: "controlled pacing"
+        scenes: [...lockedScenes, ...capturedScenes].sort((a, b) => a.timestamp - b.timestamp),
+        audio
       };
-    }
+    },
+    [focusAreas, granularity, analyseRange]
+  );
 
-    const avgR = rSum / sampled;
-    const avgG = gSum / sampled;
-    const avgB = bSum / sampled;
-    const avgBrightness = brightnessSum / sampled;
-    const contrast = (maxBrightness - minBrightness) / 255;
-    const [h, s, l] = rgbToHsl(avgR, avgG, avgB);
-
-    const paletteDescriptor = describeColor(avgR, avgG, avgB);
-    const lighting =
-      avgBrightness > 200
-        ? "high-key lighting"
-        : avgBrightness > 150
-        ? "well-lit scene"
-        : avgBrightness > 100
-        ? "balanced lighting"
-        : avgBrightness > 60
-        ? "low-key lighting"
-        : "shadow-heavy lighting";
-
-    const contrastDescriptor =
-      contrast > 0.55
-        ? "high contrast visuals"
-        : contrast > 0.35
-        ? "structured contrast"
-        : "soft contrast";
-
-    const saturationDescriptor =
-      s > 0.6
-        ? "vivid saturation"
-        : s > 0.35
-        ? "rich tones"
-        : s > 0.2
-        ? "muted palette"
-        : "desaturated look";
-
-    const moodDescriptor =
-      l > 0.65
-        ? "uplifting mood"
-        : l > 0.45
-        ? "balanced mood"
-        : l > 0.28
-        ? "introspective mood"
-        : "brooding atmosphere";
-
-    const energy =
-      contrast > 0.55 && s > 0.35
-        ? "kinetic energy"
-        : contrast > 0.35
-        ? "dynamic pacing"
-        : "contemplative pacing";
-
-    return {
-      palette: paletteDescriptor,
-      lighting,
-      contrast: contrastDescriptor,
-      saturation: saturationDescriptor,
-      mood: moodDescriptor,
-      energy
-    };
-  };
+  const composePrompts = useCallback(
+    (scenes, audio, template = activeTemplate, references = moodBoard, dialogue = transcript) =>
+      buildPrompts(scenes, {
+        audio,
+        template,
+        moodBoard: references,
+        transcript: dialogue,
+        projectTitle,
+        audienceNotes,
+        tone,
+        objective,
+        stylePreset,
+        focusAreas,
+        customDirectives
+      }),
+    [
+      activeTemplate,
+      moodBoard,
+      transcript,
+      focusAreas,
+      tone,
+      objective,
+      stylePreset,
+      projectTitle,
+      audienceNotes,
+      customDirectives
+    ]
+  );
 
-  const handleGeneratePrompts = useCallback(async () => {
+  const handleGeneratePrompts = useCallback(async (explicitTimestamps) => {
     if (!videoSource || !videoMeta) {
       setStatus("Load a video first to extract scene moments.");
       return;
@@ -241,92 +578,824 @@ export default function Page() {
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
     try {
       setProcessing(true);
+      setProgress(0);
       setStatus("Analysing visual moments...");
 
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      const context = canvas.getContext("2d", { willReadFrequently: true });
-
-      const capturePoints = buildCapturePoints(videoMeta.duration, sceneCount);
-      const nextScenes = [];
-
-      for (let i = 0; i < capturePoints.length; i += 1) {
-        const time = capturePoints[i];
-        await seekVideo(video, time);
-        context.drawImage(video, 0, 0, canvas.width, canvas.height);
-        const frameData = context.getImageData(0, 0, canvas.width, canvas.height);
-        const analysis = analyzeFrame(frameData, canvas.width, canvas.height);
-
-        const scenePrompt = buildScenePrompt({
-          index: i,
-          timestamp: time,
-          analysis,
-          focusAreas,
-          tone,
-          objective,
-          stylePreset
-        });
+      const { scenes, audio } = await captureScenes(video, canvas, {
+        file: videoSource.file,
+        duration: videoMeta.duration,
+        mode: captureMode,
+        timestamps: Array.isArray(explicitTimestamps)
+          ? explicitTimestamps
+          : manualMarkers.map((marker) => marker.time),
+        lockedScenes: scenePrompts.filter((scene) => scene.locked),
+        signal,
+        onProgress: setProgress,
+        onStatus: setStatus
+      });
 
-        nextScenes.push({
-          index: i,
-          timestamp: time,
-          analysis,
-          summary: scenePrompt
-        });
+      const { scenes: nextScenes, prompt } = composePrompts(scenes, audio);
+      setScenePrompts(nextScenes);
+      setCompiledPrompt(prompt);
+      setAudioProfile(audio);
+      const saved = await persistProject(nextScenes, prompt, audio);
+      if (saved) await recordRun(saved.id, nextScenes, prompt, audio);
+      setStatus(
+        saved
+          ? "Prompt ready and saved to the project library. Refine or copy as needed."
+          : "Prompt ready. Refine or copy as needed."
+      );
+    } catch (error) {
+      if (isAbortError(error)) {
+        setStatus("Analysis cancelled. Previous results were kept.");
+      } else {
+        console.error(error);
+        setStatus("Unable to analyse the video frames. Try another file or refresh.");
+      }
+    } finally {
+      abortRef.current = null;
+      setProcessing(false);
+      setProgress(null);
+    }
+  }, [
+    videoSource,
+    videoMeta,
+    captureMode,
+    manualMarkers,
+    scenePrompts,
+    captureScenes,
+    composePrompts,
+    persistProject,
+    recordRun
+  ]);
 
-        setStatus(`Captured scene ${i + 1} / ${capturePoints.length}`);
+  const handleRunBatch = useCallback(async () => {
+    const canvas = canvasRef.current;
+    const queue = batchClips.filter((clip) => clip.status !== "done");
+    if (!queue.length || !canvas) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    const updateClip = (id, patch) =>
+      setBatchClips((clips) =>
+        clips.map((clip) => (clip.id === id ? { ...clip, ...patch } : clip))
+      );
+    let completed = 0;
+
+    try {
+      setProcessing(true);
+      setProgress(0);
+      for (let i = 0; i < queue.length; i += 1) {
+        const clip = queue[i];
+        const label = `${clip.name} (${i + 1}/${queue.length})`;
+        updateClip(clip.id, { status: "running", error: null });
+        let loaded = null;
+        try {
+          loaded = await loadClip(clip.file);
+          const { scenes, audio } = await captureScenes(loaded.video, canvas, {
+            file: clip.file,
+            duration: loaded.meta.duration,
+            mode: captureMode === "manual" ? "interval" : captureMode,
+            timestamps: [],
+            lockedScenes: [],
+            signal,
+            onProgress: (ratio) => setProgress((i + ratio) / queue.length),
+            onStatus: (message) => setStatus(`${label}: ${message}`)
+          });
+          // The transcript belongs to the main video, not to queued clips.
+          const { scenes: composed, prompt } = composePrompts(
+            scenes,
+            audio,
+            activeTemplate,
+            moodBoard,
+            null
+          );
+          updateClip(clip.id, {
+            status: "done",
+            meta: loaded.meta,
+            scenes: composed,
+            prompt,
+            audio
+          });
+          completed += 1;
+        } catch (error) {
+          if (isAbortError(error)) {
+            updateClip(clip.id, { status: "queued" });
+            throw error;
+          }
+          console.error(error);
+          updateClip(clip.id, { status: "failed", error: error.message });
+        } finally {
+          loaded?.release();
+        }
+      }
+      setStatus(`Campaign ready: ${completed} of ${queue.length} clips analysed.`);
+    } catch (error) {
+      if (isAbortError(error)) {
+        setStatus("Queue cancelled. Finished clips were kept.");
+      } else {
+        console.error(error);
+        setStatus("The campaign queue stopped unexpectedly.");
       }
+    } finally {
+      abortRef.current = null;
+      setProcessing(false);
+      setProgress(null);
+    }
+  }, [batchClips, captureMode, captureScenes, composePrompts, activeTemplate, moodBoard]);
+
+  const handleOpenBatchClip = useCallback(
+    (id) => {
+      const clip = batchClips.find((item) => item.id === id);
+      if (!clip || clip.status !== "done") return;
+      setVideoSource({ url: URL.createObjectURL(clip.file), file: clip.file });
+      setVideoMeta(clip.meta);
+      setScenePrompts(clip.scenes);
+      setCompiledPrompt(clip.prompt);
+      setAudioProfile(clip.audio);
+      setCurrentProjectId(null);
+      setManualMarkers([]);
+      setStatus(`Showing results for ${clip.name}.`);
+    },
+    [batchClips]
+  );
 
-      setScenePrompts(nextScenes);
-      const prompt = buildMasterPrompt({
-        scenes: nextScenes,
+  const handleRemoveBatchClip = useCallback((id) => {
+    setBatchClips((clips) => clips.filter((clip) => clip.id !== id));
+  }, []);
+
+  const handleClearBatch = useCallback(() => {
+    setBatchClips([]);
+  }, []);
+
+  const handleCancelAnalysis = useCallback(() => {
+    abortRef.current?.abort();
+    analyzerRef.current?.cancel();
+  }, []);
+
+  const applySceneEdits = useCallback(
+    (transform) => {
+      const { scenes, prompt } = composePrompts(transform(scenePrompts), audioProfile);
+      setScenePrompts(scenes);
+      setCompiledPrompt(prompt);
+    },
+    [composePrompts, scenePrompts, audioProfile]
+  );
+
+  const handleSceneChange = useCallback(
+    (id, patch) => {
+      applySceneEdits((scenes) =>
+        scenes.map((scene) => (scene.id === id ? applyOverrides({ ...scene, ...patch }) : scene))
+      );
+    },
+    [applySceneEdits]
+  );
+
+  const handleSceneMove = useCallback(
+    (id, offset) => {
+      applySceneEdits((scenes) => {
+        const from = scenes.findIndex((scene) => scene.id === id);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= scenes.length) return scenes;
+        const next = scenes.slice();
+        const [moved] = next.splice(from, 1);
+        next.splice(to, 0, moved);
+        return next;
+      });
+    },
+    [applySceneEdits]
+  );
+
+  const handleSceneDelete = useCallback(
+    (id) => {
+      applySceneEdits((scenes) => scenes.filter((scene) => scene.id !== id));
+    },
+    [applySceneEdits]
+  );
+
+  const handleSceneReanalyse = useCallback(
+    async (id) => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      const target = scenePrompts.find((scene) => scene.id === id);
+      if (!target || !video || !canvas || !videoSource || !videoMeta) return;
+
+      const controller = new AbortController();
+      abortRef.current = controller;
+
+      try {
+        setProcessing(true);
+        setStatus(`Re-analysing scene ${target.index + 1}…`);
+        const { detected, thumbnail } = await analyseRange(video, canvas, target, {
+          audio: audioProfile,
+          duration: videoMeta.duration,
+          signal: controller.signal
+        });
+        applySceneEdits((scenes) =>
+          scenes.map((scene) =>
+            scene.id === id ? applyOverrides({ ...scene, detected, thumbnail }) : scene
+          )
+        );
+        setStatus(`Scene ${target.index + 1} refreshed.`);
+      } catch (error) {
+        if (isAbortError(error)) {
+          setStatus("Re-analysis cancelled.");
+        } else {
+          console.error(error);
+          setStatus("Unable to re-analyse that scene.");
+        }
+      } finally {
+        abortRef.current = null;
+        setProcessing(false);
+      }
+    },
+    [scenePrompts, videoSource, videoMeta, analyseRange, audioProfile, applySceneEdits]
+  );
+
+  const sequences = useMemo(
+    () => describeSequences(scenePrompts, { focusAreas, tone, objective, stylePreset }),
+    [scenePrompts, focusAreas, tone, objective, stylePreset]
+  );
+
+  const campaignPrompt = useMemo(
+    () =>
+      buildCampaignPrompt({
+        clips: batchClips.filter((clip) => clip.status === "done"),
         projectTitle,
         audienceNotes,
         tone,
         objective,
         stylePreset,
-        focusAreas,
         customDirectives
-      });
-      setCompiledPrompt(prompt);
-      setStatus("Prompt ready. Refine or copy as needed.");
+      }),
+    [batchClips, projectTitle, audienceNotes, tone, objective, stylePreset, customDirectives]
+  );
+
+  const handleCopyCampaign = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(campaignPrompt);
+      setStatus("Campaign prompt copied to clipboard.");
     } catch (error) {
       console.error(error);
-      setStatus("Unable to analyse the video frames. Try another file or refresh.");
-    } finally {
-      setProcessing(false);
+      setStatus("Clipboard permissions prevented copying.");
     }
-  }, [
-    videoSource,
-    videoMeta,
-    focusAreas,
-    tone,
-    objective,
-    stylePreset,
-    projectTitle,
-    audienceNotes,
-    customDirectives,
-    sceneCount
-  ]);
+  }, [campaignPrompt]);
+
+  const formattedPrompt = useMemo(() => {
+    if (!compiledPrompt || targetModel === "blueprint") return compiledPrompt;
+    return formatForModel(targetModel, {
+      scenes: scenePrompts,
+      videoMeta,
+      tone,
+      stylePreset,
+      focusAreas
+    });
+  }, [compiledPrompt, targetModel, scenePrompts, videoMeta, tone, stylePreset, focusAreas]);
 
   const handleCopy = useCallback(async () => {
-    if (!compiledPrompt) return;
+    if (!formattedPrompt) return;
     try {
-      await navigator.clipboard.writeText(compiledPrompt);
+      await navigator.clipboard.writeText(formattedPrompt);
       setStatus("Prompt copied to clipboard.");
     } catch (error) {
       console.error(error);
       setStatus("Clipboard permissions prevented copying.");
     }
-  }, [compiledPrompt]);
+  }, [formattedPrompt]);
+
+  const handleRefine = useCallback(
+    async (apiKey) => {
+      if (!compiledPrompt || refining) return;
+      const controller = new AbortController();
+      refineAbortRef.current = controller;
+      setRefining(true);
+      setRefinedPrompt("");
+      setStatus("Sending the scene data to the model…");
+      try {
+        await requestRefinement({
+          settings: refineSettings,
+          apiKey,
+          payload: buildRefinePayload({
+            brief: {
+              projectTitle,
+              audienceNotes,
+              tone,
+              objective,
+              stylePreset,
+              focusAreas,
+              customDirectives
+            },
+            scenes: scenePrompts,
+            masterPrompt: compiledPrompt,
+            targetModel
+          }),
+          signal: controller.signal,
+          onText: setRefinedPrompt
+        });
+        setStatus("Refined prompt ready. The rule-based prompt is unchanged.");
+      } catch (error) {
+        if (isAbortError(error)) {
+          setStatus("Refinement stopped.");
+        } else {
+          console.error(error);
+          setStatus(`Refinement failed: ${error.message}`);
+        }
+      } finally {
+        refineAbortRef.current = null;
+        setRefining(false);
+      }
+    },
+    [
+      compiledPrompt,
+      refining,
+      refineSettings,
+      projectTitle,
+      audienceNotes,
+      tone,
+      objective,
+      stylePreset,
+      focusAreas,
+      customDirectives,
+      scenePrompts,
+      targetModel
+    ]
+  );
+
+  const handleStopRefine = useCallback(() => {
+    refineAbortRef.current?.abort();
+  }, []);
+
+  const handleCopyRefined = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(refinedPrompt);
+      setStatus("Refined prompt copied to clipboard.");
+    } catch (error) {
+      console.error(error);
+      setStatus("Clipboard permissions prevented copying.");
+    }
+  }, [refinedPrompt]);
+
+  const handleExport = useCallback(
+    (format) => {
+      if (!scenePrompts.length) return;
+      const exportDocument = buildExportDocument({
+        settings,
+        videoMeta,
+        fileName: videoSource?.file?.name,
+        scenes: scenePrompts,
+        sequences,
+        masterPrompt: compiledPrompt,
+        modelPrompt: formattedPrompt
+      });
+      const { mime } = exportFormats.find((item) => item.id === format);
+      downloadFile(
+        exportFileName(exportDocument, format),
+        serializeExport(exportDocument, format),
+        mime
+      );
+      setStatus(`Exported ${format.toUpperCase()} file.`);
+    },
+    [scenePrompts, sequences, settings, videoMeta, videoSource, compiledPrompt, formattedPrompt]
+  );
+
+  const handleSaveProject = useCallback(async () => {
+    const saved = await persistProject(scenePrompts, compiledPrompt, audioProfile);
+    setStatus(saved ? "Project saved to the library." : "Unable to save to the project library.");
+  }, [persistProject, scenePrompts, compiledPrompt, audioProfile]);
+
+  const applySettings = useCallback((saved) => {
+    setProjectTitle(saved.projectTitle ?? "");
+    setAudienceNotes(saved.audienceNotes ?? "");
+    setTone(saved.tone ?? defaultWording("tone"));
+    setObjective(saved.objective ?? defaultWording("objective"));
+    setStylePreset(saved.stylePreset ?? defaultWording("style"));
+    setFocusAreas(new Set(saved.focusAreas ?? []));
+    setGranularity(saved.granularity ?? 4);
+    setCaptureMode(saved.captureMode ?? captureModes[0].id);
+    setTargetModel(saved.targetModel ?? targetModels[0].id);
+    setAnalysisResolution(saved.analysisResolution ?? 720);
+    setTemplateId(saved.templateId ?? defaultTemplateId);
+    setRefineSettings({ ...defaultRefineSettings, ...saved.refine });
+    setRefinedPrompt("");
+    setCustomDirectives(saved.customDirectives ?? "");
+    setManualMarkers((saved.manualMarkers ?? []).map((time) => createMarker(time)));
+    setMoodBoard(saved.moodBoard ?? []);
+    setTranscript(saved.transcript ?? null);
+  }, []);
+
+  const handleOpenProject = useCallback(async (id) => {
+    try {
+      const { project, video } = await loadProject(id);
+      applySettings(project.settings ?? {});
+      setScenePrompts(project.scenes ?? []);
+      setCompiledPrompt(project.compiledPrompt ?? "");
+      setAudioProfile(project.audio ?? null);
+      setVideoMeta(project.videoMeta ?? null);
+      setVideoSource(video ? { url: URL.createObjectURL(video), file: video } : null);
+      setCurrentProjectId(project.id);
+      setStatus(
+        video
+          ? `Opened “${project.name}”.`
+          : `Opened “${project.name}”. Load the source video again to re-analyse.`
+      );
+    } catch (error) {
+      console.error(error);
+      setStatus("Unable to open that project.");
+    }
+  }, [applySettings]);
+
+  const handleRestoreRun = useCallback(
+    async (run) => {
+      applySettings(run.settings ?? {});
+      setScenePrompts(run.scenes ?? []);
+      setCompiledPrompt(run.compiledPrompt ?? "");
+      setAudioProfile(run.audio ?? null);
+      const saved = await persistProject(
+        run.scenes ?? [],
+        run.compiledPrompt ?? "",
+        run.audio ?? null,
+        run.settings
+      );
+      setStatus(
+        `Restored the run from ${new Date(run.createdAt).toLocaleString()}${
+          saved ? " and saved it as the project's current state" : ""
+        }.`
+      );
+    },
+    [applySettings, persistProject]
+  );
+
+  const handleDeleteRun = useCallback(
+    async (run) => {
+      try {
+        await deleteRun(run.id);
+        await refreshRuns(run.projectId);
+      } catch (error) {
+        console.error(error);
+        setStatus("Unable to delete that run.");
+      }
+    },
+    [refreshRuns]
+  );
+
+  const storyboardTitle = projectTitle || "Untitled video prompt";
+  const storyboardSubtitle = `${capitalize(objective)} · ${tone} · ${stylePreset}`;
+
+  const handlePrintStoryboard = useCallback(() => {
+    window.print();
+  }, []);
+
+  const handleContactSheet = useCallback(async () => {
+    if (!scenePrompts.length) return;
+    try {
+      setStatus("Rendering contact sheet…");
+      const blob = await renderContactSheet(scenePrompts, {
+        title: storyboardTitle,
+        subtitle: storyboardSubtitle
+      });
+      const extension = blob.type === "application/pdf" ? "pdf" : "png";
+      downloadFile(`${fileSlug(projectTitle)}-contact-sheet.${extension}`, blob, blob.type);
+      setStatus("Contact sheet downloaded.");
+    } catch (error) {
+      console.error(error);
+      setStatus("Unable to render the contact sheet.");
+    }
+  }, [scenePrompts, storyboardTitle, storyboardSubtitle, projectTitle]);
+
+  const handleAddMarker = useCallback(() => {
+    const preview = previewRef.current;
+    if (!preview || !videoMeta) return;
+    const time = preview.currentTime;
+    setManualMarkers((markers) =>
+      markers.some((marker) => Math.abs(marker.time - time) < 0.05)
+        ? markers
+        : [...markers, createMarker(time)]
+    );
+    setStatus(`Marked capture point at ${formatTime(time)}.`);
+  }, [videoMeta]);
+
+  const handleMoveMarker = useCallback(
+    (id, time) => {
+      const clamped = Math.min(Math.max(0, time), videoMeta?.duration ?? time);
+      setManualMarkers((markers) =>
+        markers.map((marker) => (marker.id === id ? { ...marker, time: clamped } : marker))
+      );
+    },
+    [videoMeta]
+  );
+
+  const handleRemoveMarker = useCallback((id) => {
+    setManualMarkers((markers) => markers.filter((marker) => marker.id !== id));
+  }, []);
+
+  const refreshPresets = useCallback(async () => {
+    try {
+      setCustomPresets(await listPresets());
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPresets();
+  }, [refreshPresets]);
+
+  // Keeps the brief pointing at a preset's wording when it is edited or removed.
+  const replaceSelectedWording = useCallback((kind, previous, next) => {
+    const setters = { tone: setTone, objective: setObjective, style: setStylePreset };
+    setters[kind]((current) => (current === previous ? next : current));
+  }, []);
+
+  const handleSavePreset = useCallback(
+    async (draft) => {
+      const preset = normalizePreset(draft);
+      if (!preset) {
+        setStatus("Presets need a name and the wording they inject.");
+        return false;
+      }
+      try {
+        const previous = customPresets.find((item) => item.id === preset.id);
+        await savePresets([preset]);
+        if (previous) {
+          replaceSelectedWording(previous.kind, previous.wording, preset.wording);
+        }
+        await refreshPresets();
+        setStatus(`Saved the “${preset.name}” preset.`);
+        return true;
+      } catch (error) {
+        console.error(error);
+        setStatus("Unable to save that preset.");
+        return false;
+      }
+    },
+    [customPresets, refreshPresets, replaceSelectedWording]
+  );
+
+  const handleDeletePreset = useCallback(
+    async (preset) => {
+      try {
+        await deletePreset(preset.id);
+        replaceSelectedWording(preset.kind, preset.wording, defaultWording(preset.kind));
+        await refreshPresets();
+        setStatus(`Deleted the “${preset.name}” preset.`);
+      } catch (error) {
+        console.error(error);
+        setStatus("Unable to delete that preset.");
+      }
+    },
+    [refreshPresets, replaceSelectedWording]
+  );
+
+  const handleImportPresets = useCallback(
+    async (file) => {
+      try {
+        const presets = parsePresetFile(await file.text());
+        await savePresets(presets);
+        await refreshPresets();
+        setStatus(`Imported ${presets.length} presets.`);
+      } catch (error) {
+        console.error(error);
+        setStatus(`Unable to import presets: ${error.message}.`);
+      }
+    },
+    [refreshPresets]
+  );
+
+  const handleExportPresets = useCallback(() => {
+    if (!customPresets.length) return;
+    downloadFile(
+      "video-prompt-presets.json",
+      serializePresets(customPresets),
+      "application/json"
+    );
+    setStatus(`Exported ${customPresets.length} presets.`);
+  }, [customPresets]);
+
+  const refreshTemplates = useCallback(async () => {
+    try {
+      setCustomTemplates(await listTemplates());
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTemplates();
+  }, [refreshTemplates]);
+
+  const recomposeWith = useCallback(
+    (template) => {
+      if (!scenePrompts.length) return;
+      const { scenes, prompt } = composePrompts(scenePrompts, audioProfile, template);
+      setScenePrompts(scenes);
+      setCompiledPrompt(prompt);
+    },
+    [scenePrompts, audioProfile, composePrompts]
+  );
+
+  const applyMoodBoard = useCallback(
+    (references) => {
+      setMoodBoard(references);
+      if (!scenePrompts.length) return;
+      const { scenes, prompt } = composePrompts(
+        scenePrompts,
+        audioProfile,
+        activeTemplate,
+        references
+      );
+      setScenePrompts(scenes);
+      setCompiledPrompt(prompt);
+    },
+    [scenePrompts, audioProfile, activeTemplate, composePrompts]
+  );
+
+  const handleAddReferences = useCallback(
+    async (files) => {
+      const images = files
+        .filter((file) => file.type.startsWith("image/"))
+        .slice(0, Math.max(0, maxReferences - moodBoard.length));
+      if (!images.length) {
+        setStatus(`Add image files; the mood board holds up to ${maxReferences} stills.`);
+        return;
+      }
+      setAddingReferences(true);
+      const added = [];
+      for (const file of images) {
+        setStatus(`Analysing reference ${added.length + 1} / ${images.length}…`);
+        try {
+          added.push(await analyzeReferenceImage(file));
+        } catch (error) {
+          console.error(error);
+        }
+      }
+      setAddingReferences(false);
+      applyMoodBoard([...moodBoard, ...added]);
+      setStatus(
+        added.length === images.length
+          ? `Added ${added.length} reference still${added.length === 1 ? "" : "s"}.`
+          : `Added ${added.length} of ${images.length} stills; the rest could not be decoded.`
+      );
+    },
+    [moodBoard, applyMoodBoard]
+  );
+
+  const handleRemoveReference = useCallback(
+    (id) => applyMoodBoard(moodBoard.filter((reference) => reference.id !== id)),
+    [moodBoard, applyMoodBoard]
+  );
+
+  const applyTranscript = useCallback(
+    (next) => {
+      setTranscript(next);
+      if (!scenePrompts.length) return;
+      const { scenes, prompt } = composePrompts(
+        scenePrompts,
+        audioProfile,
+        activeTemplate,
+        moodBoard,
+        next
+      );
+      setScenePrompts(scenes);
+      setCompiledPrompt(prompt);
+    },
+    [scenePrompts, audioProfile, activeTemplate, moodBoard, composePrompts]
+  );
+
+  const handleAttachSubtitles = useCallback(
+    async (file) => {
+      try {
+        const cues = parseSubtitles(await file.text());
+        applyTranscript({ name: file.name, cues });
+        setStatus(`Attached ${file.name}: ${cues.length} cue${cues.length === 1 ? "" : "s"}.`);
+      } catch (error) {
+        console.error(error);
+        setStatus(`Could not read ${file.name}: ${error.message}`);
+      }
+    },
+    [applyTranscript]
+  );
+
+  const handleReadEmbeddedCaptions = useCallback(async () => {
+    setReadingCaptions(true);
+    setStatus("Reading caption tracks from the video…");
+    try {
+      const [track, ...others] = await readTextTracks(videoRef.current);
+      if (!track) {
+        setStatus("This video has no caption or subtitle tracks the browser can read.");
+        return;
+      }
+      applyTranscript(track);
+      const extra = others.length
+        ? `; ${others.length} other track${others.length === 1 ? "" : "s"} found`
+        : "";
+      setStatus(`Using captions from ${track.name} (${track.cues.length} cues)${extra}.`);
+    } catch (error) {
+      console.error(error);
+      setStatus(`Could not read the video's caption tracks: ${error.message}`);
+    } finally {
+      setReadingCaptions(false);
+    }
+  }, [applyTranscript]);
+
+  const continuity = useMemo(() => analyzeContinuity(scenePrompts), [scenePrompts]);
+
+  const moodComparison = useMemo(
+    () => compareToMoodBoard(scenePrompts, moodBoard),
+    [scenePrompts, moodBoard]
+  );
+
+  const handleSelectTemplate = useCallback(
+    (id) => {
+      setTemplateId(id);
+      recomposeWith(findTemplate(templates, id));
+    },
+    [templates, recomposeWith]
+  );
+
+  const handleSaveTemplate = useCallback(
+    async (draft) => {
+      try {
+        const template = await saveTemplate(normalizeTemplate(draft));
+        await refreshTemplates();
+        setTemplateId(template.id);
+        recomposeWith(template);
+        setStatus(`Saved the “${template.name}” template.`);
+      } catch (error) {
+        console.error(error);
+        setStatus(`Unable to save that template: ${error.message}.`);
+      }
+    },
+    [refreshTemplates, recomposeWith]
+  );
+
+  const handleDeleteTemplate = useCallback(
+    async (template) => {
+      try {
+        await deleteTemplate(template.id);
+        await refreshTemplates();
+        if (template.id === activeTemplate.id) {
+          setTemplateId(defaultTemplateId);
+          recomposeWith(defaultTemplate);
+        }
+        setStatus(`Deleted the “${template.name}” template.`);
+      } catch (error) {
+        console.error(error);
+        setStatus("Unable to delete that template.");
+      }
+    },
+    [activeTemplate, refreshTemplates, recomposeWith]
+  );
+
+  const renderTemplatePreview = useCallback(
+    (template) => {
+      if (!scenePrompts.length) return null;
+      const { scenes, prompt } = composePrompts(scenePrompts, audioProfile, template);
+      return { scenes: scenes.slice(0, 3).map((scene) => scene.summary), master: prompt };
+    },
+    [scenePrompts, audioProfile, composePrompts]
+  );
+
+  const handleSeekPreview = useCallback((time) => {
+    if (previewRef.current) {
+      previewRef.current.currentTime = time;
+    }
+  }, []);
+
+  useEffect(
+    () => () => {
+      analyzerRef.current?.cancel();
+      refineAbortRef.current?.abort();
+    },
+    []
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== "m" && event.key !== "M") return;
+      if (event.metaKey || event.ctrlKey || event.altKey || processing) return;
+      const target = event.target;
+      if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) {
+        return;
+      }
+      event.preventDefault();
+      handleAddMarker();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleAddMarker, processing]);
 
   const showVideoHint = !videoSource && !status;
 
   return (
     <main className="app-shell">
-      <div className="card">
+      <div className="card no-print">
         <h1 className="page-title">Video to Prompt Generator</h1>
         <p className="muted">
           Transform raw footage into ready-to-use AI prompts. Drop a clip, choose the
@@ -336,15 +1405,52 @@ export default function Page() {
 
         <div className="grid">
           <section className="panel">
+            <ProjectLibrary
+              revision={libraryRevision}
+              currentProjectId={currentProjectId}
+              storeVideo={storeVideo}
+              setStoreVideo={setStoreVideo}
+              canSave={scenePrompts.length > 0}
+              onSave={handleSaveProject}
+              onOpen={handleOpenProject}
+              onStatus={setStatus}
+            />
+
             <Uploader
               onFileChange={handleFileChange}
+              onFolderChange={handleFolderChange}
+              onDropFiles={openVideoFiles}
+              onLoadUrl={handleLoadUrl}
+              onRecorded={handleRecorded}
+              onStatus={setStatus}
               videoSource={videoSource}
               videoMeta={videoMeta}
               processing={processing}
               showHint={showVideoHint}
+              previewRef={previewRef}
+              markers={manualMarkers}
+              scenes={scenePrompts}
+              onSeek={handleSeekPreview}
+              onAddMarker={handleAddMarker}
+              onMoveMarker={handleMoveMarker}
+              onRemoveMarker={handleRemoveMarker}
             />
 
+            {batchClips.length ? (
+              <BatchQueue
+                clips={batchClips}
+                campaignPrompt={campaignPrompt}
+                processing={processing}
+                onRun={handleRunBatch}
+                onOpen={handleOpenBatchClip}
+                onRemove={handleRemoveBatchClip}
+                onClear={handleClearBatch}
+                onCopy={handleCopyCampaign}
+              />
+            ) : null}
+
             <ConfigurationPanel
+              customPresets={customPresets}
               tone={tone}
               setTone={setTone}
               objective={objective}
@@ -355,6 +1461,12 @@ export default function Page() {
               toggleFocus={toggleFocus}
               granularity={granularity}
               setGranularity={setGranularity}
+              captureMode={captureMode}
+              setCaptureMode={setCaptureMode}
+              targetModel={targetModel}
+              setTargetModel={setTargetModel}
+              analysisResolution={analysisResolution}
+              setAnalysisResolution={setAnalysisResolution}
               projectTitle={projectTitle}
               setProjectTitle={setProjectTitle}
               audienceNotes={audienceNotes}
@@ -365,19 +1477,88 @@ export default function Page() {
               videoMeta={videoMeta}
             />
 
+            <details className="preset-panel">
+              <summary className="field-label">
+                Client mood board{moodBoard.length ? ` (${moodBoard.length})` : ""}
+              </summary>
+              <MoodBoard
+                references={moodBoard}
+                comparison={moodComparison}
+                busy={addingReferences}
+                onAdd={handleAddReferences}
+                onRemove={handleRemoveReference}
+              />
+            </details>
+
+            <details className="preset-panel">
+              <summary className="field-label">
+                Transcript{transcript ? ` (${transcript.cues.length} cues)` : ""}
+              </summary>
+              <TranscriptPanel
+                transcript={transcript}
+                canReadEmbedded={Boolean(videoSource)}
+                busy={readingCaptions}
+                onAttach={handleAttachSubtitles}
+                onReadEmbedded={handleReadEmbeddedCaptions}
+                onRemove={() => applyTranscript(null)}
+              />
+            </details>
+
+            <details className="preset-panel">
+              <summary className="field-label">Manage house presets</summary>
+              <PresetManager
+                presets={customPresets}
+                onSave={handleSavePreset}
+                onDelete={handleDeletePreset}
+                onImport={handleImportPresets}
+                onExport={handleExportPresets}
+              />
+            </details>
+
+            <details className="preset-panel">
+              <summary className="field-label">Edit prompt templates</summary>
+              <TemplateEditor
+                templates={templates}
+                activeTemplateId={activeTemplate.id}
+                onSelect={handleSelectTemplate}
+                onSave={handleSaveTemplate}
+                onDelete={handleDeleteTemplate}
+                renderPreview={renderTemplatePreview}
+              />
+            </details>
+
             <div className="cta-row">
               <button
                 type="button"
                 className="cta-button"
-                onClick={handleGeneratePrompts}
+                onClick={() => handleGeneratePrompts()}
                 disabled={!hasVideoReady || processing}
               >
                 {processing ? "Analysing…" : "Generate Prompt"}
               </button>
-              <button type="button" className="cta-alt" onClick={resetState}>
-                Reset Results
-              </button>
+              {processing ? (
+                <button type="button" className="cta-alt" onClick={handleCancelAnalysis}>
+                  Cancel
+                </button>
+              ) : (
+                <button type="button" className="cta-alt" onClick={resetState}>
+                  Reset Results
+                </button>
+              )}
             </div>
+            {audioPassNote ? <p className="field-helper">{audioPassNote}</p> : null}
+
+            {progress !== null ? (
+              <div
+                className="progress-track"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(progress * 100)}
+              >
+                <div className="progress-fill" style={{ width: `${progress * 100}%` }} />
+              </div>
+            ) : null}
 
             {status ? (
               <div className="status-banner" data-pulse={pulse}>
@@ -397,43 +1578,163 @@ export default function Page() {
           <aside className="panel">
             <ResultsPanel
               scenePrompts={scenePrompts}
-              compiledPrompt={compiledPrompt}
+              sequences={sequences}
+              compiledPrompt={formattedPrompt}
+              canReanalyse={Boolean(videoSource && videoMeta) && !processing}
+              onSceneChange={handleSceneChange}
+              onSceneMove={handleSceneMove}
+              onSceneDelete={handleSceneDelete}
+              onSceneReanalyse={handleSceneReanalyse}
+              promptTitle={
+                targetModel === "blueprint"
+                  ? "Prompt blueprint"
+                  : `${findTargetModel(targetModel).label} prompts`
+              }
               onCopy={handleCopy}
+              onExport={handleExport}
+              refinement={
+                <RefinePanel
+                  settings={refineSettings}
+                  refinedPrompt={refinedPrompt}
+                  refining={refining}
+                  disabled={!compiledPrompt || processing}
+                  onSettingsChange={setRefineSettings}
+                  onRefine={handleRefine}
+                  onStop={handleStopRefine}
+                  onCopy={handleCopyRefined}
+                />
+              }
             />
+
+            {continuity ? (
+              <details className="preset-panel">
+                <summary className="field-label">
+                  Continuity ({continuity.score}/100 · {continuity.jumps.length} jump
+                  {continuity.jumps.length === 1 ? "" : "s"})
+                </summary>
+                <ContinuityReport report={continuity} />
+              </details>
+            ) : null}
+
+            {runs.length ? (
+              <details className="preset-panel">
+                <summary className="field-label">Run history ({runs.length})</summary>
+                <RunHistory runs={runs} onRestore={handleRestoreRun} onDelete={handleDeleteRun} />
+              </details>
+            ) : null}
           </aside>
         </div>
 
-        <footer className="footer">
+        <footer className="footer no-print">
           Build richer prompts by layering context, audience, and cinematic intent before
           passing it to your favourite generative model.
         </footer>
       </div>
+
+      {scenePrompts.length ? (
+        <StoryboardSheet
+          scenes={scenePrompts}
+          title={storyboardTitle}
+          subtitle={storyboardSubtitle}
+          onPrint={handlePrintStoryboard}
+          onDownloadSheet={handleContactSheet}
+        />
+      ) : null}
     </main>
   );
 }
 
-function Uploader({ onFileChange, videoSource, videoMeta, processing, showHint }) {
+function Uploader({
+  onFileChange,
+  onFolderChange,
+  onDropFiles,
+  onLoadUrl,
+  onRecorded,
+  onStatus,
+  videoSource,
+  videoMeta,
+  processing,
+  showHint,
+  previewRef,
+  markers,
+  scenes,
+  onSeek,
+  onAddMarker,
+  onMoveMarker,
+  onRemoveMarker
+}) {
+  const [dragging, setDragging] = useState(false);
+
+  const handleDragOver = (event) => {
+    if (processing) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    setDragging(true);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    if (processing) return;
+    const files = Array.from(event.dataTransfer.files ?? []);
+    if (files.length) {
+      onDropFiles(files);
+      return;
+    }
+    const link = (event.dataTransfer.getData("text/uri-list") || event.dataTransfer.getData("text"))
+      .split("\n")
+      .find((line) => line.trim() && !line.startsWith("#"));
+    if (link) onLoadUrl(link.trim());
+  };
+
   return (
-    <div className="panel video-panel">
+    <div
+      className="panel video-panel"
+      data-dragging={dragging}
+      onDragOver={handleDragOver}
+      onDragLeave={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) setDragging(false);
+      }}
+      onDrop={handleDrop}
+    >
       <div className="field-group">
         <label className="field-label">Video source</label>
         <p className="field-helper">
-          Works best with 10s – 2min clips in mp4, mov, or webm. We only process frames in
-          your browser.
+          Works with short clips and long recordings in mp4, mov, or webm. Pick or drop several
+          clips or a folder to queue a campaign, paste a video link, or record your camera or
+          screen. We only process frames in your browser.
         </p>
         <input
           type="file"
           accept="video/*"
+          multiple
           onChange={onFileChange}
           className="input"
           disabled={processing}
         />
+        <label className="field-helper library-toggle">
+          Or queue a folder:
+          <input
+            type="file"
+            webkitdirectory=""
+            onChange={onFolderChange}
+            className="input"
+            disabled={processing}
+          />
+        </label>
+        <SourceOptions
+          processing={processing}
+          onLoadUrl={onLoadUrl}
+          onRecorded={onRecorded}
+          onStatus={onStatus}
+        />
       </div>
 
       {videoSource ? (
         <div className="video-preview">
           <video
             key={videoSource.url}
+            ref={previewRef}
             src={videoSource.url}
             controls
             style={{ width: "100%", display: "block" }}
@@ -446,6 +1747,18 @@ function Uploader({ onFileChange, videoSource, videoMeta, processing, showHint }
               </span>
             </div>
           ) : null}
+          {videoMeta ? (
+            <CaptureTimeline
+              duration={videoMeta.duration}
+              markers={markers}
+              scenes={scenes}
+              onSeek={onSeek}
+              onAddMarker={onAddMarker}
+              onMoveMarker={onMoveMarker}
+              onRemoveMarker={onRemoveMarker}
+              disabled={processing}
+            />
+          ) : null}
         </div>
       ) : showHint ? (
         <div className="prompt-block empty">
@@ -458,6 +1771,7 @@ function Uploader({ onFileChange, videoSource, videoMeta, processing, showHint }
 }
 
 function ConfigurationPanel({
+  customPresets,
   tone,
   setTone,
   objective,
@@ -468,6 +1782,12 @@ function ConfigurationPanel({
   toggleFocus,
   granularity,
   setGranularity,
+  captureMode,
+  setCaptureMode,
+  targetModel,
+  setTargetModel,
+  analysisResolution,
+  setAnalysisResolution,
   projectTitle,
   setProjectTitle,
   audienceNotes,
@@ -499,46 +1819,33 @@ function ConfigurationPanel({
         />
       </div>
 
-      <div className="field-group">
-        <label className="field-label">Creative tone</label>
-        <select
-          value={tone}
-          onChange={(event) => setTone(event.target.value)}
-          className="select"
-        >
-          {toneOptions.map((option) => (
-            <option key={option} value={option}>
-              {capitalize(option)}
-            </option>
-          ))}
-        </select>
-      </div>
-
-      <div className="field-group">
-        <label className="field-label">Prompt objective</label>
-        <select
-          value={objective}
-          onChange={(event) => setObjective(event.target.value)}
-          className="select"
-        >
-          {objectiveOptions.map((option) => (
-            <option key={option} value={option}>
-              {capitalize(option)}
-            </option>
-          ))}
-        </select>
-      </div>
+      {presetKinds.map((kind) => {
+        const [value, setValue] = {
+          tone: [tone, setTone],
+          objective: [objective, setObjective],
+          style: [stylePreset, setStylePreset]
+        }[kind.id];
+        return (
+          <PresetSelect
+            key={kind.id}
+            label={kind.label}
+            value={value}
+            options={presetOptions(kind.id, customPresets)}
+            onChange={setValue}
+          />
+        );
+      })}
 
       <div className="field-group">
-        <label className="field-label">Stylistic preset</label>
+        <label className="field-label">Target model</label>
         <select
-          value={stylePreset}
-          onChange={(event) => setStylePreset(event.target.value)}
+          value={targetModel}
+          onChange={(event) => setTargetModel(event.target.value)}
           className="select"
         >
-          {stylePresets.map((option) => (
-            <option key={option} value={option}>
-              {capitalize(option)}
+          {targetModels.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
             </option>
           ))}
         </select>
@@ -561,11 +1868,34 @@ function ConfigurationPanel({
         </div>
       </div>
 
+      <div className="field-group">
+        <label className="field-label">Capture points</label>
+        <div className="pill-row">
+          {captureModes.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              className="pill"
+              data-active={captureMode === option.id}
+              onClick={() => setCaptureMode(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
       <div className="field-group">
         <label className="field-label">
-          Scene granularity{" "}
+          {captureMode === "scenes" ? "Detection sensitivity" : "Scene granularity"}{" "}
           <span className="field-helper">
-            {videoMeta ? `${sceneCount} scene signatures` : "load a video first"}
+            {!videoMeta
+              ? "load a video first"
+              : captureMode === "manual"
+              ? "not used · only your timeline markers are captured"
+              : captureMode === "scenes"
+              ? `level ${granularity} · higher values split on subtler cuts`
+              : `${sceneCount} scene signatures`}
           </span>
         </label>
         <input
@@ -577,6 +1907,24 @@ function ConfigurationPanel({
         />
       </div>
 
+      <div className="field-group">
+        <label className="field-label">
+          Analysis resolution{" "}
+          <span className="field-helper">frames are downscaled before analysis</span>
+        </label>
+        <select
+          value={analysisResolution}
+          onChange={(event) => setAnalysisResolution(Number(event.target.value))}
+          className="select"
+        >
+          {analysisResolutions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
       <div className="field-group">
         <label className="field-label">Custom directives</label>
         <textarea
@@ -590,26 +1938,78 @@ function ConfigurationPanel({
   );
 }
 
-function ResultsPanel({ scenePrompts, compiledPrompt, onCopy }) {
+function PresetSelect({ label, value, options, onChange }) {
+  const selected = options.find((option) => option.wording === value);
+  return (
+    <div className="field-group">
+      <label className="field-label">{label}</label>
+      <select value={value} onChange={(event) => onChange(event.target.value)} className="select">
+        {selected ? null : <option value={value}>{capitalize(value)}</option>}
+        {options.map((option) => (
+          <option key={option.id} value={option.wording}>
+            {option.builtIn ? option.name : `${option.name} · house`}
+          </option>
+        ))}
+      </select>
+      {selected?.description ? <span className="field-helper">{selected.description}</span> : null}
+    </div>
+  );
+}
+
+function ResultsPanel({
+  scenePrompts,
+  sequences,
+  compiledPrompt,
+  promptTitle,
+  canReanalyse,
+  onSceneChange,
+  onSceneMove,
+  onSceneDelete,
+  onSceneReanalyse,
+  onCopy,
+  onExport,
+  refinement
+}) {
+  const renderScene = (scene) => (
+    <SceneCard
+      key={scene.id ?? scene.index}
+      scene={scene}
+      isFirst={scene.index === 0}
+      isLast={scene.index === scenePrompts.length - 1}
+      canReanalyse={canReanalyse}
+      onChange={onSceneChange}
+      onMove={onSceneMove}
+      onDelete={onSceneDelete}
+      onReanalyse={onSceneReanalyse}
+    />
+  );
+
   return (
     <div className="results-card">
       <div className="field-group">
         <label className="field-label">Scene signatures</label>
-        {scenePrompts.length ? (
-          <div className="scene-grid">
-            {scenePrompts.map((scene) => (
-              <article key={scene.index} className="scene-item">
-                <h4>
-                  Scene {scene.index + 1} · {formatTime(scene.timestamp)}
-                </h4>
-                <span className="scene-meta">
-                  {scene.analysis.palette} · {scene.analysis.lighting} ·{" "}
-                  {scene.analysis.energy}
-                </span>
-                <p className="prompt-text">{scene.summary}</p>
-              </article>
+        {sequences.length ? (
+          <div className="sequence-list">
+            {sequences.map((sequence) => (
+              <details key={sequence.index} className="sequence-group">
+                <summary>
+                  <strong>Sequence {sequence.index + 1}</strong>
+                  <span className="scene-meta">
+                    {formatRange(sequence)} · {sequence.sceneCount} scenes ·{" "}
+                    {sequence.analysis.palette}
+                  </span>
+                </summary>
+                <p className="prompt-text">{sequence.summary}</p>
+                <div className="scene-grid">
+                  {scenePrompts
+                    .filter((scene) => scene.sequence === sequence.index)
+                    .map(renderScene)}
+                </div>
+              </details>
             ))}
           </div>
+        ) : scenePrompts.length ? (
+          <div className="scene-grid">{scenePrompts.map(renderScene)}</div>
         ) : (
           <div className="prompt-block empty">
             Scene-specific guidance appears here after analysis. We extract cinematic
@@ -625,12 +2025,25 @@ function ResultsPanel({ scenePrompts, compiledPrompt, onCopy }) {
         {compiledPrompt ? (
           <div className="prompt-block">
             <div style={{ display: "flex", justifyContent: "space-between", gap: "1rem" }}>
-              <h3>Prompt blueprint</h3>
+              <h3>{promptTitle}</h3>
               <button className="copy-button" type="button" onClick={onCopy}>
                 Copy
               </button>
             </div>
             <pre className="prompt-text">{compiledPrompt}</pre>
+            <div className="export-row">
+              <span className="field-helper">Export</span>
+              {exportFormats.map((format) => (
+                <button
+                  key={format.id}
+                  className="copy-button"
+                  type="button"
+                  onClick={() => onExport(format.id)}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
           </div>
         ) : (
           <div className="prompt-block empty">
@@ -639,6 +2052,13 @@ function ResultsPanel({ scenePrompts, compiledPrompt, onCopy }) {
           </div>
         )}
       </div>
+
+      {compiledPrompt ? (
+        <>
+          <hr className="divider" />
+          {refinement}
+        </>
+      ) : null}
     </div>
   );
 }
@@ -659,126 +2079,8 @@ function HiddenVideoCanvas({ videoRef, canvasRef, source, onLoaded }) {
   );
 }
 
-function buildCapturePoints(duration, sceneCount) {
-  if (!duration || !sceneCount) return [];
-  const points = [];
-  const safeDuration = Math.max(duration - 0.5, duration);
-  const step = safeDuration / (sceneCount + 1);
-  for (let i = 1; i <= sceneCount; i += 1) {
-    points.push(Math.min(duration - 0.1, step * i));
-  }
-  return points;
-}
-
-function buildScenePrompt({ index, timestamp, analysis, focusAreas, tone, objective, stylePreset }) {
-  const focus = Array.from(focusAreas);
-  const focusText = focus.length
-    ? ` emphasise ${focus.map((id) => focusLabel(id)).join(", ")}`
-    : "";
-  const descriptors = [
-    analysis.palette,
-    analysis.lighting,
-    analysis.saturation,
-    analysis.contrast,
-    analysis.mood,
-    analysis.energy
-  ]
-    .filter(Boolean)
-    .join("; ");
-
-  return `Scene ${index + 1} (${formatTime(timestamp)}): ${capitalize(
-    tone
-  )} tone with ${descriptors}.${focusText}. Keep alignment with ${objective} in a ${stylePreset} approach.`;
-}
-
-function buildMasterPrompt({
-  scenes,
-  projectTitle,
-  audienceNotes,
-  tone,
-  objective,
-  stylePreset,
-  focusAreas,
-  customDirectives
-}) {
-  const focus = Array.from(focusAreas);
-  const focusLine = focus.length
-    ? `Prioritise ${focus.map((id) => focusLabel(id)).join(", ")}.`
-    : "";
-
-  const sceneLines = scenes
-    .map(
-      (scene) =>
-        `- ${formatTime(scene.timestamp)} · ${scene.analysis.palette}, ${scene.analysis.lighting}, ${scene.analysis.energy}.`
-    )
-    .join("\n");
-
-  const summaryLines = scenes.map((scene) => scene.summary).join("\n");
-
-  return [
-    projectTitle ? `Project: ${projectTitle}` : "Project: Untitled video prompt",
-    `Objective: ${capitalize(objective)} for AI generation.`,
-    `Creative tone: ${capitalize(tone)} blended with ${stylePreset}.`,
-    focusLine,
-    audienceNotes ? `Audience / usage: ${audienceNotes}` : "",
-    "",
-    "Scene ingredients:",
-    sceneLines,
-    "",
-    "Detailed prompt instructions:",
-    summaryLines,
-    customDirectives ? `\nExtra directives: ${customDirectives}` : ""
-  ]
-    .filter(Boolean)
-    .join("\n");
-}
-
-function formatTime(seconds) {
-  if (!Number.isFinite(seconds)) return "00:00";
-  const minutes = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds - Math.floor(seconds)) * 1000);
-  const pad = (value, length = 2) => value.toString().padStart(length, "0");
-  return `${pad(minutes)}:${pad(secs)}.${pad(Math.floor(ms / 10))}`;
-}
-
-function rgbToHsl(r, g, b) {
-  const rNorm = r / 255;
-  const gNorm = g / 255;
-  const bNorm = b / 255;
-
-  const max = Math.max(rNorm, gNorm, bNorm);
-  const min = Math.min(rNorm, gNorm, bNorm);
-  const delta = max - min;
-
-  let h = 0;
-  if (delta !== 0) {
-    if (max === rNorm) {
-      h = ((gNorm - bNorm) / delta) % 6;
-    } else if (max === gNorm) {
-      h = (bNorm - rNorm) / delta + 2;
-    } else {
-      h = (rNorm - gNorm) / delta + 4;
-    }
-    h = Math.round(h * 60);
-    if (h < 0) h += 360;
-  }
-
-  const l = (max + min) / 2;
-  const s =
-    delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1));
-
-  return [h, s, l];
-}
-
-function capitalize(value) {
-  if (!value) return "";
-  return value.charAt(0).toUpperCase() + value.slice(1);
-}
-
-function focusLabel(id) {
-  const option = focusOptions.find((item) => item.id === id);
-  return option ? option.label.toLowerCase() : id;
+function snapshotSettings(settings) {
+  return { ...settings, focusAreas: Array.from(settings.focusAreas) };
 }
 
 function seekVideo(video, time) {
@@ -800,3 +2102,181 @@ function seekVideo(video, time) {
     video.currentTime = time;
   });
 }
+
+async function detectSceneRanges(
+  video,
+  canvas,
+  context,
+  { duration, sensitivity, signal, onProgress }
+) {
+  canvas.width = probeSize.width;
+  canvas.height = probeSize.height;
+  const interval = probeInterval(duration);
+  const samples = [];
+
+  for (let time = 0; time < duration - 0.05; time += interval) {
+    await seekVideo(video, time);
+    throwIfAborted(signal);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const frameData = context.getImageData(0, 0, canvas.width, canvas.height);
+    samples.push({ time, ...lumaSignature(frameData) });
+    onProgress?.(Math.min(1, time / duration));
+  }
+
+  return buildSceneRanges(samples, duration, {
+    sensitivity,
+    maxScenes: maxSceneCount
+  });
+}
+
+let sceneSequence = 0;
+let clipSequence = 0;
+
+function createScene({ timestamp, start, end, manual = false }, detected, thumbnail) {
+  sceneSequence += 1;
+  return {
+    id: `scene-${Date.now().toString(36)}-${sceneSequence}`,
+    timestamp,
+    start,
+    end,
+    manual,
+    detected,
+    analysis: detected,
+    overrides: {},
+    notes: "",
+    locked: false,
+    thumbnail
+  };
+}
+
+function createBatchClip(file) {
+  clipSequence += 1;
+  return {
+    id: `clip-${Date.now().toString(36)}-${clipSequence}`,
+    name: file.webkitRelativePath || file.name,
+    file,
+    status: "queued",
+    meta: null,
+    scenes: [],
+    prompt: "",
+    audio: null,
+    error: null
+  };
+}
+
+function loadClip(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    const release = () => {
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+    video.preload = "auto";
+    video.muted = true;
+    video.onloadedmetadata = async () => {
+      let duration;
+      try {
+        duration = await resolveDuration(video);
+      } catch (error) {
+        release();
+        reject(error);
+        return;
+      }
+      resolve({
+        video,
+        meta: { duration, width: video.videoWidth, height: video.videoHeight },
+        release
+      });
+    };
+    video.onerror = () => {
+      release();
+      reject(new Error("could not decode this file"));
+    };
+    video.src = url;
+  });
+}
+
+function createMarker(time) {
+  sceneSequence += 1;
+  return { id: `marker-${Date.now().toString(36)}-${sceneSequence}`, time };
+}
+
+function applyOverrides(scene) {
+  const detected = scene.detected ?? scene.analysis;
+  return { ...scene, detected, analysis: { ...detected, ...scene.overrides } };
+}
+
+function coversTime(scene, time) {
+  if (Number.isFinite(scene.start) && Number.isFinite(scene.end)) {
+    return time >= scene.start && time <= scene.end;
+  }
+  return Math.abs(scene.timestamp - time) < 0.5;
+}
+
+async function captureMoment(video, canvas, time, duration) {
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  await seekVideo(video, time);
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const frameData = context.getImageData(0, 0, canvas.width, canvas.height);
+  const thumbnail = createThumbnail(canvas);
+  const faces = await detectFaces(canvas, canvas.width, canvas.height);
+  const motion = await measureMotion(video, time, duration);
+  return {
+    analysis: analyzeFrame(frameData, canvas.width, canvas.height, motion, faces),
+    thumbnail
+  };
+}
+
+async function analyseInWorker(analyzer, video, { time, duration, size, signal }) {
+  await seekVideo(video, time);
+  throwIfAborted(signal);
+  const bitmap = await createImageBitmap(video, {
+    resizeWidth: size.width,
+    resizeHeight: size.height,
+    resizeQuality: "medium"
+  });
+
+  const { forward, companionTime, interval } = companionTiming(time, duration);
+  let companion = null;
+  if (interval) {
+    await seekVideo(video, companionTime);
+    companion = await createImageBitmap(video, {
+      resizeWidth: motionSize.width,
+      resizeHeight: motionSize.height
+    });
+  }
+
+  if (signal?.aborted) {
+    bitmap.close();
+    companion?.close();
+    throwIfAborted(signal);
+  }
+  return analyzer.analyze(
+    { bitmap, companion, forward, interval },
+    companion ? [bitmap, companion] : [bitmap]
+  );
+}
+
+async function measureMotion(video, time, duration) {
+  const { width, height } = motionSize;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  const grabPlane = () => {
+    context.drawImage(video, 0, 0, width, height);
+    return toLumaPlane(context.getImageData(0, 0, width, height));
+  };
+
+  const { forward, companionTime, interval } = companionTiming(time, duration);
+  if (!interval) return null;
+
+  const anchor = grabPlane();
+  await seekVideo(video, companionTime);
+  const companion = grabPlane();
+  return forward
+    ? estimateMotion(anchor, companion, interval)
+    : estimateMotion(companion, anchor, interval);
+}
@@ -0,0 +1,129 @@
+import { formatPalette, rgbToHex } from "../analysis/palette";
+import { labelFields, summarizeScenes } from "../analysis/sequences";
+import { capitalize, formatTime } from "./text";
+
+const sharedSwatchDistance = 56;
+const minSwatchShare = 0.1;
+
+export function summarizeClip(clip) {
+  return {
+    name: clip.name,
+    duration: clip.meta?.duration ?? null,
+    ...summarizeScenes(clip.scenes)
+  };
+}
+
+export function buildCampaignPrompt({
+  clips,
+  projectTitle,
+  audienceNotes,
+  tone,
+  objective,
+  stylePreset,
+  customDirectives
+}) {
+  const profiles = clips.filter((clip) => clip.scenes?.length).map(summarizeClip);
+  if (profiles.length < 2) return "";
+
+  const shared = sharedLook(profiles);
+  const sharedDescriptors = labelFields.map((field) => shared[field]).filter(Boolean);
+  const sharedSwatches = sharedPalette(profiles);
+
+  const differenceLines = profiles.map((profile) => {
+    const diverging = labelFields
+      .filter((field) => profile.analysis[field] && profile.analysis[field] !== shared[field])
+      .map((field) => profile.analysis[field]);
+    const scenes = `${profile.sceneCount} scene${profile.sceneCount === 1 ? "" : "s"}`;
+    return `- ${profile.name} (${formatTime(profile.duration)}, ${scenes}): ${
+      diverging.length ? `diverges with ${diverging.join(", ")}` : "matches the shared look"
+    }.`;
+  });
+
+  const clipLines = profiles.map((profile) => {
+    const descriptors = [
+      profile.analysis.palette,
+      profile.analysis.lighting,
+      profile.analysis.mood,
+      profile.analysis.energy
+    ]
+      .filter(Boolean)
+      .join("; ");
+    const paletteText = profile.analysis.swatches.length
+      ? ` Palette: ${formatPalette(profile.analysis.swatches)}.`
+      : "";
+    return `- ${profile.name}: ${capitalize(tone)} tone with ${descriptors}.${paletteText}`;
+  });
+
+  return [
+    projectTitle ? `Campaign: ${projectTitle}` : "Campaign: Untitled campaign",
+    `Objective: ${capitalize(objective)} for AI generation across ${profiles.length} clips.`,
+    `Creative tone: ${capitalize(tone)} blended with ${stylePreset}.`,
+    audienceNotes ? `Audience / usage: ${audienceNotes}` : null,
+    "",
+    "Shared visual language:",
+    sharedDescriptors.length
+      ? `- ${capitalize(sharedDescriptors.join(", "))}.`
+      : "- No single look is shared by most clips; treat each clip as its own look.",
+    sharedSwatches.length
+      ? `- Recurring palette: ${sharedSwatches.map((swatch) => swatch.hex).join(", ")}.`
+      : null,
+    "",
+    "Where each clip differs:",
+    ...differenceLines,
+    "",
+    "Clip prompts:",
+    ...clipLines,
+    customDirectives ? `\nExtra directives: ${customDirectives}` : null
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+// A descriptor is shared when a strict majority of clips settle on it.
+function sharedLook(profiles) {
+  const shared = {};
+  labelFields.forEach((field) => {
+    const counts = new Map();
+    profiles.forEach((profile) => {
+      const value = profile.analysis[field];
+      if (value) counts.set(value, (counts.get(value) ?? 0) + 1);
+    });
+    counts.forEach((count, value) => {
+      if (count * 2 > profiles.length) shared[field] = value;
+    });
+  });
+  return shared;
+}
+
+function sharedPalette(profiles) {
+  const clusters = [];
+  profiles.forEach((profile, clipIndex) => {
+    profile.analysis.swatches
+      .filter((swatch) => swatch.proportion >= minSwatchShare)
+      .forEach((swatch) => {
+        const cluster = clusters.find(
+          (item) =>
+            Math.hypot(
+              item.rgb[0] - swatch.rgb[0],
+              item.rgb[1] - swatch.rgb[1],
+              item.rgb[2] - swatch.rgb[2]
+            ) < sharedSwatchDistance
+        );
+        if (!cluster) {
+          clusters.push({ rgb: swatch.rgb.slice(), members: 1, clips: new Set([clipIndex]) });
+          return;
+        }
+        cluster.rgb = cluster.rgb.map(
+          (value, channel) =>
+            (value * cluster.members + swatch.rgb[channel]) / (cluster.members + 1)
+        );
+        cluster.members += 1;
+        cluster.clips.add(clipIndex);
+      });
+  });
+
+  return clusters
+    .filter((cluster) => cluster.clips.size * 2 > profiles.length)
+    .sort((a, b) => b.clips.size - a.clips.size)
+    .map((cluster) => ({ hex: rgbToHex(cluster.rgb.map((value) => Math.round(value))) }));
+}
@@ -0,0 +1,228 @@
+import { capitalize } from "./text";
+import { buildNegativePrompt, splitNegativePrompt } from "./negative-prompts";
+
+export const targetModels = [
+  { id: "blueprint", label: "Prompt blueprint (any model)" },
+  { id: "midjourney", label: "Midjourney v6", maxLength: 1000 },
+  { id: "sdxl", label: "Stable Diffusion XL", maxTokens: 75 },
+  { id: "runway", label: "Runway Gen-3", maxLength: 500, maxClip: 10 },
+  { id: "sora", label: "Sora-style text-to-video", maxLength: 2000, maxClip: 20 }
+];
+
+const commonRatios = [
+  [1, 1],
+  [4, 5],
+  [2, 3],
+  [3, 4],
+  [9, 16],
+  [4, 3],
+  [3, 2],
+  [16, 9],
+  [2, 1],
+  [21, 9]
+];
+
+const chaosByPreset = {
+  "hyper-detailed": 5,
+  "expressive and abstract": 45,
+  "grounded and minimalist": 0,
+  "high-energy montage": 30,
+  "slow cinematic drama": 10,
+  "immersive worldbuilding": 20
+};
+
+const rawTones = new Set(["cinematic realism", "documentary", "moody noir"]);
+
+const maxExcludedTerms = 6;
+
+export function findTargetModel(id) {
+  return targetModels.find((model) => model.id === id) ?? targetModels[0];
+}
+
+export function formatForModel(modelId, brief) {
+  const model = findTargetModel(modelId);
+  switch (model.id) {
+    case "midjourney":
+      return formatMidjourney(model, brief);
+    case "sdxl":
+      return formatStableDiffusion(model, brief);
+    case "runway":
+    case "sora":
+      return formatTextToVideo(model, brief);
+    default:
+      return "";
+  }
+}
+
+export function aspectRatio(width, height) {
+  if (!width || !height) return "16:9";
+  const divisor = gcd(width, height);
+  const w = width / divisor;
+  const h = height / divisor;
+  if (w <= 21 && h <= 21) return `${w}:${h}`;
+  const target = width / height;
+  const [cw, ch] = commonRatios.reduce((best, ratio) =>
+    Math.abs(ratio[0] / ratio[1] - target) < Math.abs(best[0] / best[1] - target) ? ratio : best
+  );
+  return `${cw}:${ch}`;
+}
+
+function formatMidjourney(model, { scenes, videoMeta, tone, stylePreset }) {
+  const parameters = [
+    `--ar ${aspectRatio(videoMeta?.width, videoMeta?.height)}`,
+    rawTones.has(tone) ? "--style raw" : "",
+    `--chaos ${chaosByPreset[stylePreset] ?? 10}`,
+    "--v 6"
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return scenes
+    .map((scene) => {
+      const { analysis } = scene;
+      const excluded = negativeTerms(scene).slice(0, maxExcludedTerms);
+      const sceneParameters = excluded.length
+        ? `${parameters} --no ${excluded.join(", ")}`
+        : parameters;
+      const clauses = [
+        `${tone} film still`,
+        analysis.composition?.descriptor,
+        analysis.palette,
+        analysis.swatches?.length
+          ? `colour palette ${analysis.swatches
+              .slice(0, 3)
+              .map((swatch) => swatch.hex)
+              .join(" ")}`
+          : "",
+        analysis.lighting,
+        lightingClause(analysis.lightingProfile),
+        analysis.contrast,
+        analysis.saturation,
+        analysis.mood,
+        analysis.motion && analysis.motion.camera !== "static" ? "motion blur" : "",
+        stylePreset
+      ];
+      const body = fitClauses(clauses, model.maxLength - sceneParameters.length - 1, ", ");
+      return `${body} ${sceneParameters}`;
+    })
+    .join("\n\n");
+}
+
+function formatStableDiffusion(model, { scenes, tone, stylePreset, focusAreas }) {
+  return scenes
+    .map((scene, position) => {
+      const { analysis } = scene;
+      const weighted = [
+        weight(analysis.palette, 1.2),
+        analysis.composition?.shotType,
+        weight(analysis.lighting, focusAreas.has("lighting") ? 1.25 : 1.1),
+        lightingClause(analysis.lightingProfile),
+        weight(analysis.mood, focusAreas.has("mood") ? 1.2 : 1),
+        tone,
+        stylePreset,
+        analysis.contrast,
+        analysis.saturation,
+        ...(analysis.swatches ?? []).slice(0, 2).map((swatch) => `${swatch.hex} tones`),
+        "highly detailed",
+        "sharp focus"
+      ];
+      const positive = fitTokens(weighted, model.maxTokens);
+      const negative = fitTokens(negativeTerms(scene), model.maxTokens);
+      return [`Scene ${position + 1}`, `Positive: ${positive}`, `Negative: ${negative}`].join(
+        "\n"
+      );
+    })
+    .join("\n\n");
+}
+
+function formatTextToVideo(model, { scenes, tone, stylePreset }) {
+  const detailed = model.id === "sora";
+  return scenes
+    .map((scene, position) => {
+      const { analysis } = scene;
+      const span = Number.isFinite(scene.end - scene.start) ? scene.end - scene.start : 4;
+      const duration = Math.max(1, Math.min(model.maxClip, Math.round(span * 10) / 10));
+      const avoided = detailed ? negativeTerms(scene).slice(0, maxExcludedTerms) : [];
+      const motion = analysis.motion
+        ? capitalize(analysis.motion.descriptor)
+        : `Camera holds with ${analysis.energy}`;
+      const clauses = detailed
+        ? [
+            `${motion}.`,
+            analysis.composition ? `${capitalize(analysis.composition.descriptor)}.` : "",
+            analysis.lightingProfile
+              ? `Lighting: ${analysis.lightingProfile.descriptor}.`
+              : "",
+            `The frame is bathed in ${analysis.lighting}, ${analysis.palette} tones, ${analysis.saturation}.`,
+            `${capitalize(analysis.mood)}, ${analysis.energy}.`,
+            analysis.audio ? `Sound: ${analysis.audio.descriptor}.` : "",
+            `Shot in a ${tone} style, ${stylePreset}.`,
+            avoided.length ? `Avoid ${avoided.join(", ")}.` : ""
+          ]
+        : [
+            `${motion}:`,
+            analysis.composition ? `${analysis.composition.shotType},` : "",
+            `${analysis.lighting}, ${analysis.palette},`,
+            `${analysis.mood}.`,
+            `${capitalize(tone)} style.`
+          ];
+      const prefix = `Shot ${position + 1} [${duration}s]: `;
+      return prefix + fitClauses(clauses, model.maxLength - prefix.length, " ");
+    })
+    .join("\n\n");
+}
+
+// Scenes composed by buildPrompts carry their (possibly edited) negative prompt;
+// anything else gets one generated from its analysis.
+function negativeTerms(scene) {
+  return splitNegativePrompt(scene.negativePrompt ?? buildNegativePrompt(scene.analysis));
+}
+
+// Short form of the lighting profile for token-limited models, e.g.
+// "key light from left, 4:1 ratio, 3200K".
+function lightingClause(profile) {
+  if (!profile) return "";
+  const key =
+    profile.direction === "back-lit"
+      ? "back-lit"
+      : profile.direction === "frontal"
+      ? "frontal key light"
+      : `key light from ${profile.direction}`;
+  return [key, `${profile.ratio} ratio`, profile.kelvin ? `${profile.kelvin}K` : null]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function weight(token, value) {
+  if (!token) return "";
+  return value === 1 ? token : `(${token}:${value})`;
+}
+
+// Drops trailing clauses until the prompt fits, so the most important
+// descriptors (listed first) always survive.
+function fitClauses(clauses, maxLength, separator) {
+  const kept = [];
+  for (const clause of clauses.filter(Boolean)) {
+    const next = [...kept, clause].join(separator);
+    if (next.length > maxLength) break;
+    kept.push(clause);
+  }
+  return kept.join(separator);
+}
+
+// CLIP tokenises roughly one token per word plus one per comma.
+function fitTokens(tokens, maxTokens) {
+  const kept = [];
+  let used = 0;
+  for (const token of tokens.filter(Boolean)) {
+    const cost = token.split(/[\s:()]+/).filter(Boolean).length + 1;
+    if (used + cost > maxTokens) break;
+    kept.push(token);
+    used += cost;
+  }
+  return kept.join(", ");
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
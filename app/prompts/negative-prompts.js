@@ -0,0 +1,164 @@
+// Terms every generated shot should avoid, whatever the footage looks like.
+export const qualityGuards = [
+  "lowres",
+  "blurry",
+  "watermark",
+  "text",
+  "jpeg artifacts",
+  "deformed",
+  "extra limbs"
+];
+
+const noiseLevel = 0.015;
+const blockinessLevel = 0.3;
+const exposureShare = 0.02;
+const warmKelvin = 4000;
+const coolKelvin = 7000;
+const warmthLevel = 0.1;
+const maxMasterTerms = 12;
+
+// What to steer away from, read from the analysis: artefacts seen in the frame
+// come first, then looks that would contradict it (over-saturation for muted
+// footage, harsh light for soft light, and so on). Labels are used where the
+// user can override them, so an edited scene gets a matching negative prompt.
+const rules = [
+  {
+    terms: ["film grain", "sensor noise"],
+    when: (analysis) => analysis.metrics?.noise >= noiseLevel
+  },
+  {
+    terms: ["compression blockiness", "macroblocking"],
+    when: (analysis) => analysis.metrics?.blockiness >= blockinessLevel
+  },
+  {
+    terms: ["blown highlights"],
+    when: (analysis) => analysis.lightingProfile?.clippedHighlights >= exposureShare
+  },
+  {
+    terms: ["crushed blacks"],
+    when: (analysis) => analysis.lightingProfile?.crushedBlacks >= exposureShare
+  },
+  {
+    terms: ["over-saturated colours", "neon colours"],
+    when: (analysis) => /muted|desaturated/.test(analysis.saturation)
+  },
+  {
+    terms: ["washed-out colours", "desaturated"],
+    when: (analysis) => /vivid/.test(analysis.saturation)
+  },
+  {
+    terms: ["harsh light", "hard shadows"],
+    when: (analysis) => analysis.lightingProfile?.keyToFill < 2
+  },
+  {
+    terms: ["flat lighting"],
+    when: (analysis) => analysis.lightingProfile?.keyToFill >= 8
+  },
+  {
+    terms: ["harsh contrast"],
+    when: (analysis) => /soft/.test(analysis.contrast)
+  },
+  {
+    terms: ["flat contrast"],
+    when: (analysis) => /high contrast/.test(analysis.contrast)
+  },
+  {
+    terms: ["overexposed", "bright even lighting"],
+    when: (analysis) => /low-key|shadow-heavy/.test(analysis.lighting)
+  },
+  {
+    terms: ["underexposed", "murky shadows"],
+    when: (analysis) => /high-key/.test(analysis.lighting)
+  },
+  {
+    terms: ["cold blue cast"],
+    when: (analysis) => lightCast(analysis) === "warm"
+  },
+  {
+    terms: ["warm orange cast"],
+    when: (analysis) => lightCast(analysis) === "cool"
+  },
+  {
+    terms: ["shaky camera"],
+    when: (analysis) => analysis.motion?.camera === "static"
+  },
+  {
+    terms: ["people", "crowds"],
+    when: (analysis) => analysis.composition?.headCount === 0
+  }
+];
+
+// Terms that steer opposite ways. A master prompt that avoids both sides says
+// nothing about the look, so when both survive neither is kept.
+const opposingTerms = [
+  [["cold blue cast"], ["warm orange cast"]],
+  [
+    ["overexposed", "bright even lighting"],
+    ["underexposed", "murky shadows"]
+  ],
+  [["harsh light", "hard shadows"], ["flat lighting"]],
+  [["harsh contrast"], ["flat contrast"]],
+  [
+    ["over-saturated colours", "neon colours"],
+    ["washed-out colours", "desaturated"]
+  ]
+];
+
+// Whether the light reads warm or cool, from the colour temperature and the
+// red/blue balance of the frame. Either one alone is enough, but when they
+// point opposite ways neither cast is steered against.
+function lightCast(analysis) {
+  const kelvin = analysis.lightingProfile?.kelvin;
+  const warmth = analysis.metrics?.warmth;
+  const byKelvin = kelvin ? castFrom(kelvin < warmKelvin, kelvin > coolKelvin) : null;
+  const byWarmth = Number.isFinite(warmth)
+    ? castFrom(warmth >= warmthLevel, warmth <= -warmthLevel)
+    : null;
+  if (byKelvin && byWarmth && byKelvin !== byWarmth) {
+    return byKelvin === "neutral" ? byWarmth : byWarmth === "neutral" ? byKelvin : null;
+  }
+  return byKelvin ?? byWarmth;
+}
+
+function castFrom(warm, cool) {
+  if (warm) return "warm";
+  return cool ? "cool" : "neutral";
+}
+
+export function buildNegativePrompt(analysis) {
+  const terms = rules.filter((rule) => rule.when(analysis)).flatMap((rule) => rule.terms);
+  return Array.from(new Set([...terms, ...qualityGuards])).join(", ");
+}
+
+export function splitNegativePrompt(text) {
+  return String(text ?? "")
+    .split(",")
+    .map((term) => term.trim())
+    .filter(Boolean);
+}
+
+// The terms shared by most of the scenes, most common first, for the master
+// prompt, minus any opposing pair that both made it. Shared quality guards
+// follow and do not count towards the cap.
+export function summarizeNegativePrompts(scenes) {
+  const counts = new Map();
+  scenes.forEach((scene) => {
+    new Set(splitNegativePrompt(scene.negativePrompt)).forEach((term) => {
+      counts.set(term, (counts.get(term) ?? 0) + 1);
+    });
+  });
+  const shared = Array.from(counts)
+    .filter(([, count]) => count > scenes.length / 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([term]) => term);
+  const contradicted = new Set(
+    opposingTerms
+      .filter((sides) => sides.every((side) => side.some((term) => shared.includes(term))))
+      .flat(2)
+  );
+  const kept = shared.filter((term) => !contradicted.has(term));
+  return [
+    ...kept.filter((term) => !qualityGuards.includes(term)).slice(0, maxMasterTerms),
+    ...kept.filter((term) => qualityGuards.includes(term))
+  ].join(", ");
+}
@@ -0,0 +1,118 @@
+import { capitalize } from "./text";
+
+export const presetSchema = "video-prompt-presets";
+export const presetSchemaVersion = "1.0.0";
+
+export const presetKinds = [
+  { id: "tone", label: "Creative tone" },
+  { id: "objective", label: "Prompt objective" },
+  { id: "style", label: "Stylistic preset" }
+];
+
+const builtInWordings = {
+  tone: [
+    "cinematic realism",
+    "dynamic commercial",
+    "documentary",
+    "whimsical",
+    "moody noir",
+    "vibrant lifestyle"
+  ],
+  objective: [
+    "storyboard breakdown",
+    "concept art brief",
+    "shot list for directors",
+    "narrative prompt",
+    "style transfer prompt",
+    "visual inspiration deck"
+  ],
+  style: [
+    "hyper-detailed",
+    "expressive and abstract",
+    "grounded and minimalist",
+    "high-energy montage",
+    "slow cinematic drama",
+    "immersive worldbuilding"
+  ]
+};
+
+export const builtInPresets = presetKinds.flatMap(({ id: kind }) =>
+  builtInWordings[kind].map((wording) => ({
+    id: `builtin-${kind}-${wording.replace(/[^a-z0-9]+/g, "-")}`,
+    kind,
+    name: capitalize(wording),
+    description: "",
+    wording,
+    builtIn: true
+  }))
+);
+
+export function defaultWording(kind) {
+  return builtInWordings[kind][0];
+}
+
+export function presetOptions(kind, customPresets) {
+  return [
+    ...builtInPresets.filter((preset) => preset.kind === kind),
+    ...customPresets.filter((preset) => preset.kind === kind)
+  ];
+}
+
+export function findPresetKind(kind) {
+  return presetKinds.find((item) => item.id === kind) ?? null;
+}
+
+export function normalizePreset(preset) {
+  const kind = findPresetKind(preset?.kind)?.id;
+  const name = typeof preset?.name === "string" ? preset.name.trim() : "";
+  const wording = typeof preset?.wording === "string" ? preset.wording.trim() : "";
+  if (!kind || !name || !wording) return null;
+  const keepId = typeof preset.id === "string" && !preset.id.startsWith("builtin-");
+  return {
+    ...(keepId ? { id: preset.id } : {}),
+    kind,
+    name,
+    description: typeof preset.description === "string" ? preset.description.trim() : "",
+    wording
+  };
+}
+
+export function serializePresets(presets) {
+  return JSON.stringify(
+    {
+      schema: presetSchema,
+      version: presetSchemaVersion,
+      exportedAt: new Date().toISOString(),
+      presets: presets.map(({ id, kind, name, description, wording }) => ({
+        id,
+        kind,
+        name,
+        description,
+        wording
+      }))
+    },
+    null,
+    2
+  );
+}
+
+export function parsePresetFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error("preset file is not valid JSON");
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.presets;
+  if (!Array.isArray(entries)) {
+    throw new Error("preset file has no presets list");
+  }
+  if (!Array.isArray(parsed) && parsed.schema && parsed.schema !== presetSchema) {
+    throw new Error(`unexpected preset schema “${parsed.schema}”`);
+  }
+  const presets = entries.map(normalizePreset).filter(Boolean);
+  if (!presets.length) {
+    throw new Error("preset file contains no usable presets");
+  }
+  return presets;
+}
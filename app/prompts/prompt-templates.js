@@ -0,0 +1,184 @@
+import { validateTemplate } from "./template";
+
+export const defaultTemplateId = "default";
+
+const defaultSceneTemplate = [
+  "Scene {{scene.number}} ({{scene.range}}): {{brief.tone | capitalize}} tone with ",
+  "{{scene.descriptors}}.",
+  "{{#if scene.composition}} Framing: {{scene.composition.descriptor}}.{{/if}}",
+  "{{#if scene.swatches}} Palette: {{scene.swatches | palette}}.{{/if}}",
+  "{{#if focus.lighting}}{{#if scene.lightingProfile}} Lighting: ",
+  "{{scene.lightingProfile.descriptor}}.{{/if}}{{/if}}",
+  "{{#if focus.motion}}{{#if scene.motion}} Motion: {{scene.motion.descriptor}}.{{/if}}{{/if}}",
+  "{{#if focus.audio}}{{#if scene.audio}} Sound: {{scene.audio.descriptor}}",
+  "{{#if scene.audio.swell}}, swelling at {{scene.audio.swell.time | time}}{{/if}}.{{/if}}{{/if}}",
+  "{{#if focus.narrative}}{{#if scene.dialogue}} Dialogue: {{scene.dialogue.descriptor}}.",
+  "{{/if}}{{/if}}",
+  "{{#if brief.focusList}} emphasise {{brief.focusList}}{{/if}}. ",
+  "Keep alignment with {{brief.objective}} in a {{brief.stylePreset}} approach.",
+  "{{#if scene.notes}} Notes: {{scene.notes}}{{/if}}"
+].join("");
+
+const defaultMasterTemplate = `Project: {{#if brief.projectTitle}}{{brief.projectTitle}}{{else}}Untitled video prompt{{/if}}
+Objective: {{brief.objective | capitalize}} for AI generation.
+Creative tone: {{brief.tone | capitalize}} blended with {{brief.stylePreset}}.
+{{#if brief.focusList}}
+Prioritise {{brief.focusList}}.
+{{/if}}
+{{#if brief.audienceNotes}}
+Audience / usage: {{brief.audienceNotes}}
+{{/if}}
+{{#if soundtrack}}
+Soundtrack: {{soundtrack}}.
+{{/if}}
+{{#if focus.narrative}}
+{{#if narrativeArc}}
+Narrative arc (from the transcript):
+{{#each narrativeArc}}
+- {{label}} · {{range}}{{#if sceneList}} · {{sceneList}}{{/if}}: {{descriptor}}.
+{{/each}}
+{{/if}}
+{{/if}}
+{{#if moodBoard}}
+Reference look: {{moodBoard.stills}}, {{moodBoard.palette}} ({{moodBoard.swatches | palette}}).{{#if moodBoard.average}} The footage matches {{moodBoard.average}}% on average.{{/if}}
+{{#if moodBoard.directives}}
+To match the reference: {{moodBoard.directives}}.
+{{/if}}
+{{#if moodBoard.furthest}}
+Furthest from the reference: {{moodBoard.furthest}}.
+{{/if}}
+{{/if}}
+{{#if continuity}}
+Continuity: {{continuity.score}}/100 consistency, {{continuity.looks}}, {{continuity.jumps}}.
+{{#each continuity.instructions}}
+- {{this | capitalize}}.
+{{/each}}
+{{/if}}
+{{#if negativePrompt}}
+Avoid (negative prompt): {{negativePrompt}}.
+{{/if}}
+{{#if sequences}}
+Sequence ingredients:
+{{#each sequences}}
+- Sequence {{number}} · {{range}} · {{sceneCount}} scenes · {{palette}}, {{lighting}}, {{energy}}.
+{{/each}}
+Detailed prompt instructions:
+{{#each sequences}}
+{{summary}}
+{{/each}}
+Per-scene prompts for all {{scenes.length}} scenes are kept with the scene list and exports.
+{{else}}
+Scene ingredients:
+{{#each scenes}}
+- {{range}} · {{palette}}, {{lighting}}, {{energy}}.
+{{/each}}
+Detailed prompt instructions:
+{{#each scenes}}
+{{summary}}
+{{/each}}
+{{/if}}
+{{#if brief.customDirectives}}
+
+Extra directives: {{brief.customDirectives}}
+{{/if}}
+`;
+
+export const defaultTemplate = {
+  id: defaultTemplateId,
+  name: "Default blueprint",
+  client: "",
+  targetModel: "",
+  scene: defaultSceneTemplate,
+  master: defaultMasterTemplate,
+  builtIn: true
+};
+
+export const templateVariables = [
+  { path: "brief.projectTitle", note: "project title" },
+  { path: "brief.tone", note: "creative tone wording" },
+  { path: "brief.objective", note: "prompt objective wording" },
+  { path: "brief.stylePreset", note: "stylistic preset wording" },
+  { path: "brief.audienceNotes", note: "audience or usage context" },
+  { path: "brief.customDirectives", note: "extra directives" },
+  { path: "brief.focusList", note: "selected focus areas as a list" },
+  {
+    path: "focus.visuals",
+    note: "true when that focus area is on (also lighting, narrative, motion, mood, audio)"
+  },
+  { path: "scene.number", note: "1-based scene number (scene template)" },
+  { path: "scene.range", note: "formatted time range" },
+  {
+    path: "scene.palette",
+    note: "named palette (also lighting, contrast, saturation, mood, energy)"
+  },
+  { path: "scene.swatches", note: "hex swatches, print with | palette" },
+  { path: "scene.descriptors", note: "all visual descriptors joined" },
+  { path: "scene.composition.descriptor", note: "shot size, head-count and subject placement" },
+  { path: "scene.composition.shotType", note: "shot size alone, e.g. medium shot" },
+  { path: "scene.composition.headCount", note: "number of people detected" },
+  {
+    path: "scene.lightingProfile.descriptor",
+    note: "key direction, key-to-fill ratio, colour temperature and clipping"
+  },
+  {
+    path: "scene.lightingProfile.kelvin",
+    note: "colour temperature estimate (also direction, ratio, temperature)"
+  },
+  { path: "scene.motion.descriptor", note: "camera and subject movement" },
+  { path: "scene.audio.descriptor", note: "sound character" },
+  { path: "scene.notes", note: "your scene notes" },
+  { path: "scene.negativePrompt", note: "what the scene should avoid, generated or as edited" },
+  { path: "scenes", note: "all scenes with their summary (master template)" },
+  { path: "sequences", note: "chapter groups for long footage, each with a summary" },
+  { path: "soundtrack", note: "soundtrack summary when audio is analysed" },
+  {
+    path: "scene.dialogue.descriptor",
+    note: "speakers, speaker changes and key line (also keyLine.text, speakers, lineCount)"
+  },
+  {
+    path: "narrativeArc",
+    note: "setup, turn and resolution sections: label, range, sceneList, descriptor"
+  },
+  {
+    path: "negativePrompt",
+    note: "terms most scenes should avoid (master template)"
+  },
+  {
+    path: "continuity.score",
+    note: "0–100 consistency between neighbouring scenes (also looks, jumps, instructions)"
+  },
+  {
+    path: "scene.referenceMatch.score",
+    note: "0–100 similarity to the mood board (also .directives)"
+  },
+  {
+    path: "moodBoard.directives",
+    note: "how to bring the footage closer to the reference (also stills, average, furthest)"
+  }
+];
+
+export function findTemplate(templates, id) {
+  return templates.find((template) => template.id === id) ?? defaultTemplate;
+}
+
+export function normalizeTemplate(template) {
+  const name = typeof template?.name === "string" ? template.name.trim() : "";
+  const scene = typeof template?.scene === "string" ? template.scene : "";
+  const master = typeof template?.master === "string" ? template.master : "";
+  if (!name || !scene.trim() || !master.trim()) {
+    throw new Error("templates need a name, a scene template and a master template");
+  }
+  const problem = validateTemplate(scene) ?? validateTemplate(master);
+  if (problem) {
+    throw new Error(problem);
+  }
+  const keepId = typeof template.id === "string" && template.id !== defaultTemplateId;
+  return {
+    ...(keepId ? { id: template.id } : {}),
+    name,
+    client: typeof template.client === "string" ? template.client.trim() : "",
+    targetModel: typeof template.targetModel === "string" ? template.targetModel : "",
+    scene,
+    master
+  };
+}
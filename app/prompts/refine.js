@@ -0,0 +1,129 @@
+import { collectSequences } from "../analysis/sequences";
+import { capitalize, formatRange } from "./text";
+
+export const refineProviders = [
+  { id: "mock", label: "Mock provider (offline)" },
+  { id: "openai", label: "OpenAI-compatible endpoint" }
+];
+
+export const defaultRefineSettings = {
+  provider: "mock",
+  baseUrl: "https://api.openai.com/v1",
+  model: "gpt-4o-mini"
+};
+
+const maxSceneEntries = 60;
+
+// Structured data sent to the model. Long runs send their sequences instead of
+// every scene so the request stays a predictable size.
+export function buildRefinePayload({ brief, scenes, masterPrompt, targetModel }) {
+  const sequences = collectSequences(scenes);
+  const useSequences = sequences.length > 0 && scenes.length > maxSceneEntries;
+  const entries = useSequences
+    ? sequences.map((sequence) => ({
+        label: `Sequence ${sequence.index + 1}`,
+        range: formatRange(sequence),
+        sceneCount: sequence.sceneCount,
+        ...describeAnalysis(sequence.analysis)
+      }))
+    : scenes.slice(0, maxSceneEntries).map((scene) => ({
+        label: `Scene ${scene.index + 1}`,
+        range: formatRange(scene),
+        ...describeAnalysis(scene.analysis),
+        notes: scene.notes?.trim() || undefined
+      }));
+
+  return {
+    brief: {
+      projectTitle: brief.projectTitle || undefined,
+      audienceNotes: brief.audienceNotes || undefined,
+      tone: brief.tone,
+      objective: brief.objective,
+      stylePreset: brief.stylePreset,
+      focusAreas: Array.from(brief.focusAreas),
+      customDirectives: brief.customDirectives || undefined
+    },
+    targetModel,
+    scenes: entries,
+    ruleBasedPrompt: masterPrompt
+  };
+}
+
+export function buildRefineMessages(payload) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a prompt engineer for generative image and video models. Rewrite the " +
+        "rule-based analysis of a video into one polished, production-ready prompt. Keep every " +
+        "scene's timing and visual facts, merge repetitive wording, and do not invent subjects " +
+        "or events that the data does not support. Reply with the prompt text only."
+    },
+    {
+      role: "user",
+      content: `Creative brief and scene analysis as JSON:\n${JSON.stringify(payload, null, 2)}`
+    }
+  ];
+}
+
+// Deterministic stand-in for a model so the refine flow works without a server.
+export function mockRefinement(payload) {
+  const { brief, scenes } = payload;
+  const opening = `${capitalize(brief.tone)} ${brief.objective} in a ${
+    brief.stylePreset
+  } style${brief.projectTitle ? ` for “${brief.projectTitle}”` : ""}.`;
+  const beats = scenes.map((entry) => {
+    const look = [entry.palette, entry.lighting, entry.mood, entry.energy].filter(Boolean);
+    const extras = [
+      entry.framing ? `framing: ${entry.framing}` : null,
+      entry.lightingSetup ? `light: ${entry.lightingSetup}` : null,
+      entry.camera ? `camera: ${entry.camera}` : null,
+      entry.sound ? `sound: ${entry.sound}` : null
+    ].filter(Boolean);
+    return `${entry.label} (${entry.range}): ${[look.join(", "), ...extras].join("; ")}.`;
+  });
+  const closing = brief.customDirectives ? `Also: ${brief.customDirectives}.` : "";
+  return [opening, ...beats, closing].filter(Boolean).join("\n");
+}
+
+export async function requestRefinement({ settings, apiKey, payload, signal, onText }) {
+  const response = await fetch("/api/refine", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...settings, apiKey: apiKey || undefined, payload }),
+    signal
+  });
+  if (!response.ok) {
+    const detail = await response.json().catch(() => null);
+    throw new Error(detail?.error ?? `refine request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+    onText(text);
+  }
+  text += decoder.decode();
+  onText(text);
+  return text;
+}
+
+function describeAnalysis(analysis) {
+  return {
+    palette: analysis.palette,
+    swatches: (analysis.swatches ?? []).map((swatch) => swatch.hex),
+    lighting: analysis.lighting,
+    lightingSetup: analysis.lightingProfile?.descriptor,
+    contrast: analysis.contrast,
+    saturation: analysis.saturation,
+    mood: analysis.mood,
+    energy: analysis.energy,
+    framing: analysis.composition?.descriptor,
+    camera: analysis.motion?.descriptor,
+    sound: analysis.audio?.descriptor ?? analysis.sound ?? undefined
+  };
+}
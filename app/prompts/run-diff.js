@@ -0,0 +1,235 @@
+import { formatRange } from "./text";
+
+// Past this many LCS cells the middle of a change is shown as a plain
+// replacement instead of a minimal diff, keeping long prompts responsive.
+const maxDiffCells = 4000000;
+
+const settingFields = [
+  ["projectTitle", "Project title"],
+  ["tone", "Tone"],
+  ["objective", "Objective"],
+  ["stylePreset", "Style"],
+  ["focusAreas", "Focus areas"],
+  ["audienceNotes", "Audience notes"],
+  ["customDirectives", "Extra directives"],
+  ["granularity", "Scene granularity"],
+  ["captureMode", "Capture mode"],
+  ["manualMarkers", "Manual markers"],
+  ["analysisResolution", "Analysis resolution"],
+  ["targetModel", "Target model"],
+  ["templateId", "Template"],
+  ["moodBoard", "Mood board"],
+  ["transcript", "Transcript"]
+];
+
+const sceneFields = [
+  ["Palette", (analysis) => analysis.palette],
+  ["Lighting", (analysis) => analysis.lighting],
+  ["Light setup", (analysis) => analysis.lightingProfile?.descriptor],
+  ["Contrast", (analysis) => analysis.contrast],
+  ["Saturation", (analysis) => analysis.saturation],
+  ["Mood", (analysis) => analysis.mood],
+  ["Energy", (analysis) => analysis.energy],
+  ["Framing", (analysis) => analysis.composition?.descriptor],
+  ["Camera", (analysis) => analysis.motion?.descriptor],
+  ["Sound", (analysis) => analysis.audio?.descriptor]
+];
+
+// Line-level diff with word-level detail inside changed lines. Each row is
+// { type: "same" | "changed" | "added" | "removed", left, right, words } where
+// `words` lists { type: "same" | "added" | "removed", text } for changed rows.
+export function diffText(before = "", after = "") {
+  const ops = diffSequences(before.split("\n"), after.split("\n"));
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let i = 0; i < paired; i += 1) {
+      rows.push({
+        type: "changed",
+        left: removed[i],
+        right: added[i],
+        words: mergeRuns(diffSequences(tokenize(removed[i]), tokenize(added[i])))
+      });
+    }
+    removed.slice(paired).forEach((left) => rows.push({ type: "removed", left, right: null }));
+    added.slice(paired).forEach((right) => rows.push({ type: "added", left: null, right }));
+    removed = [];
+    added = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === "same") {
+      flush();
+      rows.push({ type: "same", left: op.text, right: op.text });
+    } else if (op.type === "removed") {
+      removed.push(op.text);
+    } else {
+      added.push(op.text);
+    }
+  });
+  flush();
+  return rows;
+}
+
+export function diffSettings(before = {}, after = {}) {
+  return settingFields
+    .map(([key, label]) => ({
+      key,
+      label,
+      before: formatSetting(key, before[key]),
+      after: formatSetting(key, after[key])
+    }))
+    .filter((change) => change.before !== change.after);
+}
+
+// Scene lists from two runs rarely line up one-to-one (granularity and scene
+// detection move the cuts), so each scene of the later run is compared with
+// the earlier scene covering its midpoint.
+export function diffScenes(before = [], after = []) {
+  const matched = new Set();
+  const rows = after.map((scene, index) => {
+    const counterpart = findCounterpart(before, scene);
+    const range = formatRange(scene);
+    if (!counterpart) {
+      return { index, range, status: "new", changes: [] };
+    }
+    matched.add(counterpart);
+    const changes = sceneFields
+      .map(([label, read]) => ({
+        label,
+        before: read(counterpart.analysis) ?? "",
+        after: read(scene.analysis) ?? ""
+      }))
+      .filter((change) => change.before !== change.after);
+    return {
+      index,
+      range,
+      previousIndex: before.indexOf(counterpart),
+      previousRange: formatRange(counterpart),
+      status: changes.length ? "changed" : "same",
+      changes
+    };
+  });
+  const dropped = before.filter((scene) => !matched.has(scene)).length;
+  return {
+    rows,
+    changed: rows.filter((row) => row.status === "changed").length,
+    added: rows.filter((row) => row.status === "new").length,
+    dropped
+  };
+}
+
+function findCounterpart(scenes, scene) {
+  if (!scenes.length) return null;
+  const start = scene.start ?? scene.timestamp;
+  const end = scene.end ?? scene.timestamp;
+  const middle = (start + end) / 2;
+  const covering = scenes.find(
+    (candidate) =>
+      (candidate.start ?? candidate.timestamp) <= middle &&
+      middle <= (candidate.end ?? candidate.timestamp)
+  );
+  if (covering) return covering;
+  return scenes.reduce((best, candidate) =>
+    Math.abs(candidate.timestamp - scene.timestamp) < Math.abs(best.timestamp - scene.timestamp)
+      ? candidate
+      : best
+  );
+}
+
+function formatSetting(key, value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (key === "manualMarkers") {
+    return value.length ? `${value.length} marker${value.length === 1 ? "" : "s"}` : "—";
+  }
+  if (key === "analysisResolution") return value ? `${value}p` : "source";
+  if (key === "moodBoard") {
+    return value.length ? value.map((reference) => reference.name).join(", ") : "—";
+  }
+  if (key === "transcript") return `${value.name} · ${value.cues.length} cues`;
+  if (Array.isArray(value)) return value.length ? [...value].sort().join(", ") : "—";
+  return String(value);
+}
+
+function tokenize(line) {
+  return line.split(/(\s+)/).filter(Boolean);
+}
+
+// Longest-common-subsequence diff over arrays of strings, one op per item.
+function diffSequences(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middle =
+    middleA.length * middleB.length > maxDiffCells
+      ? [
+          ...middleA.map((text) => ({ type: "removed", text })),
+          ...middleB.map((text) => ({ type: "added", text }))
+        ]
+      : lcsOps(middleA, middleB);
+
+  return [
+    ...a.slice(0, prefix).map((text) => ({ type: "same", text })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((text) => ({ type: "same", text }))
+  ];
+}
+
+function mergeRuns(ops) {
+  return ops.reduce((runs, op) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === op.type) {
+      last.text += op.text;
+    } else {
+      runs.push({ ...op });
+    }
+    return runs;
+  }, []);
+}
+
+function lcsOps(a, b) {
+  const rows = a.length + 1;
+  const columns = b.length + 1;
+  const table = new Uint32Array(rows * columns);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i * columns + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * columns + j + 1] + 1
+          : Math.max(table[(i + 1) * columns + j], table[i * columns + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * columns + j] >= table[i * columns + j + 1]) {
+      ops.push({ type: "removed", text: a[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "added", text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((text) => ops.push({ type: "removed", text }));
+  b.slice(j).forEach((text) => ops.push({ type: "added", text }));
+  return ops;
+}
@@ -0,0 +1,292 @@
+import { formatPalette } from "../analysis/palette";
+import { assignSequences, collectSequences } from "../analysis/sequences";
+import { tempoFeel } from "../analysis/audio";
+import { compareToMoodBoard } from "../analysis/mood-board";
+import { analyzeContinuity } from "../analysis/continuity";
+import { buildNarrativeArc, summarizeDialogue } from "../analysis/transcript";
+import { renderTemplate } from "./template";
+import { buildNegativePrompt, summarizeNegativePrompts } from "./negative-prompts";
+import { defaultTemplate } from "./prompt-templates";
+import { capitalize, formatRange, formatTime } from "./text";
+
+export const focusOptions = [
+  { id: "visuals", label: "Visual Style" },
+  { id: "lighting", label: "Lighting" },
+  { id: "narrative", label: "Narrative Beats" },
+  { id: "motion", label: "Motion & Energy" },
+  { id: "mood", label: "Mood & Atmosphere" },
+  { id: "audio", label: "Audio / Sound" }
+];
+
+export const defaultFocusAreas = ["visuals", "lighting", "narrative"];
+
+// Renders every scene summary and the master prompt for one brief. Used by the
+// page and by the headless pipeline so both produce the same text. With mood
+// board stills, each scene also gets a `referenceMatch` score; with a transcript
+// ({ name, cues }), the dialogue spoken during it. Every scene is numbered with
+// the continuity `look` it belongs to and gets a `negativePrompt`, generated from
+// its analysis unless the user has written a `negativeOverride`.
+export function buildPrompts(
+  scenes,
+  {
+    audio = null,
+    template = defaultTemplate,
+    moodBoard = [],
+    transcript = null,
+    projectTitle,
+    audienceNotes,
+    tone,
+    objective,
+    stylePreset,
+    focusAreas,
+    customDirectives
+  }
+) {
+  const brief = {
+    projectTitle,
+    audienceNotes,
+    tone,
+    objective,
+    stylePreset,
+    focusAreas,
+    customDirectives
+  };
+  const comparison = compareToMoodBoard(scenes, moodBoard);
+  const sequenced = assignSequences(
+    scenes.map((scene, index) => {
+      const match = comparison?.scenes[index];
+      const referenceMatch = match ? { score: match.score, directives: match.directives } : null;
+      const dialogue = transcript?.cues.length
+        ? summarizeDialogue(
+            transcript.cues,
+            scene.start ?? scene.timestamp,
+            scene.end ?? scene.timestamp
+          )
+        : null;
+      const negativePrompt = scene.negativeOverride ?? buildNegativePrompt(scene.analysis);
+      const composed = { ...scene, index, referenceMatch, dialogue, negativePrompt };
+      return { ...composed, summary: buildScenePrompt({ ...composed, template, ...brief }) };
+    })
+  );
+  const continuity = analyzeContinuity(sequenced);
+  const nextScenes = sequenced.map((scene) => ({
+    ...scene,
+    look: continuity?.looks.find((look) => look.sceneIndexes.includes(scene.index))?.number ?? null
+  }));
+  const prompt = buildMasterPrompt({
+    scenes: nextScenes,
+    audio,
+    comparison,
+    continuity,
+    narrativeArc: transcript?.cues.length ? buildNarrativeArc(transcript.cues, nextScenes) : null,
+    template,
+    ...brief
+  });
+  return { scenes: nextScenes, prompt };
+}
+
+export function buildScenePrompt({ template = defaultTemplate, ...scene }) {
+  return renderTemplate(template.scene, {
+    ...promptBrief(scene),
+    scene: sceneContext(scene)
+  });
+}
+
+export function buildMasterPrompt({
+  scenes,
+  audio,
+  comparison = null,
+  continuity = null,
+  narrativeArc = null,
+  template = defaultTemplate,
+  ...brief
+}) {
+  const sequences = describeSequences(scenes, brief);
+  return renderTemplate(template.master, {
+    ...promptBrief(brief),
+    scenes: scenes.map(sceneContext),
+    sequences: sequences.map((sequence) => ({
+      ...sequence.analysis,
+      number: sequence.index + 1,
+      range: formatRange(sequence),
+      start: sequence.start,
+      end: sequence.end,
+      sceneCount: sequence.sceneCount,
+      summary: sequence.summary
+    })),
+    soundtrack: audio ? describeSoundtrack(audio, scenes) : "",
+    moodBoard: comparison ? describeMoodBoard(comparison) : null,
+    negativePrompt: summarizeNegativePrompts(scenes),
+    continuity: continuity ? describeContinuity(continuity) : null,
+    narrativeArc
+  });
+}
+
+// Shared template variables describing the brief and which focus areas are on.
+function promptBrief({
+  projectTitle,
+  audienceNotes,
+  tone,
+  objective,
+  stylePreset,
+  focusAreas,
+  customDirectives
+}) {
+  return {
+    brief: {
+      projectTitle,
+      audienceNotes,
+      tone,
+      objective,
+      stylePreset,
+      customDirectives,
+      focusList: Array.from(focusAreas)
+        .map((id) => focusLabel(id))
+        .join(", ")
+    },
+    focus: Object.fromEntries(focusOptions.map((option) => [option.id, focusAreas.has(option.id)]))
+  };
+}
+
+function sceneContext({
+  index,
+  timestamp,
+  start,
+  end,
+  analysis,
+  notes,
+  summary,
+  referenceMatch,
+  dialogue,
+  negativePrompt
+}) {
+  return {
+    ...analysis,
+    index,
+    number: index + 1,
+    timestamp,
+    start,
+    end,
+    range: formatRange({ timestamp, start, end }),
+    descriptors: [
+      analysis.palette,
+      analysis.lighting,
+      analysis.saturation,
+      analysis.contrast,
+      analysis.mood,
+      analysis.energy
+    ]
+      .filter(Boolean)
+      .join("; "),
+    swatches: analysis.swatches ?? [],
+    notes: notes?.trim() ?? "",
+    referenceMatch: referenceMatch
+      ? { score: referenceMatch.score, directives: referenceMatch.directives.join(", ") }
+      : null,
+    dialogue: dialogue ?? null,
+    negativePrompt: negativePrompt ?? "",
+    summary
+  };
+}
+
+function buildSequencePrompt({
+  index,
+  start,
+  end,
+  sceneCount,
+  opening,
+  closing,
+  analysis,
+  focusAreas,
+  tone,
+  objective,
+  stylePreset
+}) {
+  const descriptors = [analysis.palette, analysis.lighting, analysis.mood, analysis.energy]
+    .filter(Boolean)
+    .join("; ");
+  const paletteText = analysis.swatches.length
+    ? ` Palette: ${formatPalette(analysis.swatches)}.`
+    : "";
+  const arcText = opening !== closing ? ` Opens on ${opening} and settles into ${closing}.` : "";
+  const soundText =
+    focusAreas.has("audio") && analysis.sound ? ` Sound: mostly ${analysis.sound}.` : "";
+
+  return `Sequence ${index + 1} (${formatRange({
+    timestamp: start,
+    start,
+    end
+  })}, ${sceneCount} scenes): ${capitalize(tone)} tone with ${descriptors}.${paletteText}${arcText}${soundText} Keep alignment with ${objective} in a ${stylePreset} approach.`;
+}
+
+export function describeSequences(scenes, { focusAreas, tone, objective, stylePreset }) {
+  return collectSequences(scenes).map((sequence) => ({
+    ...sequence,
+    summary: buildSequencePrompt({ ...sequence, focusAreas, tone, objective, stylePreset })
+  }));
+}
+
+function describeSoundtrack(audio, scenes) {
+  const windows = scenes.map((scene) => scene.analysis.audio).filter(Boolean);
+  const count = (character) => windows.filter((item) => item.character === character).length;
+  const character =
+    count("speech") > count("music") + count("mixed")
+      ? "dialogue-led"
+      : count("silence") === windows.length && windows.length
+      ? "largely silent"
+      : "music-led";
+
+  const parts = [
+    audio.bpm && character !== "largely silent"
+      ? `${tempoFeel(audio.bpm)} ${audio.bpm} BPM score`
+      : `${character} soundtrack`
+  ];
+  if (audio.bpm && character === "dialogue-led") {
+    parts.push("dialogue-led mix");
+  }
+  audio.swells.forEach((swell) => parts.push(`swelling at ${formatTime(swell.time)}`));
+  const longestSilence = audio.silences.reduce(
+    (longest, silence) =>
+      !longest || silence.end - silence.start > longest.end - longest.start ? silence : longest,
+    null
+  );
+  if (longestSilence) {
+    parts.push(
+      `silence ${formatTime(longestSilence.start)} – ${formatTime(longestSilence.end)}`
+    );
+  }
+  return parts.join(", ");
+}
+
+function describeMoodBoard({ look, average, directives, furthest }) {
+  return {
+    count: look.count,
+    stills: `${look.count} mood board still${look.count === 1 ? "" : "s"}`,
+    average,
+    palette: look.palette,
+    swatches: look.swatches,
+    directives: directives.join(", "),
+    furthest: furthest
+      .map(
+        (match) =>
+          `scene ${match.index + 1} (${match.score}%${
+            match.directives.length ? `: ${match.directives.join(", ")}` : ""
+          })`
+      )
+      .join("; ")
+  };
+}
+
+function describeContinuity({ score, looks, jumps, instructions }) {
+  return {
+    score,
+    looks: `${looks.length} look${looks.length === 1 ? "" : "s"}`,
+    jumps: `${jumps.length} jump${jumps.length === 1 ? "" : "s"} between neighbouring scenes`,
+    instructions
+  };
+}
+
+function focusLabel(id) {
+  const option = focusOptions.find((item) => item.id === id);
+  return option ? option.label.toLowerCase() : id;
+}
@@ -0,0 +1,211 @@
+import { formatPalette } from "../analysis/palette";
+import { capitalize, formatTime } from "./text";
+
+// A small Handlebars-flavoured language for prompt wording:
+//   {{scene.palette}}           value lookup, walking out through enclosing blocks
+//   {{brief.tone | capitalize}} filters: capitalize, lower, upper, time, palette, join
+//   {{#each scenes}}…{{/each}}  loop; {{this}}, {{@index}} and {{@number}} inside
+//   {{#if focus.motion}}…{{else}}…{{/if}} and {{#unless …}}…{{/unless}}
+// Block tags on a line of their own swallow that line, so templates can be laid
+// out one tag per line without leaving blank lines behind.
+
+const tagPattern = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const blockNames = new Set(["each", "if", "unless"]);
+
+const filters = {
+  capitalize: (value) => capitalize(String(value ?? "")),
+  lower: (value) => String(value ?? "").toLowerCase(),
+  upper: (value) => String(value ?? "").toUpperCase(),
+  time: (value) => formatTime(Number(value)),
+  palette: (value) => (Array.isArray(value) ? formatPalette(value) : ""),
+  join: (value) => (Array.isArray(value) ? value.join(", ") : value)
+};
+
+export const templateFilters = Object.keys(filters);
+
+export function parseTemplate(source) {
+  const tokens = stripStandaloneTags(tokenize(source));
+  const root = { type: "root", children: [] };
+  const stack = [root];
+
+  tokens.forEach((token) => {
+    const parent = stack[stack.length - 1];
+    if (token.type === "text" || token.type === "value") {
+      (parent.otherwise ?? parent.children).push(token);
+      return;
+    }
+    if (token.type === "open") {
+      const node = { ...token, children: [], otherwise: null };
+      (parent.otherwise ?? parent.children).push(node);
+      stack.push(node);
+      return;
+    }
+    if (token.type === "else") {
+      if (parent.type !== "open" || parent.block === "each" || parent.otherwise) {
+        throw templateError("unexpected {{else}}", source, token.offset);
+      }
+      parent.otherwise = [];
+      return;
+    }
+    if (parent.type !== "open" || parent.block !== token.block) {
+      throw templateError(`unexpected {{/${token.block}}}`, source, token.offset);
+    }
+    stack.pop();
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`{{#${open.block}}} is never closed`, source, open.offset);
+  }
+  return root.children;
+}
+
+export function renderTemplate(source, context) {
+  return renderNodes(parseTemplate(source), [{ value: context }]).trimEnd();
+}
+
+export function validateTemplate(source) {
+  try {
+    parseTemplate(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let cursor = 0;
+  tagPattern.lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    if (match.index > cursor) {
+      tokens.push({ type: "text", text: source.slice(cursor, match.index) });
+    }
+    cursor = match.index + match[0].length;
+    const [, sigil, body] = match;
+    const offset = match.index;
+
+    if (sigil === "#") {
+      const [block, path = ""] = body.split(/\s+/, 2);
+      if (!blockNames.has(block) || !path) {
+        throw templateError(`unknown block “{{#${body}}}”`, source, offset);
+      }
+      tokens.push({ type: "open", block, path, offset });
+    } else if (sigil === "/") {
+      if (!blockNames.has(body)) {
+        throw templateError(`unknown closing tag “{{/${body}}}”`, source, offset);
+      }
+      tokens.push({ type: "close", block: body, offset });
+    } else if (body === "else") {
+      tokens.push({ type: "else", offset });
+    } else {
+      const [path, ...names] = body.split("|").map((part) => part.trim());
+      if (!path) {
+        throw templateError("empty {{ }} tag", source, offset);
+      }
+      const unknown = names.find((name) => !filters[name]);
+      if (unknown !== undefined) {
+        throw templateError(`unknown filter “${unknown}”`, source, offset);
+      }
+      tokens.push({ type: "value", path, filters: names, offset });
+    }
+  }
+
+  if (cursor < source.length) {
+    tokens.push({ type: "text", text: source.slice(cursor) });
+  }
+  return tokens;
+}
+
+function stripStandaloneTags(tokens) {
+  const last = tokens.length - 1;
+  const isText = (token) => token?.type === "text";
+  const standalone = tokens.map((token, i) => {
+    if (token.type !== "open" && token.type !== "close" && token.type !== "else") return false;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const opensLine =
+      i === 0 ||
+      (isText(before) &&
+        (/\n[ \t]*$/.test(before.text) || (i === 1 && /^[ \t]*$/.test(before.text))));
+    const closesLine =
+      i === last ||
+      (isText(after) &&
+        (/^[ \t]*\r?\n/.test(after.text) || (i + 1 === last && /^[ \t]*$/.test(after.text))));
+    return opensLine && closesLine;
+  });
+
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    if (isText(before)) before.text = before.text.replace(/[ \t]*$/, "");
+    if (isText(after)) after.text = after.text.replace(/^[ \t]*(\r?\n)?/, "");
+  });
+
+  return tokens.filter((token) => !isText(token) || token.text);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.text;
+      if (node.type === "value") {
+        const value = node.filters.reduce(
+          (current, name) => filters[name](current),
+          lookup(node.path, scopes)
+        );
+        return printable(value);
+      }
+
+      const value = lookup(node.path, scopes);
+      if (node.block === "each") {
+        const items = Array.isArray(value) ? value : [];
+        return items
+          .map((item, index) => renderNodes(node.children, [...scopes, { value: item, index }]))
+          .join("");
+      }
+      const truthy = node.block === "if" ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(truthy ? node.children : node.otherwise ?? [], scopes);
+    })
+    .join("");
+}
+
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split(".");
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    let value;
+    if (head === "this") {
+      value = scope.value;
+    } else if (head === "@index" || head === "@number") {
+      if (scope.index === undefined) continue;
+      value = head === "@index" ? scope.index : scope.index + 1;
+    } else if (scope.value !== null && typeof scope.value === "object" && head in scope.value) {
+      value = scope.value[head];
+    } else {
+      continue;
+    }
+    return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function printable(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(printable).join(", ");
+  if (typeof value === "object") return "";
+  return String(value);
+}
+
+function templateError(message, source, offset) {
+  const line = source.slice(0, offset).split("\n").length;
+  return new Error(`${message} (line ${line})`);
+}
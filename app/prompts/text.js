@@ -0,0 +1,18 @@
+export function capitalize(value) {
+  if (!value) return "";
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+export function formatTime(seconds) {
+  if (!Number.isFinite(seconds)) return "00:00";
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  const ms = Math.floor((seconds - Math.floor(seconds)) * 1000);
+  const pad = (value, length = 2) => value.toString().padStart(length, "0");
+  return `${pad(minutes)}:${pad(secs)}.${pad(Math.floor(ms / 10))}`;
+}
+
+export function formatRange({ timestamp, start, end }) {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return formatTime(timestamp);
+  return `${formatTime(start)} – ${formatTime(end)}`;
+}
@@ -0,0 +1,304 @@
+import { spawn } from "node:child_process";
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+
+// Server-side frame sources for the headless pipeline (see analysis/headless).
+// Video files and compressed stills are decoded with ffmpeg; set FFMPEG_PATH
+// and FFPROBE_PATH to use a bundled binary instead of the one on PATH.
+
+const imageExtensions = [".png", ".jpg", ".jpeg", ".webp", ".bmp", ".ppm"];
+const manifestName = "frames.json";
+
+export function ffmpegPaths() {
+  return {
+    ffmpeg: process.env.FFMPEG_PATH || "ffmpeg",
+    ffprobe: process.env.FFPROBE_PATH || "ffprobe"
+  };
+}
+
+export async function openVideoFile(file, { signal } = {}) {
+  const tools = ffmpegPaths();
+  const probe = JSON.parse(
+    (
+      await run(
+        tools.ffprobe,
+        ["-v", "error", "-show_entries", "format=duration:stream=codec_type,width,height"]
+          .concat(["-of", "json", file]),
+        signal
+      )
+    ).toString()
+  );
+  const video = probe.streams?.find((stream) => stream.codec_type === "video");
+  if (!video) {
+    throw new Error(`${path.basename(file)} has no video stream`);
+  }
+  const hasAudio = probe.streams.some((stream) => stream.codec_type === "audio");
+
+  return {
+    fileName: path.basename(file),
+    duration: Number(probe.format?.duration) || 0,
+    width: video.width,
+    height: video.height,
+    async sample(interval, size) {
+      const output = await run(
+        tools.ffmpeg,
+        ["-v", "error", "-i", file, "-vf", `fps=1/${interval},${scaleFilter(size)}`]
+          .concat(rawVideoArgs),
+        signal
+      );
+      return splitFrames(output, size).map((image, index) => ({ time: index * interval, image }));
+    },
+    async frameAt(time, size) {
+      const output = await run(
+        tools.ffmpeg,
+        ["-v", "error", "-ss", String(time), "-i", file, "-frames:v", "1"]
+          .concat(["-vf", scaleFilter(size)], rawVideoArgs),
+        signal
+      );
+      const [image] = splitFrames(output, size);
+      if (!image) {
+        throw new Error(`could not decode a frame at ${time.toFixed(2)}s`);
+      }
+      return { time, image };
+    },
+    // Mono samples in chunks as ffmpeg decodes them, so a long track is never
+    // held in memory whole.
+    readAudio(sampleRate) {
+      if (!hasAudio) return null;
+      return readSamples(
+        tools.ffmpeg,
+        ["-v", "error", "-i", file, "-vn", "-ac", "1", "-ar", String(sampleRate)]
+          .concat(["-f", "f32le", "-"]),
+        signal
+      );
+    }
+  };
+}
+
+// A folder of stills already pulled from the footage. Times come from an
+// optional frames.json ({ duration?, frames: [{ file, time }] }); otherwise the
+// images are taken in name order, one every `interval` seconds. Binary PPM (P6)
+// is read directly; other formats need ffmpeg.
+export async function openFrameDirectory(directory, { interval = 1, signal } = {}) {
+  const root = path.resolve(directory);
+  const names = await readdir(root);
+  const manifest = names.includes(manifestName)
+    ? JSON.parse(await readFile(path.join(directory, manifestName), "utf8"))
+    : null;
+  const frames = (
+    manifest
+      ? (manifest.frames ?? []).map((frame) => ({ file: frame.file, time: Number(frame.time) }))
+      : names
+          .filter((name) => imageExtensions.includes(path.extname(name).toLowerCase()))
+          .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+          .map((file, index) => ({ file, time: index * interval }))
+  )
+    .filter((frame) => frame.file && Number.isFinite(frame.time))
+    .sort((a, b) => a.time - b.time)
+    .map((frame) => ({ ...frame, path: path.resolve(root, String(frame.file)) }));
+  if (!frames.length) {
+    throw new Error(`no frame images found in ${directory}`);
+  }
+  // Manifest entries may name subfolders but nothing outside the folder.
+  const outside = frames.find((frame) => !frame.path.startsWith(root + path.sep));
+  if (outside) {
+    throw new Error(`${manifestName} lists ${outside.file}, which is outside ${directory}`);
+  }
+
+  const tools = ffmpegPaths();
+  const decode = async (frame, size) => {
+    const file = frame.path;
+    if (path.extname(file).toLowerCase() === ".ppm") {
+      const image = parsePpm(await readFile(file));
+      return size ? scaleImage(image, size) : image;
+    }
+    const args = ["-v", "error", "-i", file, "-frames:v", "1"];
+    if (size) {
+      const [image] = splitFrames(
+        await run(tools.ffmpeg, args.concat(["-vf", scaleFilter(size)], rawVideoArgs), signal),
+        size
+      );
+      return image;
+    }
+    const probe = JSON.parse(
+      (
+        await run(
+          tools.ffprobe,
+          ["-v", "error", "-show_entries", "stream=width,height", "-of", "json", file],
+          signal
+        )
+      ).toString()
+    );
+    const { width, height } = probe.streams[0];
+    return decode(frame, { width, height });
+  };
+
+  const first = await decode(frames[0]);
+  const last = frames[frames.length - 1];
+  const spacing = frames.length > 1 ? (last.time - frames[0].time) / (frames.length - 1) : 1;
+  const nearest = (time) =>
+    frames.reduce((best, frame) =>
+      Math.abs(frame.time - time) < Math.abs(best.time - time) ? frame : best
+    );
+
+  return {
+    fileName: path.basename(path.resolve(directory)),
+    duration: Number(manifest?.duration) || last.time + spacing,
+    width: first.width,
+    height: first.height,
+    async sample(_interval, size) {
+      const samples = [];
+      for (const frame of frames) {
+        samples.push({ time: frame.time, image: await decode(frame, size) });
+      }
+      return samples;
+    },
+    async frameAt(time, size) {
+      const frame = nearest(time);
+      return { time: frame.time, image: await decode(frame, size) };
+    },
+    readAudio() {
+      return null;
+    }
+  };
+}
+
+const rawVideoArgs = ["-f", "rawvideo", "-pix_fmt", "rgba", "-"];
+
+function scaleFilter({ width, height }) {
+  return `scale=${width}:${height}`;
+}
+
+function splitFrames(buffer, { width, height }) {
+  const frameBytes = width * height * 4;
+  const frames = [];
+  for (let offset = 0; offset + frameBytes <= buffer.length; offset += frameBytes) {
+    frames.push({
+      data: new Uint8ClampedArray(buffer.buffer, buffer.byteOffset + offset, frameBytes),
+      width,
+      height
+    });
+  }
+  return frames;
+}
+
+function run(command, args, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal, stdio: ["ignore", "pipe", "pipe"] });
+    const chunks = [];
+    const errors = collectErrors(child);
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.on("error", (error) => reject(spawnError(command, error)));
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(exitError(command, code, errors()));
+      }
+    });
+  });
+}
+
+async function* readSamples(command, args, signal) {
+  const child = spawn(command, args, { signal, stdio: ["ignore", "pipe", "pipe"] });
+  const errors = collectErrors(child);
+  const exited = new Promise((resolve, reject) => {
+    child.on("error", (error) => reject(spawnError(command, error)));
+    child.on("close", resolve);
+  });
+  // A missing binary rejects this before the output loop gets to await it.
+  exited.catch(() => {});
+  let carry = Buffer.alloc(0);
+  try {
+    for await (const chunk of child.stdout) {
+      const bytes = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = bytes.length - (bytes.length % 4);
+      const samples = new Float32Array(usable / 4);
+      for (let i = 0; i < samples.length; i += 1) samples[i] = bytes.readFloatLE(i * 4);
+      carry = bytes.subarray(usable);
+      if (samples.length) yield samples;
+    }
+    const code = await exited;
+    if (code !== 0) throw exitError(command, code, errors());
+  } finally {
+    if (child.exitCode === null) child.kill();
+  }
+}
+
+function collectErrors(child) {
+  let errors = "";
+  child.stderr.on("data", (chunk) => {
+    errors = (errors + chunk).slice(-2000);
+  });
+  return () => errors.trim();
+}
+
+function spawnError(command, error) {
+  return error.code === "ENOENT"
+    ? new Error(`${command} was not found; install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH`)
+    : error;
+}
+
+function exitError(command, code, errors) {
+  return new Error(`${path.basename(command)} failed: ${errors || `exit ${code}`}`);
+}
+
+function parsePpm(buffer) {
+  const fields = [];
+  let offset = 0;
+  while (fields.length < 4) {
+    while (/\s/.test(String.fromCharCode(buffer[offset]))) offset += 1;
+    if (buffer[offset] === 0x23) {
+      while (offset < buffer.length && buffer[offset] !== 0x0a) offset += 1;
+      continue;
+    }
+    const start = offset;
+    while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) offset += 1;
+    fields.push(buffer.toString("latin1", start, offset));
+  }
+  const [magic, width, height, maxValue] = [fields[0], ...fields.slice(1).map(Number)];
+  if (magic !== "P6" || maxValue > 255) {
+    throw new Error("only 8-bit binary PPM (P6) frames can be read without ffmpeg");
+  }
+  const pixels = buffer.subarray(offset + 1);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    data[i] = (pixels[j] * 255) / maxValue;
+    data[i + 1] = (pixels[j + 1] * 255) / maxValue;
+    data[i + 2] = (pixels[j + 2] * 255) / maxValue;
+    data[i + 3] = 255;
+  }
+  return { data, width, height };
+}
+
+// Box-filter resize, close enough to the browser's canvas scaling for analysis.
+function scaleImage(image, { width, height }) {
+  if (image.width === width && image.height === height) return image;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  for (let y = 0; y < height; y += 1) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x += 1) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      const sums = [0, 0, 0];
+      for (let sy = top; sy < bottom; sy += 1) {
+        for (let sx = left; sx < right; sx += 1) {
+          const index = (sy * image.width + sx) * 4;
+          sums[0] += image.data[index];
+          sums[1] += image.data[index + 1];
+          sums[2] += image.data[index + 2];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const target = (y * width + x) * 4;
+      data[target] = sums[0] / count;
+      data[target + 1] = sums[1] / count;
+      data[target + 2] = sums[2] / count;
+      data[target + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
@@ -0,0 +1,85 @@
+import { lookup } from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import { BlockList, isIP } from "node:net";
+
+// Server-side requests to addresses supplied by the browser. Every host name is
+// resolved and each of its addresses checked before connecting, and the
+// connection goes to an address that passed the check, so DNS that points a
+// public-looking name (or a later redirect) at the server's own network is
+// refused rather than followed.
+
+const privateRanges = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 96],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, "ipv6"));
+
+export class PrivateAddressError extends Error {}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. IPv4 written inside IPv6 (::ffff:7f00:1, ::ffff:127.0.0.1) is
+// checked as the IPv4 address it carries.
+export function isPrivateAddress(address) {
+  const bare = String(address).replace(/^\[|\]$/g, "");
+  const family = isIP(bare);
+  if (!family) return true;
+  if (family === 4) return privateRanges.check(bare, "ipv4");
+  const normalised = new URL(`http://[${bare}]`).hostname.slice(1, -1);
+  const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(normalised);
+  if (mapped) {
+    const [high, low] = [mapped[1], mapped[2]].map((group) => parseInt(group, 16));
+    return privateRanges.check([high >> 8, high & 255, low >> 8, low & 255].join("."), "ipv4");
+  }
+  return privateRanges.check(normalised, "ipv6");
+}
+
+// A GET that resolves to a public address or fails with PrivateAddressError.
+// Redirects are not followed; the caller decides what to do with them.
+export function requestPublic(url, { signal, headers } = {}) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(new PrivateAddressError(`${url.host} is a private address`));
+  }
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { signal, headers, lookup: publicLookup }, resolve);
+    request.on("error", reject);
+  });
+}
+
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked || !addresses.length) {
+      callback(new PrivateAddressError(`${hostname} resolves to a private address`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
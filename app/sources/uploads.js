@@ -0,0 +1,139 @@
+import { once } from "node:events";
+import { createWriteStream } from "node:fs";
+import { finished } from "node:stream/promises";
+
+// Server-side multipart/form-data reader for the analysis route. File parts are
+// streamed straight to disk so a large upload never sits in memory; text fields
+// are kept in memory up to `maxFieldBytes`. `target(field, fileName, index)`
+// returns the path to write a file part to, or null to skip it; `index` counts
+// the files sent under that field.
+
+const maxHeaderBytes = 16 * 1024;
+const defaultFieldBytes = 1024 * 1024;
+const headerEnd = Buffer.from("\r\n\r\n");
+
+export class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export async function receiveMultipart(
+  request,
+  { target, maxBytes, maxFieldBytes = defaultFieldBytes }
+) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(
+    request.headers.get("content-type") ?? ""
+  );
+  if (!boundary || !request.body) {
+    throw new UploadError(400, "Send the request as multipart/form-data.");
+  }
+  const delimiter = Buffer.from(`\r\n--${boundary[1] ?? boundary[2].trim()}`);
+
+  const fields = {};
+  const files = [];
+  const fileCounts = {};
+  let pending = Buffer.from("\r\n");
+  let state = "preamble";
+  let part = null;
+  let received = 0;
+
+  const openPart = (head) => {
+    const disposition = /^content-disposition:(.*)$/im.exec(head)?.[1] ?? "";
+    const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+    const fileName = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+    if (!name) {
+      throw new UploadError(400, "A form part has no name.");
+    }
+    if (fileName === undefined) {
+      return { name, chunks: [], size: 0 };
+    }
+    const index = fileCounts[name] ?? 0;
+    fileCounts[name] = index + 1;
+    const file = target(name, fileName, index);
+    if (!file) return { name, skip: true };
+    const output = createWriteStream(file);
+    // finished() reports write errors; this only keeps them from being thrown
+    // as unhandled 'error' events in the meantime.
+    output.on("error", () => {});
+    files.push({ field: name, name: fileName, path: file });
+    return { name, output };
+  };
+
+  const write = async (bytes) => {
+    if (!bytes.length || !part || part.skip) return;
+    if (part.output) {
+      if (!part.output.write(bytes)) await once(part.output, "drain");
+      return;
+    }
+    part.size += bytes.length;
+    if (part.size > maxFieldBytes) {
+      throw new UploadError(413, `The ${part.name} field is too large.`);
+    }
+    part.chunks.push(bytes);
+  };
+
+  const closePart = async () => {
+    if (!part) return;
+    if (part.output) {
+      part.output.end();
+      await finished(part.output);
+    } else if (part.chunks && !(part.name in fields)) {
+      fields[part.name] = Buffer.concat(part.chunks).toString("utf8");
+    }
+    part = null;
+  };
+
+  try {
+    for await (const chunk of request.body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        throw new UploadError(413, `Uploads are limited to ${Math.round(maxBytes / 1e9)} GB.`);
+      }
+      pending = Buffer.concat([pending, chunk]);
+
+      while (state !== "done") {
+        if (state === "preamble" || state === "body") {
+          const at = pending.indexOf(delimiter);
+          if (at === -1) {
+            // Hold back enough bytes to catch a delimiter split across chunks.
+            const safe = Math.max(0, pending.length - delimiter.length);
+            if (state === "body") await write(pending.subarray(0, safe));
+            pending = pending.subarray(safe);
+            break;
+          }
+          if (state === "body") {
+            await write(pending.subarray(0, at));
+            await closePart();
+          }
+          pending = pending.subarray(at + delimiter.length);
+          state = "boundary";
+        } else {
+          if (pending.length < 2) break;
+          if (pending.subarray(0, 2).toString() === "--") {
+            state = "done";
+            break;
+          }
+          const end = pending.indexOf(headerEnd);
+          if (end === -1) {
+            if (pending.length > maxHeaderBytes) {
+              throw new UploadError(400, "A form part's headers are too long.");
+            }
+            break;
+          }
+          part = openPart(pending.subarray(0, end).toString("utf8"));
+          pending = pending.subarray(end + headerEnd.length);
+          state = "body";
+        }
+      }
+    }
+    if (state !== "done") {
+      throw new UploadError(400, "The multipart body ended before its closing boundary.");
+    }
+  } catch (error) {
+    part?.output?.destroy();
+    throw error;
+  }
+  return { fields, files };
+}
@@ -0,0 +1,181 @@
+import { abortError, throwIfAborted } from "../analysis/frame-analyzer";
+
+export const maxRemoteBytes = 2 * 1024 ** 3;
+const durationTimeout = 15000;
+
+const extensions = { mp4: "mp4", webm: "webm", quicktime: "mov", ogg: "ogv" };
+
+const recorderTypes = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4"
+];
+
+export function parseVideoUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    throw new Error("Paste a full video address starting with http:// or https://.");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Only http and https video addresses are supported.");
+  }
+  return url;
+}
+
+// Downloads a remote clip into a File so it goes through the same pipeline as
+// local uploads (audio decoding, storing with the project). Servers without
+// CORS headers are retried through the /api/video-proxy route.
+export async function fetchRemoteVideo(value, { signal, onProgress = () => {} } = {}) {
+  const url = parseVideoUrl(value);
+  let response;
+  let proxied = false;
+  try {
+    response = await fetch(url, { mode: "cors", signal });
+  } catch {
+    throwIfAborted(signal);
+    proxied = true;
+    response = await fetch(`/api/video-proxy?url=${encodeURIComponent(url.href)}`, { signal });
+  }
+
+  if (!response.ok) {
+    const detail = proxied ? await response.json().catch(() => null) : null;
+    throw new Error(detail?.error ?? `The server answered ${response.status} for that address.`);
+  }
+  const type = (response.headers.get("content-type") ?? "").split(";")[0].trim();
+  if (type && !type.startsWith("video/") && type !== "application/octet-stream") {
+    throw new Error(`That address points to ${type}, not a video file.`);
+  }
+  const total = Number(response.headers.get("content-length")) || 0;
+  if (total > maxRemoteBytes) {
+    throw new Error("That video is larger than 2 GB; download it and open it locally.");
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value: chunk } = await reader.read();
+    if (done) break;
+    chunks.push(chunk);
+    received += chunk.length;
+    if (received > maxRemoteBytes) {
+      reader.cancel();
+      throw new Error("That video is larger than 2 GB; download it and open it locally.");
+    }
+    onProgress(received, total);
+  }
+
+  return new File(chunks, fileNameFromUrl(url, type), {
+    type: type && type !== "application/octet-stream" ? type : guessType(url)
+  });
+}
+
+export function captureSupport() {
+  const devices = typeof navigator !== "undefined" ? navigator.mediaDevices : undefined;
+  const recorder = typeof MediaRecorder !== "undefined";
+  return {
+    camera: recorder && Boolean(devices?.getUserMedia),
+    screen: recorder && Boolean(devices?.getDisplayMedia)
+  };
+}
+
+export function openCaptureStream(kind) {
+  const devices = navigator.mediaDevices;
+  return kind === "screen"
+    ? devices.getDisplayMedia({ video: { frameRate: 30 }, audio: true })
+    : devices.getUserMedia({ video: { width: 1280, height: 720 }, audio: true });
+}
+
+// Records a live stream into a File. The recording ends on stop() or when the
+// user ends the share from the browser's own controls.
+export function createStreamRecorder(stream, kind) {
+  const mimeType = recorderTypes.find((type) => MediaRecorder.isTypeSupported(type)) ?? "";
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    recorder.onerror = (event) => reject(event.error ?? new Error("recording failed"));
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      const type = recorder.mimeType || mimeType || "video/webm";
+      const extension = type.includes("mp4") ? "mp4" : "webm";
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+      resolve(new File(chunks, `${kind}-capture-${stamp}.${extension}`, { type }));
+    };
+  });
+  stream.getVideoTracks().forEach((track) => {
+    track.addEventListener("ended", () => {
+      if (recorder.state !== "inactive") recorder.stop();
+    });
+  });
+
+  return {
+    start() {
+      recorder.start(1000);
+    },
+    stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+      return finished;
+    },
+    discard() {
+      recorder.onstop = null;
+      if (recorder.state !== "inactive") recorder.stop();
+      stream.getTracks().forEach((track) => track.stop());
+    },
+    finished
+  };
+}
+
+// MediaRecorder output has no duration in its header, so browsers report
+// Infinity until the file has been scanned; seeking far past the end forces it.
+// Rejects if no finite duration arrives within `timeout` ms.
+export function resolveDuration(video, { signal, timeout = durationTimeout } = {}) {
+  if (Number.isFinite(video.duration)) return Promise.resolve(video.duration);
+  return new Promise((resolve, reject) => {
+    const handleChange = () => {
+      if (!Number.isFinite(video.duration)) return;
+      cleanup();
+      video.currentTime = 0;
+      resolve(video.duration);
+    };
+    const handleAbort = () => {
+      cleanup();
+      reject(abortError());
+    };
+    const handleTimeout = () => {
+      cleanup();
+      reject(new Error("The browser did not report a duration for this video."));
+    };
+    const timer = setTimeout(handleTimeout, timeout);
+    const cleanup = () => {
+      clearTimeout(timer);
+      video.removeEventListener("durationchange", handleChange);
+      video.removeEventListener("timeupdate", handleChange);
+      signal?.removeEventListener("abort", handleAbort);
+    };
+    video.addEventListener("durationchange", handleChange);
+    video.addEventListener("timeupdate", handleChange);
+    signal?.addEventListener("abort", handleAbort);
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+  });
+}
+
+function fileNameFromUrl(url, type) {
+  const last = decodeURIComponent(url.pathname.split("/").filter(Boolean).pop() ?? "");
+  if (/\.[a-z0-9]{2,4}$/i.test(last)) return last;
+  const extension = extensions[type.slice("video/".length)] ?? "mp4";
+  return `${last || url.hostname}.${extension}`;
+}
+
+function guessType(url) {
+  const extension = url.pathname.split(".").pop()?.toLowerCase();
+  if (extension === "webm") return "video/webm";
+  if (extension === "mov") return "video/quicktime";
+  if (extension === "ogv" || extension === "ogg") return "video/ogg";
+  return "video/mp4";
+}
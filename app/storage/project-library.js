@@ -0,0 +1,275 @@
+const databaseName = "video-prompt-library";
+const databaseVersion = 4;
+const projectStore = "projects";
+const videoStore = "videos";
+const presetStore = "presets";
+const templateStore = "templates";
+const runStore = "runs";
+
+export const maxRunsPerProject = 20;
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!globalThis.indexedDB) {
+    return Promise.reject(new Error("IndexedDB is not available in this browser"));
+  }
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, databaseVersion);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(projectStore)) {
+          database.createObjectStore(projectStore, { keyPath: "id" });
+        }
+        if (!database.objectStoreNames.contains(videoStore)) {
+          database.createObjectStore(videoStore, { keyPath: "id" });
+        }
+        if (!database.objectStoreNames.contains(presetStore)) {
+          database.createObjectStore(presetStore, { keyPath: "id" });
+        }
+        if (!database.objectStoreNames.contains(templateStore)) {
+          database.createObjectStore(templateStore, { keyPath: "id" });
+        }
+        if (!database.objectStoreNames.contains(runStore)) {
+          const runs = database.createObjectStore(runStore, { keyPath: "id" });
+          runs.createIndex("projectId", "projectId");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error("transaction aborted"));
+  });
+}
+
+function createId() {
+  return globalThis.crypto?.randomUUID
+    ? crypto.randomUUID()
+    : `project-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export async function listProjects() {
+  const database = await openDatabase();
+  const transaction = database.transaction(projectStore, "readonly");
+  const projects = await requestResult(transaction.objectStore(projectStore).getAll());
+  return projects
+    .map((project) => ({
+      id: project.id,
+      name: project.name,
+      fileName: project.fileName,
+      updatedAt: project.updatedAt,
+      sceneCount: project.scenes?.length ?? 0,
+      hasVideo: Boolean(project.hasVideo),
+      thumbnail: project.scenes?.find((scene) => scene.thumbnail)?.thumbnail ?? null
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function saveProject(record, videoFile = null) {
+  const database = await openDatabase();
+  const transaction = database.transaction([projectStore, videoStore], "readwrite");
+  const projects = transaction.objectStore(projectStore);
+  const existing = record.id ? await requestResult(projects.get(record.id)) : null;
+  const now = Date.now();
+
+  const project = {
+    ...existing,
+    ...record,
+    id: existing?.id ?? createId(),
+    name: existing?.name ?? record.name,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    hasVideo: Boolean(videoFile) || Boolean(existing?.hasVideo)
+  };
+
+  projects.put(project);
+  if (videoFile) {
+    transaction.objectStore(videoStore).put({ id: project.id, file: videoFile });
+  }
+  await transactionDone(transaction);
+  return project;
+}
+
+export async function loadProject(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([projectStore, videoStore], "readonly");
+  const [project, video] = await Promise.all([
+    requestResult(transaction.objectStore(projectStore).get(id)),
+    requestResult(transaction.objectStore(videoStore).get(id))
+  ]);
+  if (!project) {
+    throw new Error(`project ${id} not found`);
+  }
+  return { project, video: video?.file ?? null };
+}
+
+export async function renameProject(id, name) {
+  const database = await openDatabase();
+  const transaction = database.transaction(projectStore, "readwrite");
+  const projects = transaction.objectStore(projectStore);
+  const project = await requestResult(projects.get(id));
+  if (project) {
+    projects.put({ ...project, name, updatedAt: Date.now() });
+  }
+  await transactionDone(transaction);
+}
+
+export async function duplicateProject(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([projectStore, videoStore], "readwrite");
+  const projects = transaction.objectStore(projectStore);
+  const videos = transaction.objectStore(videoStore);
+  const [project, video] = await Promise.all([
+    requestResult(projects.get(id)),
+    requestResult(videos.get(id))
+  ]);
+  if (!project) {
+    throw new Error(`project ${id} not found`);
+  }
+
+  const now = Date.now();
+  const copy = {
+    ...project,
+    id: createId(),
+    name: `${project.name} copy`,
+    createdAt: now,
+    updatedAt: now
+  };
+  projects.put(copy);
+  if (video) {
+    videos.put({ ...video, id: copy.id });
+  }
+  await transactionDone(transaction);
+  return copy;
+}
+
+export async function deleteProject(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([projectStore, videoStore, runStore], "readwrite");
+  transaction.objectStore(projectStore).delete(id);
+  transaction.objectStore(videoStore).delete(id);
+  const runs = transaction.objectStore(runStore);
+  const runIds = await requestResult(runs.index("projectId").getAllKeys(id));
+  runIds.forEach((runId) => runs.delete(runId));
+  await transactionDone(transaction);
+}
+
+export async function listRuns(projectId) {
+  const database = await openDatabase();
+  const transaction = database.transaction(runStore, "readonly");
+  const runs = await requestResult(
+    transaction.objectStore(runStore).index("projectId").getAll(projectId)
+  );
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Keeps the newest maxRunsPerProject runs of the project; older ones are pruned.
+export async function saveRun(record) {
+  const database = await openDatabase();
+  const transaction = database.transaction(runStore, "readwrite");
+  const runs = transaction.objectStore(runStore);
+  const run = { ...record, id: record.id ?? createId(), createdAt: record.createdAt ?? Date.now() };
+  runs.put(run);
+  const existing = await requestResult(runs.index("projectId").getAll(run.projectId));
+  existing
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(maxRunsPerProject)
+    .forEach((stale) => runs.delete(stale.id));
+  await transactionDone(transaction);
+  return run;
+}
+
+export async function deleteRun(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction(runStore, "readwrite");
+  transaction.objectStore(runStore).delete(id);
+  await transactionDone(transaction);
+}
+
+export async function listPresets() {
+  const database = await openDatabase();
+  const transaction = database.transaction(presetStore, "readonly");
+  const presets = await requestResult(transaction.objectStore(presetStore).getAll());
+  return presets.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function savePresets(records) {
+  const database = await openDatabase();
+  const transaction = database.transaction(presetStore, "readwrite");
+  const presets = transaction.objectStore(presetStore);
+  const now = Date.now();
+  const saved = await Promise.all(
+    records.map(async (record) => {
+      const existing = record.id ? await requestResult(presets.get(record.id)) : null;
+      const preset = {
+        ...existing,
+        ...record,
+        id: existing?.id ?? record.id ?? createId(),
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now
+      };
+      presets.put(preset);
+      return preset;
+    })
+  );
+  await transactionDone(transaction);
+  return saved;
+}
+
+export async function deletePreset(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction(presetStore, "readwrite");
+  transaction.objectStore(presetStore).delete(id);
+  await transactionDone(transaction);
+}
+
+export async function listTemplates() {
+  const database = await openDatabase();
+  const transaction = database.transaction(templateStore, "readonly");
+  const templates = await requestResult(transaction.objectStore(templateStore).getAll());
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function saveTemplate(record) {
+  const database = await openDatabase();
+  const transaction = database.transaction(templateStore, "readwrite");
+  const templates = transaction.objectStore(templateStore);
+  const existing = record.id ? await requestResult(templates.get(record.id)) : null;
+  const now = Date.now();
+  const template = {
+    ...existing,
+    ...record,
+    id: existing?.id ?? record.id ?? createId(),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now
+  };
+  templates.put(template);
+  await transactionDone(transaction);
+  return template;
+}
+
+export async function deleteTemplate(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction(templateStore, "readwrite");
+  transaction.objectStore(templateStore).delete(id);
+  await transactionDone(transaction);
+}
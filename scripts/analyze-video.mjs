@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Runs the prompt analysis without a browser, for render farm and CI scripts.
+//
+//   node scripts/analyze-video.mjs clip.mp4 --settings brief.json > clip.prompt.json
+//   node scripts/analyze-video.mjs --frames stills/ --frame-interval 2 --format markdown
+//   node scripts/analyze-video.mjs clip.mp4 --subtitles clip.en.srt
+//
+// Video files are decoded with ffmpeg/ffprobe (FFMPEG_PATH and FFPROBE_PATH
+// override the binaries). A frame folder may hold a frames.json manifest of
+// { file, time } entries; binary PPM stills need no ffmpeg at all. The output
+// matches the page's export for the chosen format.
+import { readFile, writeFile } from "node:fs/promises";
+import { register } from "node:module";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+register("./extensionless-imports.mjs", import.meta.url);
+
+const usage = `Usage: analyze-video.mjs <video> [options]
+       analyze-video.mjs --frames <folder> [options]
+
+Options:
+  --settings <file>        settings JSON (the page's settings shape or a JSON export)
+  --frames <folder>        analyse pre-extracted stills instead of a video file
+  --frame-interval <sec>   seconds between stills when there is no frames.json (default 1)
+  --subtitles <file>       SRT or WebVTT dialogue to line up with the scenes
+  --format <json|csv|markdown>  output format (default json)
+  --out <file>             write to a file instead of stdout
+  --quiet                  no progress on stderr`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    settings: { type: "string" },
+    frames: { type: "string" },
+    "frame-interval": { type: "string", default: "1" },
+    subtitles: { type: "string" },
+    format: { type: "string", default: "json" },
+    out: { type: "string" },
+    quiet: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+  }
+});
+
+if (values.help || (!positionals.length && !values.frames)) {
+  console.error(usage);
+  process.exit(values.help ? 0 : 2);
+}
+
+const { analyzeVideo, attachTranscript } = await import("../app/analysis/headless.js");
+const { parseSubtitles } = await import("../app/analysis/transcript.js");
+const { openFrameDirectory, openVideoFile } = await import("../app/sources/frame-sources.js");
+const { exportFormats, serializeExport } = await import("../app/export/scene-export.js");
+
+if (!exportFormats.some((format) => format.id === values.format)) {
+  console.error(`Unknown format "${values.format}". Use json, csv or markdown.`);
+  process.exit(2);
+}
+
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+const { signal } = controller;
+const log = values.quiet ? () => {} : (message) => process.stderr.write(`${message}\n`);
+
+try {
+  let settings = values.settings ? JSON.parse(await readFile(values.settings, "utf8")) : {};
+  if (values.subtitles) {
+    settings = attachTranscript(settings, {
+      name: path.basename(values.subtitles),
+      cues: parseSubtitles(await readFile(values.subtitles, "utf8"))
+    });
+  }
+  const source = values.frames
+    ? await openFrameDirectory(values.frames, {
+        interval: Number(values["frame-interval"]) || 1,
+        signal
+      })
+    : await openVideoFile(positionals[0], { signal });
+  const exportDocument = await analyzeVideo(source, settings, { signal, onStatus: log });
+  const output = serializeExport(exportDocument, values.format);
+  if (values.out) {
+    await writeFile(values.out, `${output}\n`);
+    log(`Wrote ${exportDocument.scenes.length} scenes to ${values.out}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+} catch (error) {
+  console.error(signal.aborted ? "Cancelled." : `analyze-video: ${error.message}`);
+  process.exit(1);
+}
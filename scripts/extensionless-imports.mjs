@@ -0,0 +1,11 @@
+// Module resolve hook for running the app's modules under plain Node: they
+// import siblings without a file extension, which Next resolves but Node's ESM
+// loader does not.
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error?.code !== "ERR_MODULE_NOT_FOUND" || !/^\.{1,2}\//.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
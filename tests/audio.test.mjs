@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  analyzeAudio,
+  audioReadMode,
+  createAudioAnalyzer,
+  describeAudioPass
+} from "../app/analysis/audio.js";
+
+const browser = { decode: true, stream: true };
+const megabytes = 1024 * 1024;
+
+test("clips up to 30 minutes and 512 MB are decoded whole, longer ones streamed", () => {
+  assert.equal(audioReadMode({ size: 50e6 }, 30 * 60, browser), "decode");
+  assert.equal(audioReadMode({ size: 50e6 }, 30 * 60 + 1, browser), "stream");
+  assert.equal(audioReadMode({ size: 512 * megabytes }, 600, browser), "decode");
+  assert.equal(audioReadMode({ size: 512 * megabytes + 1 }, 600, browser), "stream");
+  assert.equal(audioReadMode({ size: 2e9 }, 60 * 60, { decode: true, stream: false }), null);
+});
+
+test("the run explains a streamed or skipped audio pass up front", () => {
+  assert.equal(describeAudioPass({ size: 50e6 }, 600, browser), null);
+  assert.match(describeAudioPass({ size: 2e9 }, 60 * 60, browser), /4×.*about 15 minutes/);
+  assert.match(
+    describeAudioPass({ size: 50e6 }, 600, { decode: false, stream: false }),
+    /will be skipped/
+  );
+});
+
+test("a track analysed in chunks matches the same track analysed whole", () => {
+  const sampleRate = 8000;
+  const samples = new Float32Array(sampleRate * 20);
+  for (let i = 0; i < samples.length; i += 1) {
+    const beat = (i / sampleRate) % 0.5 < 0.05 ? 1 : 0.2;
+    samples[i] = beat * Math.sin((2 * Math.PI * 220 * i) / sampleRate);
+  }
+  const analyzer = createAudioAnalyzer(sampleRate);
+  for (let offset = 0; offset < samples.length; offset += 777) {
+    analyzer.push(samples.subarray(offset, offset + 777));
+  }
+  const whole = analyzeAudio({ samples, sampleRate });
+  assert.deepEqual(analyzer.finish(), whole);
+  assert.equal(whole.bpm, 120);
+});
+
+test("silence in the middle of a tone is found", () => {
+  const sampleRate = 8000;
+  const samples = new Float32Array(sampleRate * 6);
+  for (let i = 0; i < samples.length; i += 1) {
+    const second = i / sampleRate;
+    const tone = 0.5 * Math.sin((2 * Math.PI * 440 * i) / sampleRate);
+    samples[i] = second >= 2 && second < 4 ? 0 : tone;
+  }
+  const profile = analyzeAudio({ samples, sampleRate });
+  assert.equal(profile.duration, 6);
+  assert.deepEqual(profile.silences, [{ start: 2, end: 4 }]);
+});
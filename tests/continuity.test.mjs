@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeContinuity } from "../app/analysis/continuity.js";
+import { analyzeLighting } from "../app/analysis/lighting.js";
+
+function flatFrame([r, g, b]) {
+  const data = new Uint8ClampedArray(16 * 16 * 4);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    data.set([r, g, b, 255], offset);
+  }
+  return { data };
+}
+
+// Scenes analysed the way the page does it, from a flat frame in one colour.
+function scene(index, rgb, palette) {
+  const hex = `#${rgb.map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+  const brightness = (0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2]) / 255;
+  return {
+    index,
+    start: index * 3,
+    end: index * 3 + 3,
+    timestamp: index * 3 + 1.5,
+    analysis: {
+      palette,
+      lighting: brightness > 0.5 ? "well-lit scene" : "low-key lighting",
+      swatches: [{ rgb, hex, proportion: 1 }],
+      lightingProfile: analyzeLighting(flatFrame(rgb), 16, 16),
+      metrics: { brightness }
+    }
+  };
+}
+
+const blue = [60, 90, 170];
+const orange = [220, 140, 60];
+
+test("needs at least two scenes", () => {
+  assert.equal(analyzeContinuity([]), null);
+  assert.equal(analyzeContinuity([scene(0, blue, "crisp Arctic blue")]), null);
+});
+
+test("a steady grade scores 100 with a single look and no jumps", () => {
+  const report = analyzeContinuity([0, 1, 2].map((i) => scene(i, blue, "crisp Arctic blue")));
+  assert.equal(report.score, 100);
+  assert.equal(report.looks.length, 1);
+  assert.equal(report.looks[0].scenes, "scenes 1–3");
+  assert.deepEqual(report.jumps, []);
+});
+
+test("groups returning looks and reads cool scenes as cool", () => {
+  const report = analyzeContinuity([
+    scene(0, blue, "crisp Arctic blue"),
+    scene(1, blue, "crisp Arctic blue"),
+    scene(2, orange, "amber glow"),
+    scene(3, blue, "crisp Arctic blue")
+  ]);
+  assert.deepEqual(report.looks.map((look) => look.sceneIndexes), [[0, 1, 3], [2]]);
+  const [cool, warm] = report.looks;
+  assert.ok(cool.kelvin > warm.kelvin);
+  assert.match(cool.descriptor, /^crisp Arctic blue, low-key lighting, (blue-hour|cool)/);
+  assert.match(warm.descriptor, /warm tungsten/);
+  assert.equal(cool.scenes, "scenes 1–2 and 4");
+});
+
+test("flags cuts between looks with the direction of the temperature shift", () => {
+  const report = analyzeContinuity([
+    scene(0, blue, "crisp Arctic blue"),
+    scene(1, orange, "amber glow"),
+    scene(2, blue, "crisp Arctic blue")
+  ]);
+  assert.deepEqual(
+    report.jumps.map((jump) => [jump.from, jump.to, jump.kinds.includes("colour temperature")]),
+    [
+      [0, 1, true],
+      [1, 2, true]
+    ]
+  );
+  assert.match(report.jumps[0].descriptor, /colour temperature warms from \d+K to \d+K/);
+  assert.match(report.jumps[1].descriptor, /colour temperature cools/);
+  assert.ok(report.score < 50);
+  assert.match(report.instructions.at(-1), /^smooth the cut from scene 2 to 3 \(/);
+});
+
+test("a shift under the mired threshold is not a jump", () => {
+  const report = analyzeContinuity([
+    scene(0, [128, 128, 128], "neutral grey"),
+    scene(1, [124, 126, 132], "neutral grey")
+  ]);
+  assert.deepEqual(report.jumps, []);
+});
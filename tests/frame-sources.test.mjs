@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { chmod, mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { openFrameDirectory, openVideoFile } from "../app/sources/frame-sources.js";
+
+function ppm(width, height, [r, g, b]) {
+  const header = Buffer.from(`P6\n${width} ${height}\n255\n`);
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let offset = 0; offset < pixels.length; offset += 3) {
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+  }
+  return Buffer.concat([header, pixels]);
+}
+
+test("frame manifests cannot reach outside the frame folder", async () => {
+  const parent = await mkdtemp(path.join(tmpdir(), "frame-sources-test-"));
+  const directory = path.join(parent, "frames");
+  try {
+    await mkdir(path.join(directory, "stills"), { recursive: true });
+    await writeFile(path.join(parent, "secret.ppm"), ppm(4, 4, [255, 0, 0]));
+    await writeFile(path.join(directory, "stills", "a.ppm"), ppm(4, 4, [0, 0, 255]));
+
+    const escapes = ["../secret.ppm", path.join(parent, "secret.ppm"), "stills/../../secret.ppm"];
+    for (const file of escapes) {
+      const manifest = { frames: [{ file, time: 0 }] };
+      await writeFile(path.join(directory, "frames.json"), JSON.stringify(manifest));
+      await assert.rejects(openFrameDirectory(directory), /outside/);
+    }
+
+    await writeFile(
+      path.join(directory, "frames.json"),
+      JSON.stringify({ frames: [{ file: "stills/a.ppm", time: 0 }] })
+    );
+    const source = await openFrameDirectory(directory);
+    assert.equal(source.width, 4);
+  } finally {
+    await rm(parent, { recursive: true, force: true });
+  }
+});
+
+// Stand-ins for ffprobe and ffmpeg: the probe reports one video and one audio
+// stream, and the decoder writes 1000 float samples in uneven chunks.
+const fakeProbe = `#!/usr/bin/env node
+process.stdout.write(JSON.stringify({
+  format: { duration: "2" },
+  streams: [{ codec_type: "video", width: 4, height: 4 }, { codec_type: "audio" }]
+}));
+`;
+const fakeDecoder = `#!/usr/bin/env node
+const samples = Buffer.alloc(4000);
+for (let i = 0; i < 1000; i += 1) samples.writeFloatLE(i / 1000, i * 4);
+for (let offset = 0; offset < samples.length; offset += 999) {
+  process.stdout.write(samples.subarray(offset, offset + 999));
+}
+`;
+
+test("audio is read from ffmpeg in chunks of whole samples", async (t) => {
+  const directory = await mkdtemp(path.join(tmpdir(), "frame-sources-test-"));
+  const tools = { FFPROBE_PATH: "ffprobe.mjs", FFMPEG_PATH: "ffmpeg.mjs" };
+  t.after(async () => {
+    Object.keys(tools).forEach((name) => delete process.env[name]);
+    await rm(directory, { recursive: true, force: true });
+  });
+  for (const [name, file] of Object.entries(tools)) {
+    const script = path.join(directory, file);
+    await writeFile(script, name === "FFPROBE_PATH" ? fakeProbe : fakeDecoder);
+    await chmod(script, 0o755);
+    process.env[name] = script;
+  }
+
+  const source = await openVideoFile(path.join(directory, "clip.mp4"));
+  const chunks = [];
+  for await (const chunk of source.readAudio(1000)) chunks.push(chunk);
+  const samples = chunks.flatMap((chunk) => Array.from(chunk));
+  assert.equal(source.duration, 2);
+  assert.equal(samples.length, 1000);
+  assert.ok(samples.every((sample, i) => Math.abs(sample - i / 1000) < 1e-6));
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { analyzeVideo } from "../app/analysis/headless.js";
+
+const cli = fileURLToPath(new URL("../scripts/analyze-video.mjs", import.meta.url));
+
+function solidImage({ width, height }, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return { data, width, height };
+}
+
+// Ten seconds of footage that turns from orange to blue halfway, with a tone
+// on the soundtrack when `withAudio` is set.
+function fakeSource({ withAudio }) {
+  const colourAt = (time) => (time < 5 ? [220, 120, 40] : [30, 80, 200]);
+  return {
+    duration: 10,
+    width: 64,
+    height: 36,
+    fileName: "fake.mp4",
+    async sample(interval, size) {
+      const frames = [];
+      for (let time = 0; time < 10; time += interval) {
+        frames.push({ time, image: solidImage(size, colourAt(time)) });
+      }
+      return frames;
+    },
+    async frameAt(time, size) {
+      return { time, image: solidImage(size, colourAt(time)) };
+    },
+    readAudio(sampleRate) {
+      if (!withAudio) return null;
+      return (async function* tone() {
+        for (let second = 0; second < 10; second += 1) {
+          yield Float32Array.from({ length: sampleRate }, (_, i) =>
+            Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 0.3
+          );
+        }
+      })();
+    }
+  };
+}
+
+test("a headless run reports the audio and people passes it ran", async () => {
+  const settings = { focusAreas: ["lighting", "audio", "composition"], captureMode: "interval" };
+  const withAudio = await analyzeVideo(fakeSource({ withAudio: true }), settings);
+  assert.equal(withAudio.passes.audio, "analysed");
+  assert.deepEqual(withAudio.passes.people, ["skin-tone heuristic"]);
+  assert.ok(withAudio.scenes.every((scene) => scene.analysis.audio?.character === "music"));
+
+  const silent = await analyzeVideo(fakeSource({ withAudio: false }), settings);
+  assert.equal(silent.passes.audio, "skipped");
+  assert.ok(silent.scenes.every((scene) => scene.analysis.audio === null));
+
+  const noAudio = await analyzeVideo(fakeSource({ withAudio: true }), {
+    ...settings,
+    focusAreas: ["lighting"]
+  });
+  assert.equal(noAudio.passes.audio, "off");
+});
+
+test("the CLI analyses a folder of PPM stills", async () => {
+  const directory = await mkdtemp(path.join(tmpdir(), "headless-test-"));
+  try {
+    const header = Buffer.from("P6\n8 8\n255\n");
+    for (const [index, value] of [20, 120, 220].entries()) {
+      await writeFile(
+        path.join(directory, `frame-${index}.ppm`),
+        Buffer.concat([header, Buffer.alloc(8 * 8 * 3, value)])
+      );
+    }
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      [cli, "--frames", directory, "--format", "markdown", "--quiet"],
+      { timeout: 60000 }
+    );
+    assert.match(stdout, /^# Untitled video prompt/);
+    assert.match(stdout, /\| People found by \| skin-tone heuristic \|/);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
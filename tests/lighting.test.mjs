@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeLighting } from "../app/analysis/lighting.js";
+
+const width = 32;
+const height = 18;
+
+function flatFrame([r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    data.set([r, g, b, 255], offset);
+  }
+  return { data };
+}
+
+function kelvinOf(colour) {
+  return analyzeLighting(flatFrame(colour), width, height).kelvin;
+}
+
+test("colour casts from deep blue to orange run from cool to warm", () => {
+  const casts = [
+    [30, 60, 180],
+    [60, 90, 170],
+    [100, 140, 200],
+    [160, 170, 190],
+    [128, 128, 128],
+    [200, 180, 150],
+    [255, 180, 100],
+    [220, 140, 60]
+  ];
+  const kelvins = casts.map(kelvinOf);
+  kelvins.forEach((kelvin, i) => {
+    assert.ok(Number.isFinite(kelvin), `no estimate for ${casts[i]}`);
+    if (i > 0) {
+      assert.ok(kelvin <= kelvins[i - 1], `${casts[i - 1]} → ${casts[i]}: ${kelvins.join(", ")}`);
+    }
+  });
+  assert.ok(kelvins[0] > kelvins[kelvins.length - 1]);
+});
+
+test("neutral grey reads as daylight and blue grades never read as tungsten", () => {
+  assert.equal(kelvinOf([128, 128, 128]), 6500);
+  const blue = analyzeLighting(flatFrame([60, 90, 170]), width, height);
+  assert.ok(blue.kelvin >= 9000, String(blue.kelvin));
+  assert.doesNotMatch(blue.temperature, /warm/);
+});
+
+test("frames with a clipped channel still get a warm estimate", () => {
+  const lighting = analyzeLighting(flatFrame([255, 180, 100]), width, height);
+  assert.ok(lighting.kelvin >= 2500 && lighting.kelvin <= 3400, String(lighting.kelvin));
+  assert.equal(lighting.temperature, "warm tungsten");
+  assert.equal(lighting.clippedHighlights, 1);
+});
+
+test("green and magenta tints sit mid-scale rather than at the extremes", () => {
+  [
+    [120, 200, 120],
+    [200, 100, 200]
+  ].forEach((tint) => {
+    const kelvin = kelvinOf(tint);
+    assert.ok(kelvin > 4000 && kelvin < 9000, `${tint}: ${kelvin}`);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildNegativePrompt,
+  qualityGuards,
+  splitNegativePrompt,
+  summarizeNegativePrompts
+} from "../app/prompts/negative-prompts.js";
+
+function terms(analysis) {
+  return splitNegativePrompt(buildNegativePrompt(analysis));
+}
+
+test("an empty analysis still gets the quality guards", () => {
+  assert.deepEqual(terms({}), qualityGuards);
+});
+
+test("artefacts and exposure problems seen in the frame come first", () => {
+  const negative = terms({
+    metrics: { noise: 0.02, blockiness: 0.5 },
+    lightingProfile: { clippedHighlights: 0.05, crushedBlacks: 0 }
+  });
+  assert.deepEqual(negative.slice(0, 5), [
+    "film grain",
+    "sensor noise",
+    "compression blockiness",
+    "macroblocking",
+    "blown highlights"
+  ]);
+  assert.ok(!negative.includes("crushed blacks"));
+});
+
+test("cool footage steers away from a warm cast, never from its own blue", () => {
+  const negative = terms({
+    lightingProfile: { kelvin: 12000 },
+    metrics: { warmth: -0.35 }
+  });
+  assert.ok(negative.includes("warm orange cast"));
+  assert.ok(!negative.includes("cold blue cast"));
+});
+
+test("warm footage steers away from a blue cast", () => {
+  const negative = terms({ lightingProfile: { kelvin: 2900 }, metrics: { warmth: 0.3 } });
+  assert.ok(negative.includes("cold blue cast"));
+  assert.ok(!negative.includes("warm orange cast"));
+});
+
+test("the frame's red/blue balance decides when there is no colour temperature", () => {
+  assert.ok(terms({ metrics: { warmth: -0.2 } }).includes("warm orange cast"));
+  assert.ok(terms({ metrics: { warmth: 0.2 } }).includes("cold blue cast"));
+  assert.ok(!terms({ metrics: { warmth: 0.02 } }).some((term) => /cast$/.test(term)));
+});
+
+test("no cast is steered against when temperature and balance disagree", () => {
+  const negative = terms({ lightingProfile: { kelvin: 3000 }, metrics: { warmth: -0.3 } });
+  assert.ok(!negative.some((term) => /cast$/.test(term)));
+});
+
+test("looks that would contradict the footage are avoided", () => {
+  const negative = terms({
+    saturation: "muted tones",
+    contrast: "soft contrast",
+    lighting: "low-key lighting",
+    motion: { camera: "static" },
+    composition: { headCount: 0 }
+  });
+  ["over-saturated colours", "harsh contrast", "overexposed", "shaky camera", "people"].forEach(
+    (term) => assert.ok(negative.includes(term), term)
+  );
+});
+
+test("the master prompt keeps terms shared by most of the scenes", () => {
+  const scenes = [
+    { negativePrompt: "film grain, warm orange cast, lowres" },
+    { negativePrompt: "film grain, lowres" },
+    { negativePrompt: "shaky camera, lowres" }
+  ];
+  assert.equal(summarizeNegativePrompts(scenes), "film grain, lowres");
+});
+
+test("quality guards survive the master prompt's term cap", () => {
+  const extra = Array.from({ length: 20 }, (_, i) => `term ${i}`).join(", ");
+  const summary = splitNegativePrompt(
+    summarizeNegativePrompts([{ negativePrompt: `${extra}, blurry` }])
+  );
+  assert.equal(summary.length, 13);
+  assert.equal(summary[summary.length - 1], "blurry");
+});
+
+test("a two-scene clip only keeps terms both scenes share", () => {
+  const scenes = [
+    { negativePrompt: "warm orange cast, overexposed, lowres" },
+    { negativePrompt: "cold blue cast, underexposed, murky shadows, lowres" }
+  ];
+  assert.equal(summarizeNegativePrompts(scenes), "lowres");
+});
+
+test("an even split between warm and cool scenes steers against neither cast", () => {
+  const scenes = [
+    { negativePrompt: "warm orange cast, shaky camera, lowres" },
+    { negativePrompt: "warm orange cast, shaky camera, lowres" },
+    { negativePrompt: "cold blue cast, shaky camera, lowres" },
+    { negativePrompt: "cold blue cast, lowres" }
+  ];
+  assert.equal(summarizeNegativePrompts(scenes), "shaky camera, lowres");
+});
+
+test("opposing terms that both reach a majority are dropped together", () => {
+  const edited = "overexposed, underexposed, harsh light, flat lighting, film grain, blurry";
+  assert.equal(
+    summarizeNegativePrompts([{ negativePrompt: edited }, { negativePrompt: edited }]),
+    "film grain, blurry"
+  );
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractPalette, formatPalette } from "../app/analysis/palette.js";
+
+function image(width, height, colourAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      data.set([...colourAt(x, y), 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+function distance(a, b) {
+  return a.reduce((sum, channel, index) => sum + (channel - b[index]) ** 2, 0);
+}
+
+test("each share counts the pixels nearest the swatch it is reported with", () => {
+  // Scattered colours keep k-means moving until it runs out of iterations.
+  const frame = image(64, 64, (x, y) => [(x * 7 + y * 3) % 256, (x * x + y) % 256, (y * 5) % 256]);
+  const swatches = extractPalette(frame);
+  const counts = swatches.map(() => 0);
+  for (let i = 0; i < frame.data.length; i += 4) {
+    const pixel = Array.from(frame.data.subarray(i, i + 3));
+    const distances = swatches.map((swatch) => distance(pixel, swatch.rgb));
+    counts[distances.indexOf(Math.min(...distances))] += 1;
+  }
+  swatches.forEach((swatch, index) => {
+    // Only the rounding of the reported colour separates the two.
+    assert.ok(Math.abs(swatch.proportion - counts[index] / 4096) < 0.002, swatch.hex);
+  });
+});
+
+test("small colour patches still fill the five swatches", () => {
+  const accents = [
+    [255, 0, 0],
+    [0, 255, 0],
+    [0, 0, 255],
+    [255, 255, 0]
+  ];
+  // 96% teal with a row of each accent, 1% of the frame apiece.
+  const frame = image(100, 100, (x, y) => accents[y] ?? [20, 90, 100]);
+  const swatches = extractPalette(frame);
+  assert.equal(swatches.length, 5);
+  assert.equal(formatPalette(swatches.slice(0, 2)).split(", ")[0], "#145a64 96%");
+  assert.ok(swatches.slice(1).every((swatch) => Math.round(swatch.proportion * 100) === 1));
+});
+
+test("shares under half a percent are not printed as 0%", () => {
+  const swatches = [
+    { hex: "#145a64", proportion: 0.996 },
+    { hex: "#ff0000", proportion: 0.004 }
+  ];
+  assert.equal(formatPalette(swatches), "#145a64 100%, #ff0000 <1%");
+});
+
+test("a flat frame has a single swatch", () => {
+  assert.deepEqual(extractPalette(image(8, 8, () => [10, 20, 30])), [
+    { hex: "#0a141e", rgb: [10, 20, 30], proportion: 1 }
+  ]);
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildImagePdf } from "../app/export/pdf.js";
+
+const decoder = new TextDecoder("latin1");
+
+test("writes one image page per sheet with a valid cross-reference table", () => {
+  const fakeJpeg = (size) => new Uint8Array(size).fill(0xff);
+  const pdf = buildImagePdf([
+    { jpeg: fakeJpeg(40), width: 1056, height: 2000 },
+    { jpeg: fakeJpeg(12), width: 1056, height: 700 }
+  ]);
+  const text = decoder.decode(pdf);
+
+  assert.ok(text.startsWith("%PDF-1.4\n"));
+  assert.ok(text.endsWith("%%EOF\n"));
+  assert.match(text, /\/Kids \[3 0 R 6 0 R\] \/Count 2/);
+  assert.match(text, /\/MediaBox \[0 0 792 1500\]/);
+  assert.match(text, /\/MediaBox \[0 0 792 525\]/);
+  assert.match(text, /\/Width 1056 \/Height 2000 .*\/Filter \/DCTDecode \/Length 40 >>/);
+
+  const xrefOffset = Number(/startxref\n(\d+)\n/.exec(text)[1]);
+  assert.ok(text.slice(xrefOffset).startsWith("xref\n0 9\n"));
+  const entries = text.slice(xrefOffset).split("\n").slice(3, 11);
+  entries.forEach((entry, index) => {
+    const offset = Number(entry.slice(0, 10));
+    assert.ok(text.slice(offset).startsWith(`${index + 1} 0 obj\n`), `object ${index + 1}`);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { test } from "node:test";
+import {
+  PrivateAddressError,
+  isPrivateAddress,
+  requestPublic
+} from "../app/sources/public-network.js";
+
+test("classifies private, reserved and mapped addresses", () => {
+  [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "100.127.255.254",
+    "0.0.0.0",
+    "224.0.0.1",
+    "::1",
+    "::",
+    "[::1]",
+    "::ffff:7f00:1",
+    "[::ffff:7f00:1]",
+    "::ffff:127.0.0.1",
+    "::ffff:10.0.0.1",
+    "::7f00:1",
+    "64:ff9b::7f00:1",
+    "fd12:3456::1",
+    "fe80::1",
+    "not an address"
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+
+  [
+    "93.184.216.34",
+    "8.8.8.8",
+    "100.128.0.1",
+    "172.32.0.1",
+    "::ffff:5db8:d822",
+    "2606:2800:220:1:248:1893:25c8:1946"
+  ].forEach((address) => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test("refuses private hosts, by literal or by name, before connecting", async () => {
+  let requests = 0;
+  const server = createServer((request, response) => {
+    requests += 1;
+    response.end("secret");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    for (const host of [`127.0.0.1:${port}`, `localhost:${port}`, `[::ffff:7f00:1]:${port}`]) {
+      await assert.rejects(
+        requestPublic(new URL(`http://${host}/clip.mp4`)),
+        (error) => error instanceof PrivateAddressError,
+        host
+      );
+    }
+    assert.equal(requests, 0);
+  } finally {
+    server.close();
+  }
+});
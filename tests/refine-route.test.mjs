@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { POST } from "../app/api/refine/route.js";
+
+const payload = { brief: {}, scenes: [], masterPrompt: "" };
+
+function refine(body) {
+  return POST(
+    new Request("http://localhost/api/refine", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ payload, model: "gpt-4o-mini", ...body })
+    })
+  );
+}
+
+afterEach(() => {
+  delete process.env.REFINE_ENDPOINTS;
+});
+
+test("refuses endpoints the server has not listed", async () => {
+  for (const baseUrl of [
+    "http://localhost:8080/v1",
+    "http://169.254.169.254/latest",
+    "https://api.openai.com.evil.example/v1",
+    "https://api.openai.com/v2"
+  ]) {
+    const response = await refine({ provider: "openai", baseUrl });
+    assert.equal(response.status, 403, baseUrl);
+    assert.match((await response.json()).error, /REFINE_ENDPOINTS/);
+  }
+});
+
+test("REFINE_ENDPOINTS replaces the default list", async () => {
+  process.env.REFINE_ENDPOINTS = "http://localhost:11434/v1/ , https://llm.example.com/v1";
+  const refused = await refine({ provider: "openai", baseUrl: "https://api.openai.com/v1" });
+  assert.equal(refused.status, 403);
+  assert.match((await refused.json()).error, /http:\/\/localhost:11434\/v1, https:\/\/llm/);
+});
+
+test("rejects malformed base URLs and unknown providers", async () => {
+  assert.equal((await refine({ provider: "openai", baseUrl: "ftp://x" })).status, 400);
+  assert.equal((await refine({ provider: "openai", baseUrl: "" })).status, 400);
+  assert.equal((await refine({ provider: "other" })).status, 400);
+});
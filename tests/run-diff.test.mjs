@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffScenes, diffSettings, diffText } from "../app/prompts/run-diff.js";
+
+test("pairs changed lines and marks word changes inside them", () => {
+  const rows = diffText("Scene one\nwarm light\nEnd", "Scene one\ncool light\nEnd\nExtra");
+  assert.deepEqual(rows.map((row) => row.type), ["same", "changed", "same", "added"]);
+  assert.deepEqual(rows[1].words, [
+    { type: "removed", text: "warm" },
+    { type: "added", text: "cool" },
+    { type: "same", text: " light" }
+  ]);
+});
+
+test("identical text diffs to unchanged rows only", () => {
+  const rows = diffText("a\nb", "a\nb");
+  assert.ok(rows.every((row) => row.type === "same"));
+});
+
+test("lists only the settings that changed, formatted for display", () => {
+  const changes = diffSettings(
+    { tone: "noir", focusAreas: ["motion", "lighting"], manualMarkers: [] },
+    { tone: "noir", focusAreas: ["lighting", "motion"], manualMarkers: [1, 2] }
+  );
+  assert.deepEqual(changes, [
+    { key: "manualMarkers", label: "Manual markers", before: "—", after: "2 markers" }
+  ]);
+});
+
+test("matches scenes by the earlier scene covering their midpoint", () => {
+  const scene = (start, end, palette) => ({
+    start,
+    end,
+    timestamp: (start + end) / 2,
+    analysis: { palette, lighting: "soft" }
+  });
+  const before = [scene(0, 4, "teal"), scene(4, 10, "amber"), scene(10, 12, "grey")];
+  const after = [scene(0, 5, "teal"), scene(5, 9, "red"), scene(20, 22, "grey")];
+  const result = diffScenes(before, after);
+
+  assert.deepEqual(
+    result.rows.map((row) => [row.previousIndex, row.status]),
+    [
+      [0, "same"],
+      [1, "changed"],
+      [2, "same"]
+    ]
+  );
+  assert.deepEqual(result.rows[1].changes, [{ label: "Palette", before: "amber", after: "red" }]);
+  assert.equal(result.changed, 1);
+  assert.equal(result.dropped, 0);
+  assert.equal(diffScenes([], after).added, 3);
+});
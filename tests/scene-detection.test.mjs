@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildCapturePoints,
+  mergeManualPoints,
+  rangesFromCapturePoints,
+  sceneBudget
+} from "../app/analysis/scene-detection.js";
+
+const automatic = [
+  { start: 0, end: 10, timestamp: 5, cutScore: null },
+  { start: 10, end: 20, timestamp: 15, cutScore: 0.8 }
+];
+
+test("capture ranges meet halfway between capture points", () => {
+  assert.deepEqual(rangesFromCapturePoints([2, 6, 9], 10), [
+    { start: 0, end: 4, timestamp: 2, cutScore: null },
+    { start: 4, end: 7.5, timestamp: 6, cutScore: null },
+    { start: 7.5, end: 10, timestamp: 9, cutScore: null }
+  ]);
+  assert.deepEqual(buildCapturePoints(12, 3), [3, 6, 9]);
+});
+
+test("the scene budget grows with duration but slows after two minutes", () => {
+  assert.ok(sceneBudget(600, 3) > sceneBudget(60, 3));
+  assert.ok(sceneBudget(600, 3) < sceneBudget(60, 3) * 10);
+});
+
+test("without markers the automatic ranges are returned untouched", () => {
+  assert.equal(mergeManualPoints(automatic, [], 20), automatic);
+});
+
+test("a marker inside a range keeps the automatic capture and splits the range", () => {
+  const merged = mergeManualPoints(automatic, [12], 20);
+  assert.deepEqual(merged, [
+    automatic[0],
+    { start: 10, end: 13.5, timestamp: 12, cutScore: 0.8, manual: true },
+    { start: 13.5, end: 20, timestamp: 15, cutScore: null }
+  ]);
+});
+
+test("several markers in one range all join the automatic capture", () => {
+  const merged = mergeManualPoints(automatic, [8, 1], 20);
+  assert.deepEqual(
+    merged.map((range) => [range.start, range.end, range.timestamp, Boolean(range.manual)]),
+    [
+      [0, 3, 1, true],
+      [3, 6.5, 5, false],
+      [6.5, 10, 8, true],
+      [10, 20, 15, false]
+    ]
+  );
+});
+
+test("a marker on top of the automatic capture takes it over", () => {
+  const merged = mergeManualPoints(automatic, [15.1], 20);
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[1], { start: 10, end: 20, timestamp: 15.1, cutScore: 0.8, manual: true });
+});
+
+test("markers alone become their own ranges, clamped to the clip", () => {
+  const merged = mergeManualPoints([], [30, 4], 20);
+  assert.deepEqual(
+    merged.map((range) => [range.timestamp, range.manual]),
+    [
+      [4, true],
+      [19.95, true]
+    ]
+  );
+});
@@ -0,0 +1,7 @@
+// Loaded before the unit tests so the app's extensionless imports resolve
+// under plain Node, as they do for the CLI:
+//
+//   node --import ./tests/setup.mjs --test
+import { register } from "node:module";
+
+register("../scripts/extensionless-imports.mjs", import.meta.url);
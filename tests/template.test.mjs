@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderTemplate, validateTemplate } from "../app/prompts/template.js";
+
+test("looks values up through enclosing blocks and applies filters", () => {
+  const output = renderTemplate(
+    "{{#each scenes}}{{@number}}. {{palette | upper}} for {{brief.tone}}\n{{/each}}",
+    {
+      brief: { tone: "noir" },
+      scenes: [{ palette: "teal" }, { palette: "amber" }]
+    }
+  );
+  assert.equal(output, "1. TEAL for noir\n2. AMBER for noir");
+});
+
+test("formats palettes, times and lists", () => {
+  const output = renderTemplate("{{swatches | palette}} at {{start | time}}: {{tags | join}}", {
+    swatches: [{ hex: "#102030", proportion: 0.6 }],
+    start: 75.5,
+    tags: ["a", "b"]
+  });
+  assert.equal(output, "#102030 60% at 01:15.50: a, b");
+});
+
+test("standalone block tags leave no blank lines behind", () => {
+  const source = "Intro\n{{#if focus.motion}}\nMotion on\n{{else}}\nMotion off\n{{/if}}\nEnd";
+  assert.equal(renderTemplate(source, { focus: { motion: true } }), "Intro\nMotion on\nEnd");
+  assert.equal(renderTemplate(source, { focus: {} }), "Intro\nMotion off\nEnd");
+});
+
+test("unless renders for empty lists and missing values", () => {
+  const source = "{{#unless scenes}}none{{/unless}}{{#unless missing.value}}!{{/unless}}";
+  assert.equal(renderTemplate(source, { scenes: [] }), "none!");
+});
+
+test("objects print as nothing and {{this}} prints loop items", () => {
+  const output = renderTemplate("[{{brief}}]{{#each items}}<{{this}}>{{/each}}", {
+    brief: { tone: "x" },
+    items: [1, 2]
+  });
+  assert.equal(output, "[]<1><2>");
+});
+
+test("reports syntax errors with their line", () => {
+  assert.equal(validateTemplate("ok {{scene.palette}}"), null);
+  assert.equal(validateTemplate("a\n{{#if x}}"), "{{#if}} is never closed (line 2)");
+  assert.equal(validateTemplate("{{/each}}"), "unexpected {{/each}} (line 1)");
+  assert.equal(validateTemplate("{{x | shout}}"), "unknown filter “shout” (line 1)");
+  assert.equal(validateTemplate("{{#each s}}{{else}}{{/each}}"), "unexpected {{else}} (line 1)");
+  assert.equal(
+    validateTemplate("{{#with s}}{{/with}}"),
+    "unknown block “{{#with s}}” (line 1)"
+  );
+});
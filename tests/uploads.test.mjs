@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { UploadError, receiveMultipart } from "../app/sources/uploads.js";
+
+// Serialises a form the way fetch does, then replays it in small chunks so
+// boundaries and headers land across chunk edges.
+async function chunkedRequest(form, chunkSize) {
+  const encoded = new Response(form);
+  const bytes = new Uint8Array(await encoded.arrayBuffer());
+  let offset = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + chunkSize));
+      offset += chunkSize;
+    }
+  });
+  return new Request("http://localhost/api/analyze", {
+    method: "POST",
+    body,
+    duplex: "half",
+    headers: { "content-type": encoded.headers.get("content-type") }
+  });
+}
+
+async function withDirectory(run) {
+  const directory = await mkdtemp(path.join(tmpdir(), "uploads-test-"));
+  try {
+    await run(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+test("streams file parts to disk and keeps text fields", async () => {
+  await withDirectory(async (directory) => {
+    const video = new Uint8Array(200000).map((_, i) => (i * 7) % 251);
+    const form = new FormData();
+    form.append("settings", '{"tone":"noir"}');
+    form.append("video", new File([video], "clip.mp4"));
+    form.append("frames", new File(["a"], "a.png"));
+    form.append("frames", new File(["b"], "b.png"));
+
+    for (const chunkSize of [3, 4096]) {
+      const { fields, files } = await receiveMultipart(await chunkedRequest(form, chunkSize), {
+        maxBytes: 1e6,
+        target: (field, name, index) => path.join(directory, `${field}-${index}-${name}`)
+      });
+      assert.deepEqual(fields, { settings: '{"tone":"noir"}' });
+      assert.deepEqual(
+        files.map((file) => [file.field, file.name]),
+        [
+          ["video", "clip.mp4"],
+          ["frames", "a.png"],
+          ["frames", "b.png"]
+        ]
+      );
+      assert.deepEqual(new Uint8Array(await readFile(files[0].path)), video);
+      assert.equal(await readFile(files[2].path, "utf8"), "b");
+    }
+  });
+});
+
+test("skips file parts without a target", async () => {
+  const form = new FormData();
+  form.append("extra", new File(["x"], "x.bin"));
+  const { files } = await receiveMultipart(await chunkedRequest(form, 64), {
+    maxBytes: 1e6,
+    target: () => null
+  });
+  assert.deepEqual(files, []);
+});
+
+test("rejects oversized uploads, oversized fields and truncated bodies", async () => {
+  const big = new FormData();
+  big.append("video", new File([new Uint8Array(5000)], "clip.mp4"));
+  await assert.rejects(
+    receiveMultipart(await chunkedRequest(big, 512), { maxBytes: 1000, target: () => null }),
+    (error) => error instanceof UploadError && error.status === 413
+  );
+
+  const field = new FormData();
+  field.append("settings", "x".repeat(2000));
+  await assert.rejects(
+    receiveMultipart(await chunkedRequest(field, 512), {
+      maxBytes: 1e6,
+      maxFieldBytes: 1000,
+      target: () => null
+    }),
+    (error) => error.status === 413 && /settings/.test(error.message)
+  );
+
+  const truncated = new Request("http://localhost/api/analyze", {
+    method: "POST",
+    body: '--b\r\nContent-Disposition: form-data; name="settings"\r\n\r\n{}',
+    headers: { "content-type": "multipart/form-data; boundary=b" }
+  });
+  await assert.rejects(
+    receiveMultipart(truncated, { maxBytes: 1e6, target: () => null }),
+    (error) => error.status === 400
+  );
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveDuration } from "../app/sources/video-sources.js";
+
+function fakeVideo(duration) {
+  const video = new EventTarget();
+  video.duration = duration;
+  video.currentTime = 0;
+  return video;
+}
+
+test("resolves once the browser reports a finite duration", async () => {
+  const video = fakeVideo(Infinity);
+  const pending = resolveDuration(video, { timeout: 1000 });
+  video.duration = 12.5;
+  video.dispatchEvent(new Event("durationchange"));
+  assert.equal(await pending, 12.5);
+  assert.equal(video.currentTime, 0);
+});
+
+test("rejects when no duration arrives before the timeout", async () => {
+  const video = fakeVideo(Infinity);
+  await assert.rejects(resolveDuration(video, { timeout: 10 }), /did not report a duration/);
+});
+
+test("rejects with an abort error when the signal fires", async () => {
+  const controller = new AbortController();
+  const pending = resolveDuration(fakeVideo(Infinity), { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, { name: "AbortError" });
+});